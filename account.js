@@ -0,0 +1,65 @@
+// evania-backend/account.js
+
+/**
+ * Account deletion. DELETE /api/me only schedules it (users.purge_after);
+ * once the grace period is over purgeDueAccounts() removes every row that
+ * references the user. The admin audit trail (quest_changes, rule_versions, abuse flag reviews)
+ * and challenges they created are kept but anonymized. Runs from the server's hourly timer
+ * and `node admin.js purge-deleted`.
+ */
+
+const statements = new WeakMap();
+
+function stmts(db) {
+  if (!statements.has(db)) {
+    statements.set(db, {
+      getUser: db.prepare("SELECT * FROM users WHERE id = ?"),
+      listDue: db.prepare("SELECT id FROM users WHERE purge_after IS NOT NULL AND purge_after <= ?"),
+      // children before parents; xp_events can only go once the user row is gone
+      purge: [
+        "DELETE FROM routine_logs WHERE user_id = ?",
+        "DELETE FROM routine_reminders WHERE user_id = ?",
+        "DELETE FROM runs WHERE user_id = ?",
+        "DELETE FROM routines WHERE user_id = ?",
+        "DELETE FROM streak_freeze_uses WHERE user_id = ?",
+        "DELETE FROM checkins WHERE user_id = ?",
+        "DELETE FROM user_achievements WHERE user_id = ?",
+        "DELETE FROM sessions WHERE user_id = ?",
+        "DELETE FROM auth_tokens WHERE user_id = ?",
+        "DELETE FROM push_tokens WHERE user_id = ?",
+        "DELETE FROM notifications WHERE user_id = ?",
+        "DELETE FROM abuse_flags WHERE user_id = ?",
+        "DELETE FROM idempotency_keys WHERE scope = ?",
+        "DELETE FROM friendships WHERE ? IN (requester_id, addressee_id)",
+        "DELETE FROM challenge_participants WHERE user_id = ?",
+        "UPDATE challenges SET created_by = NULL WHERE created_by = ?",
+        "UPDATE quest_changes SET changed_by = NULL WHERE changed_by = ?",
+        "UPDATE rule_versions SET created_by = NULL WHERE created_by = ?",
+        "UPDATE abuse_flags SET reviewed_by = NULL WHERE reviewed_by = ?",
+        "DELETE FROM users WHERE id = ?",
+        "DELETE FROM xp_events WHERE user_id = ?",
+        "DELETE FROM sync_changes WHERE user_id = ?",
+      ].map((q) => db.prepare(q)),
+      deleteMail: db.prepare("DELETE FROM mail_outbox WHERE to_address = ?"),
+    });
+  }
+  return statements.get(db);
+}
+
+// Remove a user and everything tied to them right away; false if unknown
+export function purgeUser(db, userId) {
+  const s = stmts(db);
+  const u = s.getUser.get(userId);
+  if (!u) return false;
+  db.transaction(() => {
+    s.purge.forEach((stmt) => stmt.run(userId));
+    if (u.email) s.deleteMail.run(u.email);
+  })();
+  return true;
+}
+
+// Purge every account whose grace period has ended; returns the purged ids
+export function purgeDueAccounts(db, now = new Date()) {
+  const ids = stmts(db).listDue.all(now.toISOString()).map((r) => r.id);
+  return ids.filter((id) => purgeUser(db, id));
+}
@@ -0,0 +1,146 @@
+// evania-backend/achievements.js
+import dayjs from "dayjs";
+import isoWeek from "dayjs/plugin/isoWeek.js";
+
+dayjs.extend(isoWeek);
+
+/**
+ * Achievements engine. The rules live in the achievements table
+ * (rule_type + params_json); this file only knows how to measure each
+ * rule_type against a user's history. Every evaluator returns
+ * { current, goal } so the same code drives unlocking, progress bars and
+ * the backfill for existing users.
+ */
+
+const statements = new WeakMap();
+
+function stmts(db) {
+  if (!statements.has(db)) {
+    statements.set(db, {
+      listActive: db.prepare("SELECT * FROM achievements WHERE active = 1 ORDER BY sort_order, id"),
+      listUnlocked: db.prepare("SELECT achievement_id, unlocked_at FROM user_achievements WHERE user_id = ?"),
+      unlock: db.prepare(`
+        INSERT OR IGNORE INTO user_achievements(user_id, achievement_id, unlocked_at)
+        VALUES(?, ?, ?)
+      `),
+      getUser: db.prepare("SELECT * FROM users WHERE id = ?"),
+      listUserIds: db.prepare("SELECT id FROM users"),
+      countRuns: db.prepare("SELECT COUNT(*) AS c FROM runs WHERE user_id = ?"),
+      runCategoriesByDate: db.prepare(`
+        SELECT DISTINCT r.local_date, q.category
+        FROM runs r JOIN quests q ON q.id = r.quest_id
+        WHERE r.user_id = ? AND q.category IS NOT NULL
+      `),
+      // categories a user can actually complete right now
+      liveCategories: db.prepare(`
+        SELECT c.id FROM quest_categories c
+        WHERE c.active = 1
+          AND EXISTS (SELECT 1 FROM quests q WHERE q.category = c.id AND q.active = 1)
+      `),
+      bestRoutineTargetDays: db.prepare(`
+        SELECT COALESCE(MAX(days), 0) AS best FROM (
+          SELECT d.routine_id, COUNT(*) AS days
+          FROM (
+            SELECT routine_id, local_date, COUNT(*) AS n
+            FROM routine_logs
+            WHERE user_id = ?
+            GROUP BY routine_id, local_date
+          ) d
+          JOIN routines r ON r.id = d.routine_id
+          WHERE d.n >= r.daily_target
+          GROUP BY d.routine_id
+        )
+      `),
+    });
+  }
+  return statements.get(db);
+}
+
+const evaluators = {
+  streak: (s, u, p) => ({ current: Math.max(u.longest_streak || 0, u.current_streak || 0), goal: p.days }),
+
+  quest_count: (s, u, p) => ({ current: s.countRuns.get(u.id).c, goal: p.count }),
+
+  level: (s, u, p) => ({ current: u.level || 1, goal: p.level }),
+
+  routine_target_days: (s, u, p) => ({ current: s.bestRoutineTargetDays.get(u.id).best, goal: p.days }),
+
+  // best ISO week, counted in distinct live categories
+  categories_in_week: (s, u) => {
+    const live = new Set(s.liveCategories.all().map((c) => c.id));
+    const weeks = new Map();
+    s.runCategoriesByDate.all(u.id).forEach((r) => {
+      if (!live.has(r.category)) return;
+      const d = dayjs(r.local_date);
+      const key = `${d.isoWeekYear()}-${d.isoWeek()}`;
+      if (!weeks.has(key)) weeks.set(key, new Set());
+      weeks.get(key).add(r.category);
+    });
+    const best = Math.max(0, ...[...weeks.values()].map((cats) => cats.size));
+    return { current: best, goal: Math.max(live.size, 1) };
+  },
+};
+
+function measure(s, u, a) {
+  const evaluate = evaluators[a.rule_type];
+  if (!evaluate) return null; // unknown rule types are ignored, not fatal
+  const { current, goal } = evaluate(s, u, JSON.parse(a.params_json || "{}"));
+  return { current: Math.min(current, goal), goal };
+}
+
+function serialize(a, unlockedAt, progress) {
+  return {
+    id: a.id,
+    title: a.title,
+    description: a.description,
+    unlocked: !!unlockedAt,
+    unlockedAt: unlockedAt || null,
+    progress,
+  };
+}
+
+/**
+ * Check every still-locked achievement for a user and unlock the ones that
+ * are now met, stamped `now`. Returns the newly unlocked achievements.
+ */
+export function evaluateAchievements(db, userId, now = new Date()) {
+  const s = stmts(db);
+  const u = s.getUser.get(userId);
+  if (!u) return [];
+
+  const unlocked = new Set(s.listUnlocked.all(userId).map((r) => r.achievement_id));
+  const unlockedAt = now.toISOString();
+  const fresh = [];
+
+  const trx = db.transaction(() => {
+    s.listActive.all().forEach((a) => {
+      if (unlocked.has(a.id)) return;
+      const progress = measure(s, u, a);
+      if (progress && progress.current >= progress.goal) {
+        s.unlock.run(userId, a.id, unlockedAt);
+        fresh.push(serialize(a, unlockedAt, progress));
+      }
+    });
+  });
+  trx();
+  return fresh;
+}
+
+// Every active achievement with the user's unlock state and progress
+export function listAchievements(db, userId) {
+  const s = stmts(db);
+  const u = s.getUser.get(userId);
+  const unlocked = new Map(s.listUnlocked.all(userId).map((r) => [r.achievement_id, r.unlocked_at]));
+  return s.listActive.all().map((a) => serialize(a, unlocked.get(a.id), u ? measure(s, u, a) : null));
+}
+
+// Credit existing history: evaluate every user once
+export function backfillAchievements(db, now = new Date()) {
+  const s = stmts(db);
+  let unlocked = 0;
+  const users = s.listUserIds.all();
+  users.forEach(({ id }) => {
+    unlocked += evaluateAchievements(db, id, now).length;
+  });
+  return { users: users.length, unlocked };
+}
@@ -0,0 +1,83 @@
+// evania-backend/admin.js
+//
+//   node admin.js grant <email|userId>    make a user an admin
+//   node admin.js revoke <email|userId>   back to a regular user
+//   node admin.js backfill-achievements   credit achievements for existing history
+//   node admin.js xp-check                list users whose XP/level/streaks drift from the ledger
+//   node admin.js xp-rebuild <userId|--all>  rewrite cached progress from the ledger
+//   node admin.js purge-deleted           purge accounts whose deletion grace period is over
+//   node admin.js rules-preview <file.json>  how a candidate rule set would change users' levels
+//
+// Bootstraps the first admin; after that admins can use
+// PATCH /api/admin/users/:id/role.
+//
+// Run backfill-achievements once after upgrading past migration 011
+// (achievements) so history logged before it earns its unlocks.
+import fs from "node:fs";
+import { db } from "./db.js";
+import { normalizeEmail } from "./validation.js";
+import { backfillAchievements } from "./achievements.js";
+import { xpConsistencyReport, rebuildUserXp, rulesImpactReport } from "./ledger.js";
+import { rulesSchema } from "./rules.js";
+import { purgeDueAccounts } from "./account.js";
+
+const [cmd, who] = process.argv.slice(2);
+const roles = { grant: "admin", revoke: "user" };
+
+if (cmd === "backfill-achievements") {
+  const { users, unlocked } = backfillAchievements(db);
+  console.log(`Checked ${users} users, unlocked ${unlocked} achievements.`);
+} else if (cmd === "xp-check") {
+  const { checked, drifting } = xpConsistencyReport(db);
+  drifting.forEach((r) => {
+    const fields = r.drift.map((f) => `${f} ${r.stored[f]} → ${r.rebuilt[f]}`).join(", ");
+    console.log(`${r.userId}: ${fields}`);
+  });
+  console.log(`Checked ${checked} users, ${drifting.length} drifting.`);
+  if (drifting.length) process.exitCode = 2;
+} else if (cmd === "xp-rebuild" && who) {
+  const ids = who === "--all" ? db.prepare("SELECT id FROM users").all().map((r) => r.id) : [who];
+  const fixed = db.transaction(() =>
+    ids.map((id) => rebuildUserXp(db, id)).filter((r) => r?.drift.length)
+  )();
+  console.log(`Rebuilt ${ids.length} users, ${fixed.length} had drifted.`);
+} else if (cmd === "purge-deleted") {
+  const purged = purgeDueAccounts(db);
+  console.log(`Purged ${purged.length} account(s).`);
+} else if (cmd === "rules-preview" && who) {
+  const errors = [];
+  const rules = rulesSchema.parse(JSON.parse(fs.readFileSync(who, "utf8")), "rules", errors);
+  if (errors.length) {
+    errors.forEach((e) => console.error(e.message));
+    process.exitCode = 1;
+  } else {
+    const { summary, users } = rulesImpactReport(db, rules);
+    users.forEach((r) => {
+      console.log(
+        `${r.userId}: level ${r.level.live} → ${r.level.candidate}, tier ${r.avatarTier.live} → ${r.avatarTier.candidate}, ` +
+          `multiplier ${r.streakMultiplier.live} → ${r.streakMultiplier.candidate}`
+      );
+    });
+    const { checked, levelUp, levelDown, tierChanged, multiplierChanged } = summary;
+    console.log(
+      `Checked ${checked} users: ${levelUp} level up, ${levelDown} level down, ${tierChanged} tier changes, ${multiplierChanged} multiplier changes.`
+    );
+  }
+} else if (!roles[cmd] || !who) {
+  console.error(
+    "usage: node admin.js grant|revoke <email|userId> | backfill-achievements | xp-check | xp-rebuild <userId|--all> | purge-deleted | rules-preview <file.json>"
+  );
+  process.exitCode = 1;
+} else {
+  const { changes } = db
+    .prepare("UPDATE users SET role = ? WHERE id = ? OR email = ?")
+    .run(roles[cmd], who, normalizeEmail(who));
+
+  if (!changes) {
+    console.error(`No user matches ${who}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`${who} is now ${roles[cmd] === "admin" ? "an admin" : "a regular user"}.`);
+  }
+}
+db.close();
@@ -0,0 +1,296 @@
+import express from "express";
+import cors from "cors";
+import dayjs from "dayjs";
+import isoWeek from "dayjs/plugin/isoWeek.js"; // Member D
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+import { loadConfig } from "./config.js";
+import { systemClock } from "./clock.js";
+import { transportFromEnv } from "./mailer.js";
+import { idempotency } from "./idempotency.js";
+import { sendError, notFoundHandler, errorHandler } from "./errors.js";
+import { v, normalizeEmail } from "./validation.js";
+import { purgeDueAccounts } from "./account.js";
+import { createRateLimitStore, rateLimit, loginLockout } from "./ratelimit.js";
+import { pushTransportFromEnv } from "./notifier.js";
+import { prepareStatements } from "./statements.js";
+import { commonHelpers } from "./routes/common.js";
+import { authRoutes } from "./routes/auth.js";
+import { questRoutes } from "./routes/quests.js";
+import { routineRoutes } from "./routes/routines.js";
+import { activityRoutes } from "./routes/activity.js";
+import { achievementRoutes } from "./routes/achievements.js";
+import { checkinRoutes } from "./routes/checkins.js";
+import { insightRoutes } from "./routes/insights.js";
+import { historyRoutes } from "./routes/history.js";
+import { friendRoutes } from "./routes/friends.js";
+import { reminderRoutes } from "./routes/reminders.js";
+import { challengeRoutes } from "./routes/challenges.js";
+import { adminRoutes } from "./routes/admin.js";
+import { accountRoutes } from "./routes/account.js";
+import { syncRoutes } from "./routes/sync.js";
+
+import crypto from "node:crypto";
+import jwt from "jsonwebtoken";
+import bcrypt from "bcryptjs";
+
+dayjs.extend(isoWeek); // Member D
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const DEFAULT_TZ = "Asia/Kolkata";
+const IMPORT_MAX_BODY = "10mb";
+
+/**
+ * The Express app on `db` (an open, migrated better-sqlite3 database) with
+ * `clock` (see clock.js) as the only source of "now". `config` overrides
+ * loadConfig()'s settings (see config.js). Nothing is scheduled or bound to
+ * a port here: server.js does that, running the jobs in app.locals.jobs.
+ */
+export function createApp({ db, clock = systemClock, config = {} } = {}) {
+  const defaults = loadConfig();
+  const cfg = { ...defaults, ...config, rateLimits: { ...defaults.rateLimits, ...config.rateLimits } };
+
+  const UNDO_WINDOW_SEC = cfg.undoWindowSec;
+  const IDEMPOTENCY_TTL_HOURS = cfg.idempotencyTtlHours;
+  const ACCOUNT_DELETION_GRACE_DAYS = cfg.accountDeletionGraceDays;
+  const DEV_MODE = cfg.devMode;
+  const JWT_SECRET = cfg.jwtSecret || (DEV_MODE ? "dev-secret" : null);
+  if (!JWT_SECRET) {
+    throw new Error("JWT_SECRET must be set (or run with NODE_ENV=development)");
+  }
+  const ACCESS_TOKEN_TTL_SEC = cfg.accessTokenTtlSec;
+  const REFRESH_TOKEN_TTL_DAYS = cfg.refreshTokenTtlDays;
+  const APP_URL = cfg.appUrl;
+  const RATE_LIMITS = cfg.rateLimits;
+  const DAILY_XP_CAP = cfg.dailyXpCap;
+
+  const mailTransport = cfg.mailTransport || transportFromEnv(db);
+  const sendMail = async ({ to, subject, text }) => {
+    await mailTransport.send({ to, subject, text });
+  };
+  // null: reminders are recorded as skipped, never as sent
+  const pushTransport = cfg.pushTransport === undefined ? pushTransportFromEnv() : cfg.pushTransport;
+  if (!pushTransport && !DEV_MODE) {
+    console.warn("PUSH_TRANSPORT is not set: reminders and nudges will be recorded as skipped, not delivered");
+  }
+
+  const nowISO = () => new Date(clock.now()).toISOString();
+  // same shape as SQLite's datetime('now')
+  const sqlNow = () => dayjs.utc(clock.now()).format("YYYY-MM-DD HH:mm:ss");
+
+  const app = express();
+  if (cfg.trustProxy) app.set("trust proxy", cfg.trustProxy);
+  app.use(cors());
+  app.use("/api/me/import", express.json({ limit: IMPORT_MAX_BODY })); // archives outgrow the default 100kb
+  app.use(express.json());
+
+  /* ------------------------------------------------
+   * Prepared statements
+   * ------------------------------------------------*/
+  const sql = prepareStatements(db);
+
+  // Insert or update a user row; a new row's created_at comes from the app clock
+  const saveUser = (u) => sql.upsertUser.run({ ...u, now: sqlNow() });
+
+  // What the feature modules in routes/ share. Each takes what it needs when it
+  // is registered and returns the helpers other modules use, which land here
+  // too; one registered before the module it needs calls ctx.fn() instead.
+  const ctx = {
+    db, clock, cfg, sql, saveUser, nowISO, sqlNow, sendMail, pushTransport, DEFAULT_TZ, JWT_SECRET,
+    UNDO_WINDOW_SEC, ACCOUNT_DELETION_GRACE_DAYS, ACCESS_TOKEN_TTL_SEC, REFRESH_TOKEN_TTL_DAYS, APP_URL,
+    DAILY_XP_CAP,
+  };
+  Object.assign(ctx, commonHelpers(ctx));
+
+  /* ------------------------------------------------
+   * Auth / identity middleware
+   * ------------------------------------------------*/
+  const PUBLIC_ROUTES = new Set([
+    "POST /api/auth/register",
+    "POST /api/auth/login",
+    "POST /api/auth/refresh",
+    "POST /api/auth/password/forgot",
+    "POST /api/auth/password/reset",
+    "POST /api/auth/email/verify",
+    "POST /api/auth/email/change/confirm",
+    "GET /api/health",
+  ]);
+
+  const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+  function sessionIsLive(session) {
+    return !!session && !session.revoked_at && session.expires_at > nowISO();
+  }
+
+  app.use((req, res, next) => {
+    const auth = req.headers.authorization; // Bearer <token>
+    if (auth?.startsWith("Bearer ")) {
+      try {
+        const payload = jwt.verify(auth.slice(7), JWT_SECRET);
+        // access tokens die with their session (logout / revoke-all)
+        const session = payload.sid && sql.getSessionById.get(payload.sid);
+        if (sessionIsLive(session) && session.user_id === payload.sub) {
+          req.authUserId = payload.sub;
+          req.sessionId = session.id;
+        }
+      } catch {
+        // invalid or expired → treated as anonymous below
+      }
+    }
+    if (!req.authUserId && DEV_MODE) {
+      // Dev fallback: allow x-user-id or demo-user
+      req.authUserId = req.header("x-user-id") || "demo-user";
+    }
+    if (!req.authUserId && !PUBLIC_ROUTES.has(`${req.method} ${req.path}`)) {
+      return sendError(res, 401, "unauthenticated", "authentication required");
+    }
+    next();
+  });
+
+  /* ------------------------------------------------
+   * Ensure user row exists
+   * ------------------------------------------------*/
+  app.use((req, res, next) => {
+    const userId = req.authUserId;
+    if (!userId) return next(); // public route, anonymous caller
+
+    let u = sql.getUser.get(userId);
+    if (!u && !DEV_MODE) {
+      // token for an account that no longer exists
+      return sendError(res, 401, "unauthenticated", "authentication required");
+    }
+    if (!u) {
+      u = {
+        id: userId,
+        email: null,
+        password_hash: null,
+        total_xp: 0,
+        level: 1,
+        current_streak: 0,
+        longest_streak: 0,
+        last_active_local_date: null,
+        timezone: DEFAULT_TZ,
+        avatar_tier: 0,
+        theme_color: "#6C7EFF",
+        daily_target: 1,
+        goals_json: "[]",
+        baseline_mood: "neutral",
+        onboarding_done: 0,
+        streak_freezes: 0,
+        streak_grace_days: 0,
+        freeze_grant_week: null,
+      };
+      saveUser(u);
+      u = sql.getUser.get(userId);
+    }
+    req.user = u;
+    next();
+  });
+
+  /* ------------------------------------------------
+   * Idempotency-Key on every mutating route (see idempotency.js)
+   * ------------------------------------------------*/
+  app.use(idempotency(db, { ttlHours: IDEMPOTENCY_TTL_HOURS, now: () => clock.now() }));
+
+  /* ------------------------------------------------
+   * Abuse protection: rate limits, login lockout, password rules (see ratelimit.js)
+   * ------------------------------------------------*/
+  const rateLimitStore = createRateLimitStore(cfg.rateLimitStore, db, { now: () => clock.now() });
+  const limiter = (name, key) => rateLimit(rateLimitStore, { name, ...RATE_LIMITS[name], key });
+
+  const byIp = (req) => req.ip;
+  const byEmail = (req) => normalizeEmail(req.body?.email);
+  const byUser = (req) => req.user?.id;
+
+  const loginLimits = [limiter("loginIp", byIp), limiter("loginAccount", byEmail)];
+  const xpLimits = [limiter("xpIp", byIp), limiter("xpAccount", byUser)];
+
+  const lockout = loginLockout(rateLimitStore, {
+    threshold: cfg.loginLockoutThreshold,
+    baseSec: cfg.loginLockoutBaseSec,
+    maxSec: cfg.loginLockoutMaxSec,
+  });
+
+  // Compared against when there is no real hash, so a login for an unknown
+  // email costs the same bcrypt round as a wrong password
+  const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString("hex"), 10);
+
+  const PASSWORD_MIN_LENGTH = 8;
+  const COMMON_PASSWORDS = new Set([
+    "password", "password1", "password123", "passw0rd", "12345678", "123456789", "1234567890",
+    "11111111", "qwerty123", "qwertyuiop", "1q2w3e4r", "abc12345", "iloveyou", "letmein1",
+    "welcome1", "sunshine1", "football1", "evania123",
+  ]);
+
+  // Schema for a password being set; passwordProblem() does the rest
+  const newPasswordField = v.string({ min: PASSWORD_MIN_LENGTH, max: 200, trim: false });
+
+  // Why `password` is too weak for the account with `email`, or null
+  function passwordProblem(password, email = null) {
+    const lower = password.toLowerCase();
+    if (COMMON_PASSWORDS.has(lower)) return "is too common";
+    if (!/[a-z]/i.test(password) || !/[^a-z]/i.test(password)) {
+      return "must mix letters with digits or symbols";
+    }
+    if (new Set(lower).size < 4) return "needs more different characters";
+    const name = normalizeEmail(email)?.split("@")[0];
+    if (name && name.length >= 3 && lower.includes(name)) return "must not contain your email address";
+    return null;
+  }
+
+  Object.assign(ctx, {
+    hashToken, sessionIsLive, limiter, byIp, loginLimits, xpLimits, lockout, DUMMY_PASSWORD_HASH,
+    newPasswordField, passwordProblem,
+  });
+
+  /* ------------------------------------------------
+   * Feature routes (routes/*.js), registered in the order Express matches them
+   * ------------------------------------------------*/
+  for (const register of [
+    authRoutes,
+    questRoutes,
+    routineRoutes,
+    activityRoutes,
+    achievementRoutes,
+    checkinRoutes,
+    insightRoutes,
+    historyRoutes,
+    friendRoutes,
+    reminderRoutes,
+    challengeRoutes,
+    adminRoutes,
+    accountRoutes,
+    syncRoutes,
+  ]) {
+    Object.assign(ctx, register(app, ctx));
+  }
+
+  /* ------------------------------------------------
+   * Health check (handy for quick pings)
+   * ------------------------------------------------*/
+  app.get("/api/health", (_req, res) => res.json({ ok: true }));
+
+  /* ------------------------------------------------
+   * Errors: JSON 404 for unknown API routes, JSON 500 instead of Express's HTML page
+   * ------------------------------------------------*/
+  app.use("/api", notFoundHandler);
+  app.use(errorHandler);
+
+  /* ------------------------------------------------
+   * Background jobs (scheduled by server.js)
+   * ------------------------------------------------*/
+  // Accounts whose deletion grace period ran out (see account.js)
+  function purgeDeletedAccounts() {
+    const purged = purgeDueAccounts(db, new Date(clock.now()));
+    if (purged.length) console.log(`Purged ${purged.length} deleted account(s)`);
+  }
+
+  app.locals.jobs = {
+    purgeDeletedAccounts,
+    runReminderTick: () => ctx.runReminderTick(),
+    pruneRateLimits: () => rateLimitStore.prune(),
+  };
+
+  return app;
+}
@@ -0,0 +1,23 @@
+// evania-backend/clock.js
+
+/**
+ * Where the app gets the time. A clock is { now() → epoch ms }; createApp()
+ * reads every "now" from the one it is given, so streak rollovers, cooldowns
+ * and weekly windows can be driven from a test without waiting.
+ */
+
+export const systemClock = { now: () => Date.now() };
+
+// Stands still until set() / advance() moves it
+export function manualClock(start = Date.now()) {
+  let t = new Date(start).getTime();
+  return {
+    now: () => t,
+    set(at) {
+      t = new Date(at).getTime();
+    },
+    advance({ days = 0, hours = 0, minutes = 0, seconds = 0 } = {}) {
+      t += (((days * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+    },
+  };
+}
@@ -0,0 +1,73 @@
+// evania-backend/config.js
+
+/**
+ * Server settings. loadConfig() reads them from the environment; createApp()
+ * takes the same keys as overrides, e.g. { devMode: true, dailyXpCap: 0 }
+ * in tests. Nothing else in the backend reads process.env for these.
+ *
+ *   NODE_ENV=development   x-user-id / demo-user identity and a built-in JWT secret
+ *   RATE_LIMIT_STORE       memory (per process) or sqlite (shared, survives restarts)
+ *   RATE_LIMIT_<NAME>      "limit/windowSec" (see RATE_LIMIT_DEFAULTS); limit 0 turns one off
+ *   TRUST_PROXY            hop count ("1"), "true", or addresses / subnets as Express
+ *                          understands them, so per-IP limits see the client behind a proxy
+ *   DAILY_XP_CAP, REMINDER_TICK_SEC   0 turns them off
+ */
+
+const RATE_LIMIT_DEFAULTS = {
+  loginIp: ["LOGIN_IP", "30/900"],
+  loginAccount: ["LOGIN_ACCOUNT", "10/900"],
+  registerIp: ["REGISTER_IP", "5/3600"],
+  passwordResetIp: ["PASSWORD_RESET_IP", "10/3600"],
+  xpIp: ["XP_IP", "300/600"],
+  xpAccount: ["XP_ACCOUNT", "60/600"],
+};
+
+function rateLimitSetting(env, name, fallback) {
+  const raw = env[`RATE_LIMIT_${name}`] || fallback;
+  const [limit, windowSec] = raw.split("/").map(Number);
+  if (!Number.isInteger(limit) || limit < 0 || !Number.isInteger(windowSec) || windowSec < 1) {
+    throw new Error(`RATE_LIMIT_${name} must look like "20/900" (limit/windowSec)`);
+  }
+  return { limit, windowSec };
+}
+
+function trustProxySetting(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value === "true" || value;
+}
+
+// 0 is a real value for these, so only a missing variable falls back
+const numberOr = (value, fallback) => (value === undefined ? fallback : Number(value));
+
+export function loadConfig(env = process.env) {
+  const devMode = env.NODE_ENV === "development";
+  return {
+    port: Number(env.PORT) || 4000,
+    // Development mode must be asked for explicitly; it enables the x-user-id /
+    // demo-user identity fallback and the built-in JWT secret.
+    devMode,
+    jwtSecret: env.JWT_SECRET || null,
+    // signs account exports so only untampered archives can be imported (derived from JWT_SECRET if unset)
+    exportSecret: env.EXPORT_SECRET || null,
+    accessTokenTtlSec: Number(env.ACCESS_TOKEN_TTL_SEC) || 15 * 60,
+    refreshTokenTtlDays: Number(env.REFRESH_TOKEN_TTL_DAYS) || 30,
+    appUrl: env.APP_URL || "evania://",
+    undoWindowSec: Number(env.UNDO_WINDOW_SEC) || 15 * 60,
+    idempotencyTtlHours: Number(env.IDEMPOTENCY_TTL_HOURS) || 24,
+    accountDeletionGraceDays: Number(env.ACCOUNT_DELETION_GRACE_DAYS) || 7,
+    // how often the reminder scheduler runs
+    reminderTickSec: numberOr(env.REMINDER_TICK_SEC, 60),
+    trustProxy: trustProxySetting(env.TRUST_PROXY),
+    rateLimitStore: env.RATE_LIMIT_STORE || "sqlite",
+    rateLimits: Object.fromEntries(
+      Object.entries(RATE_LIMIT_DEFAULTS).map(([key, [name, fallback]]) => [key, rateLimitSetting(env, name, fallback)])
+    ),
+    // failed logins per account before lockout kicks in; locks double from the base up to the max
+    loginLockoutThreshold: Number(env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+    loginLockoutBaseSec: Number(env.LOGIN_LOCKOUT_BASE_SEC) || 30,
+    loginLockoutMaxSec: Number(env.LOGIN_LOCKOUT_MAX_SEC) || 60 * 60,
+    // activity XP one user can earn per local day
+    dailyXpCap: numberOr(env.DAILY_XP_CAP, 1500),
+  };
+}
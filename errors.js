@@ -0,0 +1,60 @@
+// evania-backend/errors.js
+
+/**
+ * One error envelope for every non-2xx response:
+ *
+ *   { error: "Routine not found", code: "routine_not_found", fields?: [...], details?: {...} }
+ *
+ * `error` is the human-readable message (what clients used to get), `code` is
+ * the stable machine-readable part, `fields` lists per-field problems for
+ * validation failures and `details` carries extra data such as retryAfterSec.
+ */
+
+export class ApiError extends Error {
+  constructor(status, code, message, { fields, details } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+    this.details = details;
+  }
+}
+
+export function sendError(res, status, code, message, { fields, details } = {}) {
+  const body = { error: message, code };
+  if (fields) body.fields = fields;
+  if (details) body.details = details;
+  return res.status(status).json(body);
+}
+
+// For checks that live outside a schema (recurrence rules, import archives…): one failing field
+export function sendFieldError(res, path, message, { in: where = "body", code = "invalid_value" } = {}) {
+  return sendError(res, 400, "validation_failed", message, { fields: [{ in: where, path, code, message }] });
+}
+
+/**
+ * Express 4 doesn't catch rejected promises from async handlers; wrap them so
+ * a throw ends up in errorHandler instead of hanging the request.
+ */
+export const asyncRoute = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+// Mounted after every route
+export function notFoundHandler(req, res) {
+  sendError(res, 404, "route_not_found", `No route for ${req.method} ${req.baseUrl}${req.path}`);
+}
+
+// Mounted last: ApiErrors keep their status, body-parser errors become 400/413, the rest a JSON 500
+export function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (err instanceof ApiError) {
+    return sendError(res, err.status, err.code, err.message, err);
+  }
+  if (err.type === "entity.parse.failed") {
+    return sendError(res, 400, "invalid_json", "Request body is not valid JSON");
+  }
+  if (err.type === "entity.too.large") {
+    return sendError(res, 413, "payload_too_large", "Request body is too large");
+  }
+  console.error(`${req.method} ${req.path} failed:`, err);
+  sendError(res, 500, "internal_error", "Something went wrong");
+}
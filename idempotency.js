@@ -0,0 +1,98 @@
+// evania-backend/idempotency.js
+import crypto from "node:crypto";
+import { sendError } from "./errors.js";
+
+/**
+ * Idempotency-Key support for mutating routes. The first request with a key
+ * runs normally and its JSON response is stored; a repeat with the same key
+ * and the same request gets that response back (marked with an
+ * Idempotent-Replayed header) instead of running the handler again, so a
+ * retried POST /api/runs can't award XP twice.
+ *
+ * Keys are scoped to the caller (user id, or the client IP before login) and
+ * kept for `ttlHours`. Reusing a key for a different request is a 422; a
+ * repeat that arrives while the first is still running is a 409. Only 2xx
+ * responses are stored: an error (a validation failure, a 429 that has
+ * since cooled down, a 5xx) frees the key, so a retry with it runs again.
+ * Routes marked with noStoredResponse never store theirs.
+ */
+
+const MUTATING = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+const MAX_KEY_LENGTH = 255;
+
+const statements = new WeakMap();
+
+function stmts(db) {
+  if (!statements.has(db)) {
+    statements.set(db, {
+      get: db.prepare("SELECT * FROM idempotency_keys WHERE scope = ? AND key = ?"),
+      claim: db.prepare(`
+        INSERT INTO idempotency_keys(scope, key, request_hash, created_at)
+        VALUES(?, ?, ?, ?)
+      `),
+      complete: db.prepare(`
+        UPDATE idempotency_keys SET status_code = ?, response_json = ?
+        WHERE scope = ? AND key = ?
+      `),
+      release: db.prepare("DELETE FROM idempotency_keys WHERE scope = ? AND key = ? AND status_code IS NULL"),
+      purge: db.prepare("DELETE FROM idempotency_keys WHERE created_at < ?"),
+    });
+  }
+  return statements.get(db);
+}
+
+const requestHash = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body ?? null)}`)
+    .digest("hex");
+
+// Express middleware; mount after identity so req.authUserId is known
+export function idempotency(db, { ttlHours = 24, now = Date.now } = {}) {
+  return (req, res, next) => {
+    const key = req.header("idempotency-key");
+    if (key === undefined || !MUTATING.has(req.method)) return next();
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return sendError(res, 400, "invalid_idempotency_key", `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`);
+    }
+
+    const s = stmts(db);
+    const scope = req.authUserId || `anon:${req.ip}`;
+    const hash = requestHash(req);
+    s.purge.run(new Date(now() - ttlHours * 3600 * 1000).toISOString());
+
+    const existing = s.get.get(scope, key);
+    if (existing) {
+      if (existing.request_hash !== hash) {
+        const message = "Idempotency-Key was already used for a different request";
+        return sendError(res, 422, "idempotency_key_reused", message);
+      }
+      if (existing.status_code === null) {
+        const message = "A request with this Idempotency-Key is still in progress";
+        return sendError(res, 409, "idempotency_in_progress", message);
+      }
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.status_code).json(JSON.parse(existing.response_json));
+    }
+
+    s.claim.run(scope, key, hash, new Date(now()).toISOString());
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 200 && res.statusCode < 300 && !res.locals.noStoredResponse) {
+        s.complete.run(res.statusCode, JSON.stringify(body ?? null), scope, key);
+      }
+      return json(body);
+    };
+    // not stored (error, crash, non-JSON answer): free the key for a retry
+    res.on("close", () => s.release.run(scope, key));
+    next();
+  };
+}
+
+// Route middleware for responses that must never be stored, such as freshly
+// issued tokens: the key is released instead and a retry simply runs again
+export function noStoredResponse(req, res, next) {
+  res.locals.noStoredResponse = true;
+  next();
+}
@@ -0,0 +1,207 @@
+// evania-backend/ledger.js
+import dayjs from "dayjs";
+import { nanoid } from "nanoid";
+import { currentRules, levelForXP, earnsAvatarTier, streakMultiplier } from "./rules.js";
+
+/**
+ * Unified XP ledger (xp_events). Every XP change — quest runs, routine logs,
+ * bonuses, admin corrections, undo reversals — is one appended row; the
+ * numbers on users (total_xp, level, avatar_tier, streaks) are a cache that
+ * can always be rebuilt from it.
+ *
+ * kind: "quest" | "routine" (activity, ref_id = run / log id),
+ *       "bonus" | "correction" | "achievement" (no effect on streaks),
+ *       "reversal" (negates reverses_id, e.g. an undo),
+ *       "timezone" (amount 0: a zone change moved the last active day to local_date)
+ */
+
+export const ACTIVITY_KINDS = ["quest", "routine"];
+export const ADJUSTMENT_KINDS = ["bonus", "correction", "achievement"];
+export const TIMEZONE_KIND = "timezone";
+
+const statements = new WeakMap();
+
+function stmts(db) {
+  if (!statements.has(db)) {
+    statements.set(db, {
+      insert: db.prepare(`
+        INSERT INTO xp_events(id, user_id, kind, ref_id, amount, local_date, reverses_id, note, created_at)
+        VALUES(@id, @user_id, @kind, @ref_id, @amount, @local_date, @reverses_id, @note, @created_at)
+      `),
+      getByRef: db.prepare(`
+        SELECT * FROM xp_events
+        WHERE kind = ? AND ref_id = ?
+          AND id NOT IN (SELECT reverses_id FROM xp_events WHERE reverses_id IS NOT NULL)
+      `),
+      listForUser: db.prepare(`
+        SELECT * FROM xp_events WHERE user_id = ?
+        ORDER BY created_at ASC, rowid ASC
+      `),
+      bridgeDates: db.prepare("SELECT local_date FROM streak_freeze_uses WHERE user_id = ?"),
+      getUser: db.prepare("SELECT * FROM users WHERE id = ?"),
+      listUserIds: db.prepare("SELECT id FROM users"),
+      saveProgress: db.prepare(`
+        UPDATE users SET
+          total_xp=@total_xp,
+          level=@level,
+          avatar_tier=@avatar_tier,
+          current_streak=@current_streak,
+          longest_streak=@longest_streak,
+          last_active_local_date=@last_active_local_date
+        WHERE id=@id
+      `),
+    });
+  }
+  return statements.get(db);
+}
+
+// Append one event; returns its id. createdAt (ISO) is when it happened, by the caller's
+// clock (offline sync backdates it).
+export function recordXpEvent(
+  db,
+  { userId, kind, refId = null, amount, localDate, reversesId = null, note = null, createdAt }
+) {
+  const id = nanoid();
+  stmts(db).insert.run({
+    id,
+    user_id: userId,
+    kind,
+    ref_id: refId,
+    amount,
+    local_date: localDate,
+    reverses_id: reversesId,
+    note,
+    created_at: createdAt,
+  });
+  return id;
+}
+
+// Append a reversal for the live event behind a run / log (no-op if none)
+export function reverseXpEvent(db, kind, refId, { note = null, createdAt }) {
+  const original = stmts(db).getByRef.get(kind, refId);
+  if (!original) return null;
+  return recordXpEvent(db, {
+    userId: original.user_id,
+    kind: "reversal",
+    refId,
+    amount: -original.amount,
+    localDate: original.local_date,
+    reversesId: original.id,
+    note,
+    createdAt,
+  });
+}
+
+/**
+ * Progress as the ledger says it should be. Reversed events and their
+ * reversals cancel out and are skipped, so the level/avatar replay matches
+ * a history in which the reversed event never happened. Streaks are rebuilt
+ * from activity days; days recorded in streak_freeze_uses count as bridged,
+ * and "timezone" events move the last active day the way the switch did.
+ * With { before }, only events that happened strictly before that ISO time count;
+ * { rules } replays under a rule set other than the live one (see rules.js).
+ */
+export function replayLedger(db, userId, { before = null, rules = currentRules(db) } = {}) {
+  const s = stmts(db);
+  const events = s.listForUser.all(userId).filter((e) => !before || e.created_at < before);
+  const reversed = new Set(events.filter((e) => e.reverses_id).map((e) => e.reverses_id));
+  const bridgedDates = new Set(s.bridgeDates.all(userId).map((r) => r.local_date));
+
+  let totalXP = 0;
+  let level = 1;
+  let tier = 0;
+  let streak = 0;
+  let longest = 0;
+  let last = null;
+
+  events.forEach((e) => {
+    if (e.kind === "reversal" || reversed.has(e.id)) return;
+
+    totalXP += e.amount;
+    const next = levelForXP(rules, totalXP);
+    if (earnsAvatarTier(rules, level, next)) tier++;
+    level = next;
+
+    if (e.kind === TIMEZONE_KIND) {
+      if (last) last = e.local_date;
+      return;
+    }
+    if (!ACTIVITY_KINDS.includes(e.kind)) return;
+    if (last && e.local_date <= last) return;
+    let bridged = !!last;
+    for (let d = dayjs(last).add(1, "day"); last && d.isBefore(dayjs(e.local_date), "day"); d = d.add(1, "day")) {
+      if (!bridgedDates.has(d.format("YYYY-MM-DD"))) bridged = false;
+    }
+    streak = bridged ? streak + 1 : 1;
+    longest = Math.max(longest, streak);
+    last = e.local_date;
+  });
+
+  return {
+    total_xp: totalXP,
+    level,
+    avatar_tier: tier,
+    current_streak: streak,
+    longest_streak: longest,
+    last_active_local_date: last,
+  };
+}
+
+const PROGRESS_FIELDS = ["total_xp", "level", "avatar_tier", "current_streak", "longest_streak"];
+
+// { userId, stored, rebuilt, drift: [field…] } — drift is empty when consistent
+export function checkUserXp(db, userId) {
+  const u = stmts(db).getUser.get(userId);
+  if (!u) return null;
+  const rebuilt = replayLedger(db, userId);
+  const stored = Object.fromEntries(PROGRESS_FIELDS.map((f) => [f, u[f]]));
+  const drift = PROGRESS_FIELDS.filter((f) => (u[f] || 0) !== rebuilt[f]);
+  return { userId, stored, rebuilt, drift };
+}
+
+// Every user whose cached progress disagrees with the ledger
+export function xpConsistencyReport(db) {
+  const users = stmts(db).listUserIds.all();
+  const drifting = users.map(({ id }) => checkUserXp(db, id)).filter((r) => r.drift.length);
+  return { checked: users.length, drifting };
+}
+
+// Overwrite the cached progress with the ledger's view; returns the check from before
+export function rebuildUserXp(db, userId) {
+  const report = checkUserXp(db, userId);
+  if (!report) return null;
+  stmts(db).saveProgress.run({ id: userId, ...report.rebuilt });
+  return report;
+}
+
+/**
+ * What publishing `candidate` would do to real users: each one's ledger is
+ * replayed under it and compared with the live rules. Lists only users whose
+ * level, avatar tier or current multiplier would change.
+ */
+export function rulesImpactReport(db, candidate) {
+  const live = currentRules(db);
+  const users = stmts(db).listUserIds.all();
+  const changed = [];
+  const summary = { checked: users.length, levelUp: 0, levelDown: 0, tierChanged: 0, multiplierChanged: 0 };
+
+  users.forEach(({ id }) => {
+    const now = replayLedger(db, id, { rules: live });
+    const next = replayLedger(db, id, { rules: candidate });
+    const mult = [streakMultiplier(live, now.current_streak), streakMultiplier(candidate, now.current_streak)];
+    if (next.level > now.level) summary.levelUp++;
+    if (next.level < now.level) summary.levelDown++;
+    if (next.avatar_tier !== now.avatar_tier) summary.tierChanged++;
+    if (mult[0] !== mult[1]) summary.multiplierChanged++;
+    if (next.level === now.level && next.avatar_tier === now.avatar_tier && mult[0] === mult[1]) return;
+    changed.push({
+      userId: id,
+      totalXP: now.total_xp,
+      currentStreak: now.current_streak,
+      level: { live: now.level, candidate: next.level },
+      avatarTier: { live: now.avatar_tier, candidate: next.avatar_tier },
+      streakMultiplier: { live: mult[0], candidate: mult[1] },
+    });
+  });
+  return { summary, users: changed };
+}
@@ -0,0 +1,70 @@
+// evania-backend/mailer.js
+import fs from "node:fs";
+import path from "node:path";
+import { nanoid } from "nanoid";
+
+/**
+ * Pluggable outgoing mail. A transport is any object with
+ * `send({ to, subject, text })` (may return a promise), chosen by MAIL_TRANSPORT:
+ * - "outbox" (default): rows in the app database's mail_outbox table — development and tests
+ * - "file":  one JSON file per message under MAIL_OUTBOX_DIR (./outbox)
+ * - "smtp":  nodemailer over SMTP_URL; nodemailer must be installed separately
+ * createApp() takes any other as config.mailTransport (e.g. a stub in tests).
+ */
+
+const statements = new WeakMap();
+
+function stmts(db) {
+  if (!statements.has(db)) {
+    statements.set(db, {
+      insert: db.prepare(`
+        INSERT INTO mail_outbox(id, to_address, subject, body)
+        VALUES(?, ?, ?, ?)
+      `),
+    });
+  }
+  return statements.get(db);
+}
+
+export function outboxTransport(db) {
+  return {
+    send({ to, subject, text }) {
+      stmts(db).insert.run(nanoid(), to, subject, text);
+    },
+  };
+}
+
+export function fileTransport(dir = process.env.MAIL_OUTBOX_DIR || "./outbox") {
+  return {
+    send(message) {
+      fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${nanoid(6)}.json`);
+      fs.writeFileSync(file, JSON.stringify({ ...message, createdAt: new Date().toISOString() }, null, 2));
+    },
+  };
+}
+
+export function smtpTransport(url = process.env.SMTP_URL, from = process.env.MAIL_FROM) {
+  let transporter;
+  return {
+    async send({ to, subject, text }) {
+      if (!transporter) {
+        const { default: nodemailer } = await import("nodemailer");
+        transporter = nodemailer.createTransport(url);
+      }
+      await transporter.sendMail({ from: from || "Evania <no-reply@evania.app>", to, subject, text });
+    },
+  };
+}
+
+// The transport MAIL_TRANSPORT picks; the outbox lives in `db`
+export function transportFromEnv(db, env = process.env) {
+  switch (env.MAIL_TRANSPORT) {
+    case "file":
+      return fileTransport();
+    case "smtp":
+      return smtpTransport();
+    default:
+      return outboxTransport(db);
+  }
+}
@@ -0,0 +1,17 @@
+// evania-backend/migrations/002_user_auth_prefs.js
+
+// Member A columns that the old migrate.js used to bolt onto early databases.
+export default {
+  version: 2,
+  name: "user_auth_prefs",
+  up(db, h) {
+    h.addColumn(db, "users", "email", "TEXT");
+    h.addColumn(db, "users", "password_hash", "TEXT");
+    h.addColumn(db, "users", "theme_color", "TEXT DEFAULT '#6C7EFF'");
+    h.addColumn(db, "users", "daily_target", "INTEGER DEFAULT 1");
+    h.addColumn(db, "users", "goals_json", "TEXT DEFAULT '[]'");
+    h.addColumn(db, "users", "baseline_mood", "TEXT DEFAULT 'neutral'");
+    h.addColumn(db, "users", "onboarding_done", "INTEGER DEFAULT 0");
+    db.exec("CREATE UNIQUE INDEX IF NOT EXISTS users_email_unique ON users(email);");
+  },
+};
@@ -0,0 +1,22 @@
+// evania-backend/migrations/003_seed_default_quests.js
+
+// Default quest catalog; only seeded into an empty quests table.
+export default {
+  version: 3,
+  name: "seed_default_quests",
+  up(db) {
+    const { c } = db.prepare("SELECT COUNT(*) AS c FROM quests").get();
+    if (c > 0) return;
+
+    const seed = db.prepare(`
+      INSERT INTO quests (id, title, base_points, category, cooldown_sec, active)
+      VALUES (?, ?, ?, ?, ?, 1)
+    `);
+    [
+      ["q1", "2-min Breathing", 10, "mindfulness", 0],
+      ["q2", "Drink Water", 5, "self-care", 3600],
+      ["q3", "10 Push-ups", 12, "fitness", 0],
+      ["q4", "Journal 3 lines", 15, "reflection", 0],
+    ].forEach((r) => seed.run(...r));
+  },
+};
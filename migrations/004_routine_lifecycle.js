@@ -0,0 +1,11 @@
+// evania-backend/migrations/004_routine_lifecycle.js
+
+// Member C: user-defined ordering + soft delete for routines.
+export default {
+  version: 4,
+  name: "routine_lifecycle",
+  up(db, h) {
+    h.addColumn(db, "routines", "sort_order", "INTEGER NOT NULL DEFAULT 0");
+    h.addColumn(db, "routines", "deleted_at", "TEXT");
+  },
+};
@@ -0,0 +1,10 @@
+// evania-backend/migrations/005_routine_recurrence.js
+
+// Member C: recurrence rules (see recurrence.js). Existing routines stay daily.
+export default {
+  version: 5,
+  name: "routine_recurrence",
+  up(db, h) {
+    h.addColumn(db, "routines", "recurrence_json", `TEXT NOT NULL DEFAULT '{"type":"daily"}'`);
+  },
+};
@@ -0,0 +1,26 @@
+// evania-backend/migrations/006_streak_freezes.js
+
+// Streak freeze tokens, grace days and the log of bridged days.
+export default {
+  version: 6,
+  name: "streak_freezes",
+  up(db, h) {
+    h.addColumn(db, "users", "streak_freezes", "INTEGER NOT NULL DEFAULT 0");
+    h.addColumn(db, "users", "streak_grace_days", "INTEGER NOT NULL DEFAULT 0");
+    h.addColumn(db, "users", "freeze_grant_week", "TEXT");
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS streak_freeze_uses (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        local_date TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS streak_freeze_uses_user_date_idx
+        ON streak_freeze_uses(user_id, local_date);
+    `);
+  },
+};
@@ -0,0 +1,53 @@
+// evania-backend/migrations/007_quest_admin.js
+
+// Quest catalog administration: user roles, first-class categories (backfilled
+// from quests.category, which now references them) and a quest change log.
+export default {
+  version: 7,
+  name: "quest_admin",
+  up(db, h) {
+    h.addColumn(db, "users", "role", "TEXT NOT NULL DEFAULT 'user'");
+
+    db.exec(`
+      CREATE TABLE quest_categories (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+
+      INSERT INTO quest_categories (id, name)
+      SELECT DISTINCT category, upper(substr(category, 1, 1)) || substr(category, 2)
+      FROM quests
+      WHERE category IS NOT NULL;
+
+      CREATE TABLE quest_changes (
+        id TEXT PRIMARY KEY,
+        quest_id TEXT NOT NULL,
+        changed_by TEXT NOT NULL,
+        action TEXT NOT NULL,
+        before_json TEXT,
+        after_json TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        FOREIGN KEY(quest_id) REFERENCES quests(id),
+        FOREIGN KEY(changed_by) REFERENCES users(id)
+      );
+
+      CREATE INDEX quest_changes_quest_idx ON quest_changes(quest_id, created_at);
+    `);
+
+    h.rebuildTable(
+      db,
+      "quests",
+      `CREATE TABLE quests (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        base_points INTEGER NOT NULL,
+        category TEXT,
+        cooldown_sec INTEGER NOT NULL DEFAULT 0,
+        active INTEGER NOT NULL DEFAULT 1,
+        FOREIGN KEY(category) REFERENCES quest_categories(id)
+      )`
+    );
+  },
+};
@@ -0,0 +1,28 @@
+// evania-backend/migrations/008_auth_sessions.js
+
+// Server-side sessions for rotating refresh tokens (hashes only, never the token).
+export default {
+  version: 8,
+  name: "auth_sessions",
+  up(db) {
+    db.exec(`
+      CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        refresh_hash TEXT NOT NULL UNIQUE,
+        prev_refresh_hash TEXT,
+        device_name TEXT,
+        user_agent TEXT,
+        ip TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        last_used_at TEXT NOT NULL DEFAULT (datetime('now')),
+        expires_at TEXT NOT NULL,
+        revoked_at TEXT,
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+
+      CREATE INDEX sessions_user_idx ON sessions(user_id);
+      CREATE INDEX sessions_prev_refresh_idx ON sessions(prev_refresh_hash);
+    `);
+  },
+};
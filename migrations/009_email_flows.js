@@ -0,0 +1,35 @@
+// evania-backend/migrations/009_email_flows.js
+
+// Password reset / email verification / email change tokens, plus the local
+// outbox the development mailer writes to.
+export default {
+  version: 9,
+  name: "email_flows",
+  up(db, h) {
+    h.addColumn(db, "users", "email_verified", "INTEGER NOT NULL DEFAULT 0");
+
+    db.exec(`
+      CREATE TABLE auth_tokens (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        purpose TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        new_email TEXT,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+
+      CREATE INDEX auth_tokens_user_purpose_idx ON auth_tokens(user_id, purpose);
+
+      CREATE TABLE mail_outbox (
+        id TEXT PRIMARY KEY,
+        to_address TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        body TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+    `);
+  },
+};
@@ -0,0 +1,23 @@
+// evania-backend/migrations/010_checkins.js
+
+// Daily mood + journal check-ins, one per user per local date.
+export default {
+  version: 10,
+  name: "checkins",
+  up(db) {
+    db.exec(`
+      CREATE TABLE checkins (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        local_date TEXT NOT NULL,
+        mood_score INTEGER NOT NULL,
+        tags_json TEXT NOT NULL DEFAULT '[]',
+        journal TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+        UNIQUE(user_id, local_date),
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+    `);
+  },
+};
@@ -0,0 +1,49 @@
+// evania-backend/migrations/011_achievements.js
+
+// Data-driven achievements: rule rows evaluated by achievements.js, plus
+// which user unlocked what. Run `node achievements.js backfill` afterwards to
+// credit existing history.
+export default {
+  version: 11,
+  name: "achievements",
+  up(db) {
+    db.exec(`
+      CREATE TABLE achievements (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        description TEXT NOT NULL,
+        rule_type TEXT NOT NULL,
+        params_json TEXT NOT NULL DEFAULT '{}',
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        active INTEGER NOT NULL DEFAULT 1
+      );
+
+      CREATE TABLE user_achievements (
+        user_id TEXT NOT NULL,
+        achievement_id TEXT NOT NULL,
+        unlocked_at TEXT NOT NULL,
+        PRIMARY KEY(user_id, achievement_id),
+        FOREIGN KEY(user_id) REFERENCES users(id),
+        FOREIGN KEY(achievement_id) REFERENCES achievements(id)
+      );
+    `);
+
+    const seed = db.prepare(`
+      INSERT INTO achievements (id, title, description, rule_type, params_json, sort_order)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    [
+      ["streak-3", "Warming up", "Keep a 3-day streak", "streak", { days: 3 }],
+      ["streak-7", "One week strong", "Keep a 7-day streak", "streak", { days: 7 }],
+      ["streak-30", "Unstoppable", "Keep a 30-day streak", "streak", { days: 30 }],
+      ["quests-10", "Quest explorer", "Complete 10 quests", "quest_count", { count: 10 }],
+      ["quests-100", "Centurion", "Complete 100 quests", "quest_count", { count: 100 }],
+      ["all-categories-week", "Well-rounded", "Do a quest from every category in one week", "categories_in_week", {}],
+      ["routine-target-30", "Habit formed", "Hit a routine's daily target on 30 days", "routine_target_days", { days: 30 }],
+      ["level-5", "Rising", "Reach level 5", "level", { level: 5 }],
+      ["level-10", "Seasoned", "Reach level 10", "level", { level: 10 }],
+    ].forEach(([id, title, description, type, params], i) =>
+      seed.run(id, title, description, type, JSON.stringify(params), i)
+    );
+  },
+};
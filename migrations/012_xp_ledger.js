@@ -0,0 +1,45 @@
+// evania-backend/migrations/012_xp_ledger.js
+
+// Append-only XP ledger. Backfilled from runs + routine_logs so the rebuild
+// in ledger.js starts from the full history. Rows can only be deleted once
+// their user row is gone (account purge).
+export default {
+  version: 12,
+  name: "xp_ledger",
+  up(db) {
+    db.exec(`
+      CREATE TABLE xp_events (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        ref_id TEXT,
+        amount INTEGER NOT NULL,
+        local_date TEXT NOT NULL,
+        reverses_id TEXT,
+        note TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY(reverses_id) REFERENCES xp_events(id)
+      );
+
+      CREATE INDEX xp_events_user_idx ON xp_events(user_id, created_at);
+      CREATE INDEX xp_events_ref_idx ON xp_events(kind, ref_id);
+
+      CREATE TRIGGER xp_events_no_update BEFORE UPDATE ON xp_events
+      BEGIN
+        SELECT RAISE(ABORT, 'xp_events is append-only');
+      END;
+
+      CREATE TRIGGER xp_events_no_delete BEFORE DELETE ON xp_events
+      WHEN EXISTS (SELECT 1 FROM users WHERE id = OLD.user_id)
+      BEGIN
+        SELECT RAISE(ABORT, 'xp_events is append-only');
+      END;
+
+      INSERT INTO xp_events (id, user_id, kind, ref_id, amount, local_date, created_at)
+      SELECT 'run:' || id, user_id, 'quest', id, gained_xp, local_date, created_at FROM runs;
+
+      INSERT INTO xp_events (id, user_id, kind, ref_id, amount, local_date, created_at)
+      SELECT 'log:' || id, user_id, 'routine', id, gained_xp, local_date, created_at FROM routine_logs;
+    `);
+  },
+};
@@ -0,0 +1,48 @@
+// evania-backend/migrations/013_sync_changes.js
+
+// Per-user change feed for offline sync pulls. Triggers record every write to
+// the synced tables, so handlers don't have to remember to.
+const SYNCED = [
+  ["runs", "run"],
+  ["routine_logs", "routine_log"],
+  ["routines", "routine"],
+  ["checkins", "checkin"],
+];
+
+export default {
+  version: 13,
+  name: "sync_changes",
+  up(db) {
+    db.exec(`
+      CREATE TABLE sync_changes (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        entity TEXT NOT NULL,
+        entity_id TEXT NOT NULL,
+        op TEXT NOT NULL,
+        changed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE INDEX sync_changes_user_seq_idx ON sync_changes(user_id, seq);
+    `);
+
+    SYNCED.forEach(([table, entity]) => {
+      db.exec(`
+        CREATE TRIGGER ${table}_sync_insert AFTER INSERT ON ${table}
+        BEGIN
+          INSERT INTO sync_changes(user_id, entity, entity_id, op) VALUES (NEW.user_id, '${entity}', NEW.id, 'upsert');
+        END;
+
+        CREATE TRIGGER ${table}_sync_update AFTER UPDATE ON ${table}
+        BEGIN
+          INSERT INTO sync_changes(user_id, entity, entity_id, op) VALUES (NEW.user_id, '${entity}', NEW.id, 'upsert');
+        END;
+
+        CREATE TRIGGER ${table}_sync_delete AFTER DELETE ON ${table}
+        BEGIN
+          INSERT INTO sync_changes(user_id, entity, entity_id, op) VALUES (OLD.user_id, '${entity}', OLD.id, 'delete');
+        END;
+      `);
+    });
+  },
+};
@@ -0,0 +1,23 @@
+// evania-backend/migrations/014_idempotency_keys.js
+
+// Stored responses for Idempotency-Key retries. status_code is NULL while the
+// first request with a key is still being handled.
+export default {
+  version: 14,
+  name: "idempotency_keys",
+  up(db) {
+    db.exec(`
+      CREATE TABLE idempotency_keys (
+        scope TEXT NOT NULL,
+        key TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        status_code INTEGER,
+        response_json TEXT,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY(scope, key)
+      );
+
+      CREATE INDEX idempotency_keys_created_idx ON idempotency_keys(created_at);
+    `);
+  },
+};
@@ -0,0 +1,29 @@
+// evania-backend/migrations/015_account_deletion.js
+
+// Scheduled account deletion, and a nullable quest_changes.changed_by so the
+// admin audit trail survives (anonymized) when its author's account is purged.
+export default {
+  version: 15,
+  name: "account_deletion",
+  up(db, h) {
+    h.addColumn(db, "users", "deletion_requested_at", "TEXT");
+    h.addColumn(db, "users", "purge_after", "TEXT");
+    db.exec("CREATE INDEX users_purge_after_idx ON users(purge_after) WHERE purge_after IS NOT NULL;");
+
+    h.rebuildTable(
+      db,
+      "quest_changes",
+      `CREATE TABLE quest_changes (
+        id TEXT PRIMARY KEY,
+        quest_id TEXT NOT NULL,
+        changed_by TEXT,
+        action TEXT NOT NULL,
+        before_json TEXT,
+        after_json TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        FOREIGN KEY(quest_id) REFERENCES quests(id),
+        FOREIGN KEY(changed_by) REFERENCES users(id)
+      )`
+    );
+  },
+};
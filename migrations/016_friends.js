@@ -0,0 +1,32 @@
+// evania-backend/migrations/016_friends.js
+
+// Accountability partners: friend requests/friendships, per-user invite codes
+// and privacy settings for what partners can see.
+export default {
+  version: 16,
+  name: "friends",
+  up(db, h) {
+    h.addColumn(db, "users", "invite_code", "TEXT");
+    h.addColumn(db, "users", "privacy_json", "TEXT NOT NULL DEFAULT '{}'");
+
+    db.exec(`
+      CREATE UNIQUE INDEX users_invite_code_idx ON users(invite_code) WHERE invite_code IS NOT NULL;
+
+      -- one row per pair: pending until the addressee accepts
+      CREATE TABLE friendships (
+        id TEXT PRIMARY KEY,
+        requester_id TEXT NOT NULL,
+        addressee_id TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        accepted_at TEXT,
+        UNIQUE(requester_id, addressee_id),
+        CHECK (requester_id <> addressee_id),
+        FOREIGN KEY(requester_id) REFERENCES users(id),
+        FOREIGN KEY(addressee_id) REFERENCES users(id)
+      );
+
+      CREATE INDEX friendships_addressee_idx ON friendships(addressee_id, status);
+    `);
+  },
+};
@@ -0,0 +1,50 @@
+// evania-backend/migrations/017_challenges.js
+
+/**
+ * Time-boxed group challenges. Progress is never stored: it is counted from
+ * runs / routine_logs inside [starts_on, ends_on]. Participants only record
+ * when their completion bonus was paid.
+ */
+export default {
+  version: 17,
+  name: "challenges",
+  up(db) {
+    db.exec(`
+      CREATE TABLE challenges (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        created_by TEXT,
+        mode TEXT NOT NULL DEFAULT 'individual',   -- individual | team
+        metric TEXT NOT NULL DEFAULT 'count',      -- count | xp
+        source TEXT NOT NULL DEFAULT 'quests',     -- quests | routines | all
+        quest_id TEXT,
+        category TEXT,
+        target INTEGER NOT NULL,
+        bonus_xp INTEGER NOT NULL DEFAULT 0,
+        starts_on TEXT NOT NULL,
+        ends_on TEXT NOT NULL,
+        visibility TEXT NOT NULL DEFAULT 'public', -- public | private (join code only)
+        join_code TEXT NOT NULL UNIQUE,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        FOREIGN KEY(created_by) REFERENCES users(id),
+        FOREIGN KEY(quest_id) REFERENCES quests(id),
+        FOREIGN KEY(category) REFERENCES quest_categories(id)
+      );
+
+      CREATE INDEX challenges_window_idx ON challenges(ends_on);
+
+      CREATE TABLE challenge_participants (
+        challenge_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        joined_at TEXT NOT NULL DEFAULT (datetime('now')),
+        completed_at TEXT,
+        bonus_paid INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY(challenge_id, user_id),
+        FOREIGN KEY(challenge_id) REFERENCES challenges(id),
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+
+      CREATE INDEX challenge_participants_user_idx ON challenge_participants(user_id);
+    `);
+  },
+};
@@ -0,0 +1,57 @@
+// evania-backend/migrations/018_reminders.js
+
+/**
+ * Routine reminders and push delivery: device tokens, reminder times per
+ * routine (HH:MM in the user's zone), notification preferences on users and
+ * a log of every notification, which doubles as the send-once guard.
+ */
+export default {
+  version: 18,
+  name: "reminders",
+  up(db, h) {
+    h.addColumn(db, "users", "notify_json", "TEXT NOT NULL DEFAULT '{}'");
+
+    db.exec(`
+      CREATE TABLE push_tokens (
+        token TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        platform TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        last_seen_at TEXT NOT NULL DEFAULT (datetime('now')),
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+
+      CREATE INDEX push_tokens_user_idx ON push_tokens(user_id);
+
+      CREATE TABLE routine_reminders (
+        id TEXT PRIMARY KEY,
+        routine_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        time TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        UNIQUE(routine_id, time),
+        FOREIGN KEY(routine_id) REFERENCES routines(id),
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+
+      CREATE INDEX routine_reminders_user_idx ON routine_reminders(user_id);
+
+      -- kind: reminder (ref_id = routine, slot = HH:MM) | nudge (one per day)
+      CREATE TABLE notifications (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        ref_id TEXT NOT NULL DEFAULT '',
+        local_date TEXT NOT NULL,
+        slot TEXT NOT NULL DEFAULT '',
+        title TEXT NOT NULL,
+        body TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        error TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        UNIQUE(user_id, kind, ref_id, local_date, slot),
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+    `);
+  },
+};
@@ -0,0 +1,32 @@
+// evania-backend/migrations/019_rule_versions.js
+
+/**
+ * Versioned gamification rules (level curve, streak multiplier, avatar tiers;
+ * see rules.js). The highest version is live. Version 1 is the curve the app
+ * always had.
+ */
+const V1 = {
+  level: { base: 4, exponent: 0.5 },
+  streak: { perDay: 0.05, perDayCap: 0.5, perFullWeek: 0.1 },
+  avatar: { levelsPerTier: 5 },
+};
+
+export default {
+  version: 19,
+  name: "rule_versions",
+  up(db) {
+    db.exec(`
+      CREATE TABLE rule_versions (
+        version INTEGER PRIMARY KEY,
+        rules_json TEXT NOT NULL,
+        note TEXT,
+        created_by TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+    `);
+    db.prepare("INSERT INTO rule_versions(version, rules_json, note) VALUES(1, ?, ?)").run(
+      JSON.stringify(V1),
+      "original rules"
+    );
+  },
+};
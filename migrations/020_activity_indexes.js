@@ -0,0 +1,16 @@
+// evania-backend/migrations/020_activity_indexes.js
+
+/**
+ * The activity feed pages through runs and routine_logs newest first by
+ * (created_at, id); these indexes let each page start right at the cursor.
+ */
+export default {
+  version: 20,
+  name: "activity_indexes",
+  up(db) {
+    db.exec(`
+      CREATE INDEX runs_user_created_idx ON runs(user_id, created_at, id);
+      CREATE INDEX routine_logs_user_created_idx ON routine_logs(user_id, created_at, id);
+    `);
+  },
+};
@@ -0,0 +1,41 @@
+// evania-backend/migrations/021_abuse_protection.js
+
+/**
+ * Counters for the SQLite rate-limit store (see ratelimit.js) and a review
+ * queue of suspicious activity — for now days on which a user hit the daily
+ * XP cap, one row per user, kind and local date.
+ */
+export default {
+  version: 21,
+  name: "abuse_protection",
+  up(db) {
+    db.exec(`
+      -- reset_at: epoch ms at which the window ends
+      CREATE TABLE rate_limits (
+        key TEXT PRIMARY KEY,
+        count INTEGER NOT NULL,
+        reset_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX rate_limits_reset_idx ON rate_limits(reset_at);
+
+      -- kind: daily_xp_cap
+      CREATE TABLE abuse_flags (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        local_date TEXT NOT NULL,
+        hits INTEGER NOT NULL DEFAULT 1,
+        detail_json TEXT NOT NULL DEFAULT '{}',
+        created_at TEXT NOT NULL,
+        last_seen_at TEXT NOT NULL,
+        reviewed_at TEXT,
+        reviewed_by TEXT,
+        UNIQUE(user_id, kind, local_date),
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+
+      CREATE INDEX abuse_flags_open_idx ON abuse_flags(reviewed_at, last_seen_at);
+    `);
+  },
+};
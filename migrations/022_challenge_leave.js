@@ -0,0 +1,21 @@
+// evania-backend/migrations/022_challenge_leave.js
+
+/**
+ * Leaving a challenge now keeps the participant row (left_at set), so a
+ * completion bonus already paid stays on record and can't be earned again by
+ * leaving and rejoining. Only admin-created challenges carry bonus XP from
+ * here on; bonuses on existing user-created ones are dropped.
+ */
+export default {
+  version: 22,
+  name: "challenge_leave",
+  up(db, h) {
+    h.addColumn(db, "challenge_participants", "left_at", "TEXT");
+
+    db.exec(`
+      UPDATE challenges SET bonus_xp = 0
+      WHERE bonus_xp > 0
+        AND (created_by IS NULL OR created_by NOT IN (SELECT id FROM users WHERE role = 'admin'));
+    `);
+  },
+};
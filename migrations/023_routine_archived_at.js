@@ -0,0 +1,23 @@
+// evania-backend/migrations/023_routine_archived_at.js
+
+/**
+ * When a routine stopped counting as due (archived or deleted), so insights
+ * can keep it in the targets of the days before. Routines already inactive
+ * get their deletion time, else their last log, else their creation time.
+ */
+export default {
+  version: 23,
+  name: "routine_archived_at",
+  up(db, h) {
+    h.addColumn(db, "routines", "archived_at", "TEXT");
+
+    db.exec(`
+      UPDATE routines SET archived_at = COALESCE(
+        deleted_at,
+        (SELECT MAX(l.created_at) FROM routine_logs l WHERE l.routine_id = routines.id),
+        created_at
+      )
+      WHERE active = 0;
+    `);
+  },
+};
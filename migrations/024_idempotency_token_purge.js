@@ -0,0 +1,13 @@
+// evania-backend/migrations/024_idempotency_token_purge.js
+
+// Token-issuing routes no longer store their responses for Idempotency-Key
+// replays; drop the ones stored before, which held live access / refresh tokens.
+export default {
+  version: 24,
+  name: "idempotency_token_purge",
+  up(db) {
+    db.exec(`
+      DELETE FROM idempotency_keys WHERE response_json LIKE '%"refreshToken":%';
+    `);
+  },
+};
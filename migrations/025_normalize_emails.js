@@ -0,0 +1,33 @@
+// evania-backend/migrations/025_normalize_emails.js
+import { normalizeEmail } from "../validation.js";
+
+// Emails are now stored and looked up trimmed and lowercased. Rewrite the ones
+// stored before; an address whose normalized form another account already
+// holds is left as it was (and reported) for an admin to merge by hand.
+export default {
+  version: 25,
+  name: "normalize_emails",
+  up(db) {
+    const taken = new Set(
+      db.prepare("SELECT email FROM users WHERE email IS NOT NULL").all().map((r) => r.email)
+    );
+    const setEmail = db.prepare("UPDATE users SET email = ? WHERE id = ?");
+    const rows = db.prepare("SELECT id, email FROM users WHERE email IS NOT NULL").all();
+    for (const { id, email } of rows) {
+      const normalized = normalizeEmail(email);
+      if (normalized === email) continue;
+      if (taken.has(normalized)) {
+        console.warn(`users.${id}: email ${email} collides with another account, left unchanged`);
+        continue;
+      }
+      taken.delete(email);
+      taken.add(normalized);
+      setEmail.run(normalized, id);
+    }
+
+    const setNewEmail = db.prepare("UPDATE auth_tokens SET new_email = ? WHERE id = ?");
+    db.prepare("SELECT id, new_email FROM auth_tokens WHERE new_email IS NOT NULL")
+      .all()
+      .forEach((t) => setNewEmail.run(normalizeEmail(t.new_email), t.id));
+  },
+};
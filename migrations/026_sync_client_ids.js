@@ -0,0 +1,21 @@
+// evania-backend/migrations/026_sync_client_ids.js
+
+/**
+ * Offline sync keeps the client's event id in client_id, unique per user,
+ * and stores the row under a server id — so one account's ids can't collide
+ * with (or probe for) another's. Rows so far were stored under the client id.
+ */
+export default {
+  version: 26,
+  name: "sync_client_ids",
+  up(db, h) {
+    h.addColumn(db, "runs", "client_id", "TEXT");
+    h.addColumn(db, "routine_logs", "client_id", "TEXT");
+    db.exec(`
+      UPDATE runs SET client_id = id;
+      UPDATE routine_logs SET client_id = id;
+      CREATE UNIQUE INDEX runs_user_client_idx ON runs(user_id, client_id) WHERE client_id IS NOT NULL;
+      CREATE UNIQUE INDEX routine_logs_user_client_idx ON routine_logs(user_id, client_id) WHERE client_id IS NOT NULL;
+    `);
+  },
+};
@@ -0,0 +1,11 @@
+// evania-backend/migrations/027_friend_requests_by_email.js
+
+// Friend requests sent by email stay out of the sender's outgoing list until
+// accepted, so the list can't confirm that an address has an account.
+export default {
+  version: 27,
+  name: "friend_requests_by_email",
+  up(db, h) {
+    h.addColumn(db, "friendships", "via_email", "INTEGER NOT NULL DEFAULT 0");
+  },
+};
@@ -0,0 +1,67 @@
+// evania-backend/migrations/helpers.js
+
+/**
+ * Small schema helpers handed to every migration's up(db, h).
+ * All of them run inside the migration's transaction.
+ */
+
+export function hasTable(db, table) {
+  return !!db
+    .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?")
+    .get(table);
+}
+
+export function hasColumn(db, table, name) {
+  const rows = db.prepare(`PRAGMA table_info(${table});`).all();
+  return rows.some((r) => r.name === name);
+}
+
+// ALTER TABLE … ADD COLUMN, skipped if the column is already there
+export function addColumn(db, table, name, definition) {
+  if (hasColumn(db, table, name)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition};`);
+  return true;
+}
+
+/**
+ * Rebuild a table with a new definition (SQLite can't drop/alter most
+ * constraints in place). Follows the create-copy-drop-rename recipe:
+ *
+ *   rebuildTable(db, "quests", `CREATE TABLE quests (...)`, {
+ *     columns: ["id", "title", ...],          // copied as-is (default: shared columns)
+ *     select: { category: "COALESCE(category, 'general')" }, // per-column expressions
+ *   });
+ *
+ * The old table's indexes and triggers are read from sqlite_master before the
+ * copy and re-created on the new table. One that no longer fits the new
+ * columns fails the migration; pass `indexes` (CREATE statements) to replace
+ * the whole set instead.
+ * The runner disables foreign keys around migrations and runs
+ * PRAGMA foreign_key_check before committing.
+ */
+export function rebuildTable(db, table, createSql, opts = {}) {
+  const tmp = `${table}__new`;
+  const oldCols = db.prepare(`PRAGMA table_info(${table});`).all().map((c) => c.name);
+  const savedSql =
+    opts.indexes ||
+    db
+      .prepare(
+        "SELECT sql FROM sqlite_master WHERE tbl_name = ? AND type IN ('index', 'trigger') AND sql IS NOT NULL"
+      )
+      .all(table)
+      .map((r) => r.sql);
+
+  db.exec(createSql.replace(new RegExp(`CREATE TABLE\\s+(IF NOT EXISTS\\s+)?${table}\\b`, "i"), `CREATE TABLE ${tmp}`));
+
+  const newCols = db.prepare(`PRAGMA table_info(${tmp});`).all().map((c) => c.name);
+  const select = opts.select || {};
+  const cols = (opts.columns || newCols.filter((c) => oldCols.includes(c) || select[c]));
+
+  db.exec(`
+    INSERT INTO ${tmp} (${cols.join(", ")})
+    SELECT ${cols.map((c) => select[c] || c).join(", ")} FROM ${table};
+  `);
+  db.exec(`DROP TABLE ${table};`);
+  db.exec(`ALTER TABLE ${tmp} RENAME TO ${table};`);
+  savedSql.forEach((stmt) => db.exec(stmt));
+}
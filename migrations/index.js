@@ -0,0 +1,35 @@
+// evania-backend/migrations/index.js
+import m001 from "./001_initial_schema.js";
+import m002 from "./002_user_auth_prefs.js";
+import m003 from "./003_seed_default_quests.js";
+import m004 from "./004_routine_lifecycle.js";
+import m005 from "./005_routine_recurrence.js";
+import m006 from "./006_streak_freezes.js";
+import m007 from "./007_quest_admin.js";
+import m008 from "./008_auth_sessions.js";
+import m009 from "./009_email_flows.js";
+import m010 from "./010_checkins.js";
+import m011 from "./011_achievements.js";
+import m012 from "./012_xp_ledger.js";
+import m013 from "./013_sync_changes.js";
+import m014 from "./014_idempotency_keys.js";
+import m015 from "./015_account_deletion.js";
+import m016 from "./016_friends.js";
+import m017 from "./017_challenges.js";
+import m018 from "./018_reminders.js";
+import m019 from "./019_rule_versions.js";
+import m020 from "./020_activity_indexes.js";
+import m021 from "./021_abuse_protection.js";
+import m022 from "./022_challenge_leave.js";
+import m023 from "./023_routine_archived_at.js";
+import m024 from "./024_idempotency_token_purge.js";
+import m025 from "./025_normalize_emails.js";
+import m026 from "./026_sync_client_ids.js";
+import m027 from "./027_friend_requests_by_email.js";
+
+/**
+ * Every migration, in order. To change the schema add a new
+ * NNN_description.js file exporting { version, name, up(db, h) } and list it
+ * here — never edit a migration that has already shipped.
+ */
+export const migrations = [m001, m002, m003, m004, m005, m006, m007, m008, m009, m010, m011, m012, m013, m014, m015, m016, m017, m018, m019, m020, m021, m022, m023, m024, m025, m026, m027];
@@ -0,0 +1,86 @@
+// evania-backend/migrations/runner.js
+import * as helpers from "./helpers.js";
+import { migrations } from "./index.js";
+
+/**
+ * Versioned migrations tracked in schema_migrations.
+ *
+ * Each pending migration runs in its own transaction with foreign keys
+ * switched off (so table rebuilds work), and is rejected if it leaves more
+ * foreign-key violations behind than there were before it ran.
+ */
+
+const label = (m) => `${String(m.version).padStart(3, "0")}_${m.name}`;
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+  `);
+}
+
+function assertOrdered(list) {
+  list.forEach((m, i) => {
+    if (!Number.isInteger(m.version) || typeof m.up !== "function") {
+      throw new Error(`Malformed migration at position ${i}`);
+    }
+    if (i > 0 && m.version <= list[i - 1].version) {
+      throw new Error(`Migration ${label(m)} is out of order`);
+    }
+  });
+}
+
+// [{ version, name, appliedAt }] — appliedAt is null for pending migrations
+export function migrationStatus(db, list = migrations) {
+  assertOrdered(list);
+  ensureMigrationsTable(db);
+  const applied = new Map(
+    db.prepare("SELECT version, applied_at FROM schema_migrations").all().map((r) => [r.version, r.applied_at])
+  );
+  return list.map((m) => ({ version: m.version, name: m.name, appliedAt: applied.get(m.version) || null }));
+}
+
+/**
+ * Apply every pending migration. With { dryRun: true } they all run inside
+ * one transaction that is rolled back at the end, so later migrations see
+ * the effect of earlier ones but nothing is written.
+ * Returns the migrations that were (or would have been) applied.
+ */
+export function migrate(db, { dryRun = false, log = console.log, list = migrations } = {}) {
+  const pendingVersions = new Set(
+    migrationStatus(db, list).filter((s) => !s.appliedAt).map((s) => s.version)
+  );
+  const pending = list.filter((m) => pendingVersions.has(m.version));
+  if (!pending.length) return [];
+
+  const fkWasOn = db.pragma("foreign_keys", { simple: true });
+  const fkViolations = () => db.pragma("foreign_key_check").length;
+  db.pragma("foreign_keys = OFF");
+
+  if (dryRun) db.exec("BEGIN");
+  try {
+    for (const m of pending) {
+      const before = fkViolations();
+      db.exec(dryRun ? "SAVEPOINT migration" : "BEGIN");
+      try {
+        m.up(db, helpers);
+        if (fkViolations() > before) {
+          throw new Error("foreign key violations introduced");
+        }
+        db.prepare("INSERT INTO schema_migrations(version, name) VALUES(?, ?)").run(m.version, m.name);
+        db.exec(dryRun ? "RELEASE migration" : "COMMIT");
+        log(`${dryRun ? "[dry-run] would apply" : "Applied"} migration ${label(m)}`);
+      } catch (e) {
+        db.exec(dryRun ? "ROLLBACK TO migration" : "ROLLBACK");
+        throw new Error(`Migration ${label(m)} failed: ${e.message}`);
+      }
+    }
+  } finally {
+    if (dryRun) db.exec("ROLLBACK");
+    db.pragma(`foreign_keys = ${fkWasOn ? "ON" : "OFF"}`);
+  }
+  return pending;
+}
@@ -0,0 +1,67 @@
+// evania-backend/notifier.js
+
+/**
+ * Pluggable push delivery for reminders and nudges. A transport is any object
+ * with `send({ tokens, title, body, data })` that may return a promise of
+ * `{ invalidTokens: [...] }` (tokens the provider says are gone; they get
+ * unregistered). Chosen by PUSH_TRANSPORT:
+ * - "log": print to the console — the default with NODE_ENV=development
+ * - "expo": Expo's push API (EXPO_ACCESS_TOKEN optional)
+ * - "none": no transport — the default otherwise, so titles and bodies never
+ *   end up in production logs; the scheduler records notifications as
+ *   "skipped" instead of "sent"
+ * createApp() takes any other as config.pushTransport (e.g. memoryTransport()
+ * in tests).
+ */
+
+const EXPO_PUSH_URL = "https://exp.host/--/api/v2/push/send";
+
+export const logTransport = {
+  send({ tokens, title, body }) {
+    console.log(`[push] ${tokens.length} device(s): ${title} — ${body}`);
+  },
+};
+
+// Keeps every message in `sent` instead of delivering it
+export function memoryTransport() {
+  const sent = [];
+  return {
+    sent,
+    send(message) {
+      sent.push(message);
+    },
+  };
+}
+
+export function expoTransport(accessToken = process.env.EXPO_ACCESS_TOKEN) {
+  return {
+    async send({ tokens, title, body, data }) {
+      const res = await fetch(EXPO_PUSH_URL, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          ...(accessToken ? { authorization: `Bearer ${accessToken}` } : {}),
+        },
+        body: JSON.stringify(tokens.map((to) => ({ to, title, body, data, sound: "default" }))),
+      });
+      if (!res.ok) throw new Error(`Expo push failed with ${res.status}`);
+      const { data: tickets = [] } = await res.json();
+      const invalidTokens = tickets
+        .map((t, i) => (t.details?.error === "DeviceNotRegistered" ? tokens[i] : null))
+        .filter(Boolean);
+      return { invalidTokens };
+    },
+  };
+}
+
+// The transport PUSH_TRANSPORT picks, or null for "none"
+export function pushTransportFromEnv(env = process.env) {
+  const kind = env.PUSH_TRANSPORT || (env.NODE_ENV === "development" ? "log" : "none");
+  if (kind === "expo") return expoTransport();
+  return kind === "log" ? logTransport : null;
+}
+
+export async function sendPush(transport, { tokens, title, body, data = {} }) {
+  const result = await transport.send({ tokens, title, body, data });
+  return { invalidTokens: result?.invalidTokens || [] };
+}
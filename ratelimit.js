@@ -0,0 +1,142 @@
+// evania-backend/ratelimit.js
+import { sendError } from "./errors.js";
+
+/**
+ * Fixed-window rate limiting and progressive login lockout.
+ *
+ * A store counts hits per key: hit(key, windowSec) starts a window on the
+ * first hit and returns { count, resetAt } (epoch ms by the store's now()).
+ * "memory" keeps the counters in this process; "sqlite" keeps them in the
+ * rate_limits table, so they survive restarts and are shared by every
+ * process on the same database.
+ *
+ *   const store = createRateLimitStore("sqlite", db);
+ *   app.post("/api/auth/login", rateLimit(store, { name: "login-ip", limit: 20, windowSec: 900 }), …)
+ */
+
+export function memoryStore({ now = Date.now } = {}) {
+  const counters = new Map();
+  const live = (key) => {
+    const c = counters.get(key);
+    return c && c.resetAt > now() ? c : null;
+  };
+  return {
+    now,
+    hit(key, windowSec) {
+      let c = live(key);
+      if (!c) {
+        c = { count: 0, resetAt: now() + windowSec * 1000 };
+        counters.set(key, c);
+      }
+      c.count++;
+      return { ...c };
+    },
+    peek(key) {
+      const c = live(key);
+      return c ? { ...c } : null;
+    },
+    reset(key) {
+      counters.delete(key);
+    },
+    prune() {
+      counters.forEach((c, key) => {
+        if (c.resetAt <= now()) counters.delete(key);
+      });
+    },
+  };
+}
+
+const statements = new WeakMap();
+
+function stmts(db) {
+  if (!statements.has(db)) {
+    statements.set(db, {
+      // an expired window restarts at 1 instead of counting on
+      hit: db.prepare(`
+        INSERT INTO rate_limits(key, count, reset_at) VALUES(@key, 1, @reset_at)
+        ON CONFLICT(key) DO UPDATE SET
+          count = CASE WHEN reset_at <= @now THEN 1 ELSE count + 1 END,
+          reset_at = CASE WHEN reset_at <= @now THEN @reset_at ELSE reset_at END
+        RETURNING count, reset_at
+      `),
+      peek: db.prepare("SELECT count, reset_at FROM rate_limits WHERE key = ? AND reset_at > ?"),
+      reset: db.prepare("DELETE FROM rate_limits WHERE key = ?"),
+      prune: db.prepare("DELETE FROM rate_limits WHERE reset_at <= ?"),
+    });
+  }
+  return statements.get(db);
+}
+
+export function sqliteStore(db, { now = Date.now } = {}) {
+  const s = stmts(db);
+  const counter = (row) => (row ? { count: row.count, resetAt: row.reset_at } : null);
+  return {
+    now,
+    hit(key, windowSec) {
+      const t = now();
+      return counter(s.hit.get({ key, now: t, reset_at: t + windowSec * 1000 }));
+    },
+    peek: (key) => counter(s.peek.get(key, now())),
+    reset: (key) => s.reset.run(key),
+    prune: () => s.prune.run(now()),
+  };
+}
+
+export function createRateLimitStore(kind, db, options) {
+  if (kind === "memory") return memoryStore(options);
+  if (kind === "sqlite") return sqliteStore(db, options);
+  throw new Error(`unknown rate limit store "${kind}" (use memory or sqlite)`);
+}
+
+// 429 with Retry-After, shaped like the quest cooldown response
+export function sendTooMany(res, resetAt, code, message, now = Date.now()) {
+  const retryAfterSec = Math.max(Math.ceil((resetAt - now) / 1000), 1);
+  res.set("Retry-After", String(retryAfterSec));
+  return sendError(res, 429, code, message, { details: { retryAfterSec } });
+}
+
+/**
+ * Route middleware allowing `limit` requests per `windowSec` for each value
+ * of key(req) — the client IP by default. A limit of 0, or a request without
+ * a key, is let through.
+ */
+export function rateLimit(store, { name, limit, windowSec, key = (req) => req.ip }) {
+  return (req, res, next) => {
+    const k = key(req);
+    if (!limit || !k) return next();
+    const { count, resetAt } = store.hit(`${name}:${k}`, windowSec);
+    res.set("RateLimit-Limit", String(limit));
+    res.set("RateLimit-Remaining", String(Math.max(limit - count, 0)));
+    if (count > limit) {
+      return sendTooMany(res, resetAt, "rate_limited", "Too many requests, try again later", store.now());
+    }
+    next();
+  };
+}
+
+/**
+ * Progressive lockout per account key (the normalized email, whether or not
+ * such an account exists). Once `threshold` failures pile up inside
+ * `windowSec`, every further failure locks the key for
+ * baseSec × 2^(failures − threshold) seconds, capped at maxSec. A successful
+ * login clears both.
+ */
+export function loginLockout(store, { threshold = 5, windowSec = 3600, baseSec = 30, maxSec = 3600 } = {}) {
+  return {
+    // epoch ms until which `key` is locked, or null
+    lockedUntil(key) {
+      return store.peek(`lock:${key}`)?.resetAt ?? null;
+    },
+    // records a failed attempt; returns the new lock's end, or null below the threshold
+    recordFailure(key) {
+      const { count } = store.hit(`fail:${key}`, windowSec);
+      if (count < threshold) return null;
+      store.reset(`lock:${key}`);
+      return store.hit(`lock:${key}`, Math.min(baseSec * 2 ** (count - threshold), maxSec)).resetAt;
+    },
+    recordSuccess(key) {
+      store.reset(`fail:${key}`);
+      store.reset(`lock:${key}`);
+    },
+  };
+}
@@ -0,0 +1,116 @@
+// evania-backend/recurrence.js
+import dayjs from "dayjs";
+import isoWeek from "dayjs/plugin/isoWeek.js";
+
+dayjs.extend(isoWeek);
+
+/**
+ * Routine recurrence rules (stored as JSON in routines.recurrence_json):
+ * - { type: "daily" }                          every day (the old behaviour)
+ * - { type: "weekdays", days: [1, 3, 5] }      ISO weekdays, 1 = Mon … 7 = Sun
+ * - { type: "interval", every: 3, anchor }     every N days counted from anchor (YYYY-MM-DD)
+ * - { type: "per_week", times: 3 }             X completed days per ISO week, any days
+ */
+export const DAILY = { type: "daily" };
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate a client-supplied rule. Returns { rule } or { error }.
+ * `defaultAnchor` is used for interval rules that don't carry their own.
+ */
+export function normalizeRecurrence(input, defaultAnchor) {
+  if (input === undefined || input === null) return { rule: DAILY };
+  if (typeof input !== "object") return { error: "recurrence must be an object" };
+
+  switch (input.type) {
+    case "daily":
+      return { rule: DAILY };
+
+    case "weekdays": {
+      const days = Array.isArray(input.days) ? input.days : [];
+      if (!days.length || !days.every((d) => Number.isInteger(d) && d >= 1 && d <= 7)) {
+        return { error: "recurrence.days must be ISO weekdays 1-7" };
+      }
+      return { rule: { type: "weekdays", days: [...new Set(days)].sort((a, b) => a - b) } };
+    }
+
+    case "interval": {
+      const every = input.every;
+      if (!Number.isInteger(every) || every < 1) {
+        return { error: "recurrence.every must be a positive integer" };
+      }
+      const anchor = input.anchor ?? defaultAnchor;
+      if (!DATE_RE.test(anchor || "") || !dayjs(anchor).isValid()) {
+        return { error: "recurrence.anchor must be YYYY-MM-DD" };
+      }
+      return { rule: { type: "interval", every, anchor } };
+    }
+
+    case "per_week": {
+      const times = input.times;
+      if (!Number.isInteger(times) || times < 1 || times > 7) {
+        return { error: "recurrence.times must be 1-7" };
+      }
+      return { rule: { type: "per_week", times } };
+    }
+
+    default:
+      return { error: "recurrence.type must be daily, weekdays, interval or per_week" };
+  }
+}
+
+export function parseRecurrence(json) {
+  try {
+    return normalizeRecurrence(JSON.parse(json || "null")).rule || DAILY;
+  } catch {
+    return DAILY;
+  }
+}
+
+/**
+ * Is the routine due on `date` (YYYY-MM-DD, user's local date)?
+ *
+ * For per_week rules the answer depends on history, so `metDates` is the set of
+ * local dates on which this routine hit its daily_target. A per_week routine is
+ * due on a day it was completed, or when the remaining quota can no longer be
+ * met without doing it that day — so skipping early in the week is never a miss.
+ */
+export function isDueOn(rule, date, metDates = new Set()) {
+  const d = dayjs(date);
+  switch (rule.type) {
+    case "weekdays":
+      return rule.days.includes(d.isoWeekday());
+
+    case "interval": {
+      const diff = d.diff(dayjs(rule.anchor), "day");
+      return diff >= 0 && diff % rule.every === 0;
+    }
+
+    case "per_week": {
+      if (metDates.has(date)) return true;
+      let doneBefore = 0;
+      for (let c = d.startOf("isoWeek"); c.isBefore(d, "day"); c = c.add(1, "day")) {
+        if (metDates.has(c.format("YYYY-MM-DD"))) doneBefore++;
+      }
+      const remaining = rule.times - doneBefore;
+      const daysLeft = 8 - d.isoWeekday(); // today included
+      return remaining > 0 && remaining >= daysLeft;
+    }
+
+    default:
+      return true;
+  }
+}
+
+/**
+ * How many days of `date`'s ISO week (up to and including it) met the target.
+ */
+export function weekCompletions(date, metDates) {
+  const d = dayjs(date);
+  let done = 0;
+  for (let c = d.startOf("isoWeek"); !c.isAfter(d, "day"); c = c.add(1, "day")) {
+    if (metDates.has(c.format("YYYY-MM-DD"))) done++;
+  }
+  return done;
+}
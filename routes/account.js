@@ -0,0 +1,321 @@
+// evania-backend/routes/account.js
+import dayjs from "dayjs";
+import { nanoid } from "nanoid";
+import { sendError, asyncRoute } from "../errors.js";
+import { validate } from "../validation.js";
+import { evaluateAchievements } from "../achievements.js";
+import { ADJUSTMENT_KINDS, TIMEZONE_KIND, recordXpEvent, rebuildUserXp } from "../ledger.js";
+import { parseRecurrence } from "../recurrence.js";
+
+import crypto from "node:crypto";
+import bcrypt from "bcryptjs";
+
+/**
+ * The user's data: signed export archives (JSON/CSV), import, and account
+ * deletion with a grace period (see account.js for the purge).
+ */
+export function accountRoutes(app, ctx) {
+  const {
+    db, clock, cfg, sql, saveUser, nowISO, JWT_SECRET, ACCOUNT_DELETION_GRACE_DAYS, MAX_STREAK_FREEZES,
+    MAX_GRACE_DAYS, MAX_DAILY_TARGET, MAX_ROUTINE_POINTS, passwordField, isValidTimezone, localDateISO,
+    progressPayload, DATE_RE, privacySettings, notificationPrefs,
+  } = ctx;
+
+  /* ------------------------------------------------
+   * Account data: export, import, deletion
+   * ------------------------------------------------*/
+  const EXPORT_FORMAT = "evania-export";
+  const EXPORT_VERSION = 1;
+  const EXPORT_SECRET = cfg.exportSecret || crypto.createHmac("sha256", JWT_SECRET).update("evania-export").digest();
+
+  // JSON with object keys sorted at every level, so a parsed archive signs the same
+  function canonicalJSON(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(",")}]`;
+    if (value && typeof value === "object") {
+      const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+      return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(",")}}`;
+    }
+    return JSON.stringify(value ?? null);
+  }
+
+  const archiveSignature = (a) => crypto.createHmac("sha256", EXPORT_SECRET).update(canonicalJSON(a)).digest("hex");
+
+  /**
+   * Exports carry an HMAC of their content; import only accepts archives this
+   * server signed and nobody edited since, so their XP can be restored as is.
+   */
+  const signArchive = (a) => ({ ...a, signature: archiveSignature(a) });
+
+  function archiveSignatureOk({ signature, ...a }) {
+    if (typeof signature !== "string") return false;
+    const expected = Buffer.from(archiveSignature(a), "hex");
+    const given = Buffer.from(signature, "hex");
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  function exportArchive(u) {
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: nowISO(),
+      profile: {
+        id: u.id,
+        email: u.email,
+        emailVerified: !!u.email_verified,
+        role: u.role,
+        createdAt: u.created_at,
+      },
+      prefs: {
+        themeColor: u.theme_color,
+        dailyTarget: u.daily_target,
+        goals: JSON.parse(u.goals_json || "[]"),
+        baselineMood: u.baseline_mood,
+        timezone: u.timezone,
+        graceDays: u.streak_grace_days,
+        onboardingDone: !!u.onboarding_done,
+        privacy: privacySettings(u),
+        notifications: notificationPrefs(u),
+      },
+      progress: { ...progressPayload(u), freezeGrantWeek: u.freeze_grant_week },
+      runs: sql.listRunsByUser.all(u.id),
+      routines: sql.listAllRoutines.all(u.id),
+      routineLogs: sql.listAllRoutineLogs.all(u.id),
+      checkins: sql.listAllCheckins.all(u.id),
+      streakFreezeUses: sql.listAllStreakBridges.all(u.id),
+      xpEvents: sql.listXpEventsByUser.all(u.id),
+      achievements: sql.listUserAchievements.all(u.id),
+      friendships: sql.listFriendships.all(u.id),
+      challenges: sql.listChallengeParticipation.all(u.id),
+    };
+  }
+
+  // table name → rows of the archive, for the CSV exports
+  const CSV_TABLES = {
+    profile: (a) => [{ ...a.profile, ...a.prefs, goals: JSON.stringify(a.prefs.goals) }],
+    runs: (a) => a.runs,
+    routines: (a) => a.routines,
+    routine_logs: (a) => a.routineLogs,
+    checkins: (a) => a.checkins,
+  };
+
+  function toCsv(rows) {
+    const columns = [...new Set(rows.flatMap((r) => Object.keys(r)))];
+    const cell = (v) => {
+      if (v === null || v === undefined) return "";
+      const text = typeof v === "object" ? JSON.stringify(v) : String(v);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(","), ...rows.map((r) => columns.map((c) => cell(r[c])).join(","))].join("\r\n") + "\r\n";
+  }
+
+  const isText = (v) => typeof v === "string" && v.length > 0;
+
+  // Shape check before anything is written; returns a reason or null
+  function archiveProblem(a) {
+    if (!a || a.format !== EXPORT_FORMAT) return "not an Evania export archive";
+    if (a.version !== EXPORT_VERSION) return `unsupported archive version ${a.version}`;
+    if (!archiveSignatureOk(a)) return "archive is unsigned or was modified after export";
+    const lists = ["runs", "routines", "routineLogs", "checkins", "streakFreezeUses", "xpEvents", "achievements"];
+    const missing = lists.find((k) => a[k] !== undefined && !Array.isArray(a[k]));
+    if (missing) return `${missing} must be an array`;
+
+    const rowChecks = {
+      runs: (r) => isText(r.quest_id) && Number.isInteger(r.gained_xp) && isText(r.created_at) && DATE_RE.test(r.local_date),
+      routines: (r) =>
+        isText(r.id) &&
+        isText(r.title) &&
+        Number.isInteger(r.base_points) &&
+        r.base_points >= 1 &&
+        r.base_points <= MAX_ROUTINE_POINTS &&
+        Number.isInteger(r.daily_target) &&
+        r.daily_target >= 1 &&
+        r.daily_target <= MAX_DAILY_TARGET,
+      routineLogs: (r) => isText(r.routine_id) && Number.isInteger(r.gained_xp) && isText(r.created_at) && DATE_RE.test(r.local_date),
+      checkins: (r) => DATE_RE.test(r.local_date) && Number.isInteger(r.mood_score),
+      streakFreezeUses: (r) => DATE_RE.test(r.local_date) && (r.kind === "grace" || r.kind === "freeze"),
+      xpEvents: (r) => isText(r.kind) && Number.isInteger(r.amount) && DATE_RE.test(r.local_date) && isText(r.created_at),
+      achievements: (r) => isText(r.achievement_id) && isText(r.unlocked_at),
+    };
+    const bad = lists.find((k) => (a[k] || []).some((r) => !r || !rowChecks[k](r)));
+    return bad ? `${bad} contains an invalid row` : null;
+  }
+
+  /**
+   * Restore an archive into the (empty) account `u`. Every row gets a fresh id,
+   * so an archive can be restored while the old account still exists. The
+   * archive's signature was checked, so XP is re-recorded in the ledger as
+   * exported (runs, logs and surviving adjustments) and progress is rebuilt
+   * from it.
+   */
+  function importArchive(u, a) {
+    const stamp = nowISO();
+    const counts = { runs: 0, routines: 0, routineLogs: 0, checkins: 0, skipped: { runs: 0, routineLogs: 0 } };
+    const p = a.prefs || {};
+
+    if (typeof p.themeColor === "string") u.theme_color = p.themeColor;
+    if (Number.isInteger(p.dailyTarget)) u.daily_target = p.dailyTarget;
+    if (Array.isArray(p.goals)) u.goals_json = JSON.stringify(p.goals);
+    if (typeof p.baselineMood === "string") u.baseline_mood = p.baselineMood;
+    if (isValidTimezone(p.timezone)) u.timezone = p.timezone;
+    if (Number.isInteger(p.graceDays) && p.graceDays >= 0 && p.graceDays <= MAX_GRACE_DAYS) {
+      u.streak_grace_days = p.graceDays;
+    }
+    if (p.onboardingDone === true) u.onboarding_done = 1;
+    const freezes = a.progress?.streakFreezes?.available;
+    if (Number.isInteger(freezes)) u.streak_freezes = Math.min(Math.max(freezes, 0), MAX_STREAK_FREEZES);
+    if (typeof a.progress?.freezeGrantWeek === "string") u.freeze_grant_week = a.progress.freezeGrantWeek;
+    saveUser(u);
+
+    const routineIds = new Map();
+    (a.routines || []).forEach((r) => {
+      const id = nanoid();
+      routineIds.set(r.id, id);
+      sql.importRoutine.run({
+        id,
+        user_id: u.id,
+        title: r.title,
+        base_points: r.base_points,
+        daily_target: r.daily_target,
+        active: r.active ? 1 : 0,
+        created_at: r.created_at || stamp,
+        sort_order: Number.isInteger(r.sort_order) ? r.sort_order : 0,
+        deleted_at: r.deleted_at || null,
+        archived_at: r.active ? null : r.archived_at || r.deleted_at || stamp,
+        recurrence_json: JSON.stringify(parseRecurrence(r.recurrence_json)),
+      });
+      counts.routines++;
+    });
+
+    (a.routineLogs || []).forEach((l) => {
+      const routineId = routineIds.get(l.routine_id);
+      if (!routineId) return counts.skipped.routineLogs++;
+      const id = nanoid();
+      sql.insertRoutineLog.run(id, routineId, u.id, l.gained_xp, l.created_at, l.local_date);
+      recordXpEvent(db, {
+        userId: u.id,
+        kind: "routine",
+        refId: id,
+        amount: l.gained_xp,
+        localDate: l.local_date,
+        createdAt: l.created_at,
+      });
+      counts.routineLogs++;
+    });
+
+    (a.runs || []).forEach((r) => {
+      if (!sql.getAnyQuest.get(r.quest_id)) return counts.skipped.runs++;
+      const id = nanoid();
+      sql.insertRun.run(id, u.id, r.quest_id, r.gained_xp, r.streak_applied || 0, r.created_at, r.local_date);
+      recordXpEvent(db, {
+        userId: u.id,
+        kind: "quest",
+        refId: id,
+        amount: r.gained_xp,
+        localDate: r.local_date,
+        createdAt: r.created_at,
+      });
+      counts.runs++;
+    });
+
+    // bonuses / corrections that were not reversed, and timezone moves; activity XP came in with its rows
+    const events = a.xpEvents || [];
+    const reversed = new Set(events.filter((e) => e.reverses_id).map((e) => e.reverses_id));
+    events
+      .filter((e) => (ADJUSTMENT_KINDS.includes(e.kind) || e.kind === TIMEZONE_KIND) && !reversed.has(e.id))
+      .forEach((e) =>
+        recordXpEvent(db, {
+          userId: u.id,
+          kind: e.kind,
+          amount: e.amount,
+          localDate: e.local_date,
+          note: e.note || null,
+          createdAt: e.created_at,
+        })
+      );
+
+    (a.checkins || []).forEach((c) => {
+      sql.importCheckin.run({
+        id: nanoid(),
+        user_id: u.id,
+        local_date: c.local_date,
+        mood_score: c.mood_score,
+        tags_json: typeof c.tags_json === "string" ? c.tags_json : "[]",
+        journal: c.journal || null,
+        created_at: c.created_at || stamp,
+        updated_at: c.updated_at || stamp,
+      });
+      counts.checkins++;
+    });
+
+    (a.streakFreezeUses || []).forEach((b) =>
+      sql.insertStreakBridge.run(nanoid(), u.id, b.local_date, b.kind, b.created_at || stamp)
+    );
+    (a.achievements || []).forEach((x) => sql.restoreAchievement.run(u.id, x.unlocked_at, x.achievement_id));
+
+    rebuildUserXp(db, u.id);
+    return counts;
+  }
+
+  // Full JSON archive of everything stored about the caller
+  app.get("/api/me/export", (req, res) => {
+    const archive = signArchive(exportArchive(req.user));
+    res.set("Content-Disposition", `attachment; filename="evania-export-${localDateISO(req.user.timezone)}.json"`);
+    res.json(archive);
+  });
+
+  // One table of the archive as CSV: profile, runs, routines, routine_logs, checkins
+  app.get("/api/me/export/:table.csv", (req, res) => {
+    const rows = Object.hasOwn(CSV_TABLES, req.params.table) && CSV_TABLES[req.params.table];
+    if (!rows) {
+      return sendError(res, 404, "table_not_found", `table must be one of ${Object.keys(CSV_TABLES).join(", ")}`);
+    }
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="evania-${req.params.table}.csv"`);
+    res.send(toCsv(rows(exportArchive(req.user))));
+  });
+
+  // Restore an export into a fresh account (no activity recorded yet)
+  app.post("/api/me/import", (req, res) => {
+    const archive = req.body;
+    const problem = archiveProblem(archive);
+    if (problem) return sendError(res, 400, "invalid_archive", problem);
+    if (sql.countUserData.get({ id: req.user.id }).n > 0) {
+      return sendError(res, 409, "account_not_empty", "import is only possible into an account without activity");
+    }
+
+    let imported;
+    const trx = db.transaction(() => {
+      imported = importArchive({ ...req.user }, archive);
+    });
+    trx();
+
+    const unlocked = evaluateAchievements(db, req.user.id, new Date(clock.now()));
+    res.json({ imported, progress: progressPayload(sql.getUser.get(req.user.id)), achievements: unlocked });
+  });
+
+  // Schedule deletion; the account is purged ACCOUNT_DELETION_GRACE_DAYS later
+  app.delete(
+    "/api/me",
+    validate({ body: { password: passwordField.optional() } }),
+    asyncRoute(async (req, res) => {
+      const u = req.user;
+      if (u.password_hash) {
+        const ok = await bcrypt.compare(req.body.password || "", u.password_hash);
+        if (!ok) return sendError(res, 401, "invalid_credentials", "invalid credentials");
+      }
+      const requestedAt = new Date(clock.now());
+      const purgeAfter = dayjs(requestedAt).add(ACCOUNT_DELETION_GRACE_DAYS, "day").toISOString();
+      sql.scheduleDeletion.run(requestedAt.toISOString(), purgeAfter, u.id);
+      res.json({ ok: true, deletionScheduledFor: purgeAfter, graceDays: ACCOUNT_DELETION_GRACE_DAYS });
+    })
+  );
+
+  // Changed your mind during the grace period
+  app.delete("/api/me/deletion", (req, res) => {
+    if (!req.user.purge_after) return sendError(res, 404, "no_deletion_scheduled", "no deletion scheduled");
+    sql.cancelDeletion.run(req.user.id);
+    res.json({ ok: true });
+  });
+
+  return { isText };
+}
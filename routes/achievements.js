@@ -0,0 +1,16 @@
+// evania-backend/routes/achievements.js
+import { listAchievements } from "../achievements.js";
+
+/**
+ * GET /api/achievements: the catalog with the user's unlocks (see achievements.js).
+ */
+export function achievementRoutes(app, ctx) {
+  const { db } = ctx;
+
+  /* ------------------------------------------------
+   * Achievements
+   * ------------------------------------------------*/
+  app.get("/api/achievements", (req, res) => {
+    res.json({ achievements: listAchievements(db, req.user.id) });
+  });
+}
@@ -0,0 +1,96 @@
+// evania-backend/routes/activity.js
+import { sendFieldError } from "../errors.js";
+import { v, validate } from "../validation.js";
+
+/**
+ * GET /api/activity: quest runs and routine logs as one paginated feed.
+ */
+export function activityRoutes(app, ctx) {
+  const { sql } = ctx;
+
+  /* ------------------------------------------------
+   * Activity feed: quest runs and routine logs in one list
+   *
+   * Newest first, paged with an opaque cursor (the last item's created_at + id,
+   * so rows logged while paging never shift a page). Routines have no
+   * category, so ?category= only returns quest runs.
+   * ------------------------------------------------*/
+  const ACTIVITY_PAGE_SIZE = 30;
+  const MAX_ACTIVITY_PAGE_SIZE = 100;
+
+  const encodeActivityCursor = (item) => Buffer.from(JSON.stringify([item.created_at, item.id])).toString("base64url");
+
+  // [createdAt, id] or null when the cursor isn't one of ours
+  function decodeActivityCursor(cursor) {
+    try {
+      const pair = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+      return Array.isArray(pair) && pair.length === 2 && pair.every((x) => typeof x === "string") ? pair : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function serializeActivity(a) {
+    return {
+      type: a.type,
+      id: a.id,
+      [a.type === "quest" ? "questId" : "routineId"]: a.ref_id,
+      title: a.title,
+      category: a.category,
+      gainedXP: a.gained_xp,
+      streakApplied: a.streak_applied,
+      createdAt: a.created_at,
+      localDate: a.local_date,
+    };
+  }
+
+  // ?cursor=&limit=&from=&to=&type=quest|routine&category=&questId=&routineId=
+  app.get(
+    "/api/activity",
+    validate({
+      query: {
+        cursor: v.string({ max: 300 }).optional(),
+        limit: v.intString({ min: 1, max: MAX_ACTIVITY_PAGE_SIZE }).default(ACTIVITY_PAGE_SIZE),
+        from: v.date().optional(),
+        to: v.date().optional(),
+        type: v.oneOf(["all", "quest", "routine"]).default("all"),
+        category: v.string({ max: 40 }).optional(),
+        questId: v.string({ max: 64 }).optional(),
+        routineId: v.string({ max: 64 }).optional(),
+      },
+    }),
+    (req, res) => {
+      const { cursor, limit, from = null, to = null, category = null, questId, routineId } = req.query;
+      if (questId && routineId) {
+        return sendFieldError(res, "routineId", "use either questId or routineId", { in: "query" });
+      }
+      if ((questId && req.query.type === "routine") || (routineId && req.query.type === "quest")) {
+        return sendFieldError(res, "type", "type doesn't match the questId / routineId filter", { in: "query" });
+      }
+      if (from && to && from > to) return sendFieldError(res, "from", "from must not be after to", { in: "query" });
+      const after = cursor ? decodeActivityCursor(cursor) : [null, null];
+      if (!after) return sendFieldError(res, "cursor", "cursor is not valid", { in: "query" });
+
+      const type = questId ? "quest" : routineId ? "routine" : req.query.type;
+
+      const rows = sql.listActivity.all({
+        user_id: req.user.id,
+        type,
+        ref_id: questId || routineId || null,
+        category,
+        from,
+        to,
+        before_at: after[0],
+        before_id: after[1],
+        limit: limit + 1,
+      });
+      const page = rows.slice(0, limit);
+      const hasMore = rows.length > limit;
+      res.json({
+        items: page.map(serializeActivity),
+        nextCursor: hasMore ? encodeActivityCursor(page[page.length - 1]) : null,
+        hasMore,
+      });
+    }
+  );
+}
@@ -0,0 +1,359 @@
+// evania-backend/routes/admin.js
+import { nanoid } from "nanoid";
+import { sendError, sendFieldError } from "../errors.js";
+import { v, validate } from "../validation.js";
+import { backfillAchievements } from "../achievements.js";
+import {
+  ADJUSTMENT_KINDS,
+  recordXpEvent,
+  checkUserXp,
+  rebuildUserXp,
+  xpConsistencyReport,
+  rulesImpactReport,
+} from "../ledger.js";
+import { activeRules, rulesSchema, listRuleVersions, publishRules } from "../rules.js";
+
+/**
+ * Admin-only routes: the quest catalog and categories, XP checks and
+ * adjustments, abuse flags and gamification rule versions.
+ */
+export function adminRoutes(app, ctx) {
+  const { db, clock, sql, nowISO, sqlNow, idParams, localDateISO, progressPayload } = ctx;
+
+  /* ------------------------------------------------
+   * Admin: Quest catalog + categories
+   * ------------------------------------------------*/
+  const ROLES = ["user", "admin"];
+  const SLUG_RE = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+  function requireAdmin(req, res, next) {
+    if (req.user?.role !== "admin") {
+      return sendError(res, 403, "forbidden", "admin only");
+    }
+    next();
+  }
+
+  const slugField = v.string({ max: 40, pattern: SLUG_RE, message: "must be a lowercase slug" });
+  const questFields = {
+    title: v.string({ max: 80 }).optional(),
+    basePoints: v.int({ min: 1 }).optional(),
+    category: v.string({ max: 40 }).nullable().optional(),
+    cooldownSec: v.int({ min: 0 }).optional(),
+  };
+
+  /**
+   * Apply a validated (partial) camelCase body onto a quest row. Returns
+   * { quest } or { error }. Only active categories can be assigned.
+   */
+  function applyQuestFields(q, { title, basePoints, category, cooldownSec }) {
+    const next = { ...q };
+    if (title !== undefined) next.title = title;
+    if (basePoints !== undefined) next.base_points = basePoints;
+    if (cooldownSec !== undefined) next.cooldown_sec = cooldownSec;
+    if (category !== undefined) {
+      if (category !== null && !sql.getCategory.get(category)?.active) {
+        return { error: "unknown category" };
+      }
+      next.category = category;
+    }
+    return { quest: next };
+  }
+
+  function recordQuestChange(questId, userId, action, before, after) {
+    sql.insertQuestChange.run(
+      nanoid(),
+      questId,
+      userId,
+      action,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      sqlNow()
+    );
+  }
+
+  // Write a quest row and its change-log entry together
+  function saveQuest(req, action, before, after) {
+    const trx = db.transaction(() => {
+      if (before) sql.updateQuest.run(after);
+      else sql.insertQuest.run(after);
+      recordQuestChange(after.id, req.user.id, action, before, after);
+    });
+    trx();
+    return sql.getAnyQuest.get(after.id);
+  }
+
+  app.use("/api/admin", requireAdmin);
+
+  app.get("/api/admin/quests", (_req, res) => {
+    res.json({ quests: sql.listAllQuests.all() });
+  });
+
+  app.post(
+    "/api/admin/quests",
+    validate({
+      body: {
+        ...questFields,
+        id: slugField.optional(),
+        title: v.string({ max: 80 }),
+        basePoints: v.int({ min: 1 }),
+      },
+    }),
+    (req, res) => {
+      const { id } = req.body;
+      if (id && sql.getAnyQuest.get(id)) {
+        return sendError(res, 409, "quest_exists", "quest id already exists");
+      }
+
+      const blank = { id: id || nanoid(), title: "", base_points: 0, category: null, cooldown_sec: 0, active: 1 };
+      const { quest, error } = applyQuestFields(blank, req.body);
+      if (error) return sendFieldError(res, "category", error);
+
+      res.status(201).json({ quest: saveQuest(req, "create", null, quest) });
+    }
+  );
+
+  app.patch(
+    "/api/admin/quests/:id",
+    validate({ params: idParams, body: questFields }),
+    (req, res) => {
+      const before = sql.getAnyQuest.get(req.params.id);
+      if (!before) return sendError(res, 404, "quest_not_found", "Quest not found");
+
+      const { quest, error } = applyQuestFields(before, req.body);
+      if (error) return sendFieldError(res, "category", error);
+
+      res.json({ quest: saveQuest(req, "update", before, quest) });
+    }
+  );
+
+  // Retire (soft delete) — runs keep pointing at the row
+  app.delete(
+    "/api/admin/quests/:id",
+    validate({ params: idParams }),
+    (req, res) => {
+      const before = sql.getAnyQuest.get(req.params.id);
+      if (!before) return sendError(res, 404, "quest_not_found", "Quest not found");
+      if (!before.active) return res.json({ quest: before });
+
+      res.json({ quest: saveQuest(req, "retire", before, { ...before, active: 0 }) });
+    }
+  );
+
+  app.post(
+    "/api/admin/quests/:id/restore",
+    validate({ params: idParams }),
+    (req, res) => {
+      const before = sql.getAnyQuest.get(req.params.id);
+      if (!before) return sendError(res, 404, "quest_not_found", "Quest not found");
+      if (before.category && !sql.getCategory.get(before.category)?.active) {
+        return sendError(res, 409, "category_retired", "category is retired; re-categorize first");
+      }
+      if (before.active) return res.json({ quest: before });
+
+      res.json({ quest: saveQuest(req, "restore", before, { ...before, active: 1 }) });
+    }
+  );
+
+  app.get(
+    "/api/admin/quests/:id/history",
+    validate({ params: idParams }),
+    (req, res) => {
+      if (!sql.getAnyQuest.get(req.params.id)) {
+        return sendError(res, 404, "quest_not_found", "Quest not found");
+      }
+      const history = sql.listQuestChanges.all(req.params.id).map((c) => ({
+        id: c.id,
+        action: c.action,
+        changedBy: c.changed_by,
+        before: c.before_json ? JSON.parse(c.before_json) : null,
+        after: c.after_json ? JSON.parse(c.after_json) : null,
+        createdAt: c.created_at,
+      }));
+      res.json({ history });
+    }
+  );
+
+  app.get("/api/admin/categories", (_req, res) => {
+    res.json({ categories: sql.listAllCategories.all() });
+  });
+
+  app.post(
+    "/api/admin/categories",
+    validate({ body: { id: slugField, name: v.string({ max: 60 }) } }),
+    (req, res) => {
+      const { id, name } = req.body;
+      if (sql.getCategory.get(id)) {
+        return sendError(res, 409, "category_exists", "category already exists");
+      }
+      sql.insertCategory.run(id, name, sqlNow());
+      res.status(201).json({ category: sql.getCategory.get(id) });
+    }
+  );
+
+  // Rename, retire ({ active: false }) or restore a category
+  app.patch(
+    "/api/admin/categories/:id",
+    validate({
+      params: idParams,
+      body: { name: v.string({ max: 60 }).optional(), active: v.boolean().optional() },
+    }),
+    (req, res) => {
+      const c = sql.getCategory.get(req.params.id);
+      if (!c) return sendError(res, 404, "category_not_found", "Category not found");
+
+      const { name, active } = req.body;
+      if (active === false && sql.countActiveQuestsInCategory.get(c.id).c > 0) {
+        return sendError(res, 409, "category_in_use", "category still has active quests");
+      }
+
+      sql.updateCategory.run(
+        name ?? c.name,
+        active === undefined ? c.active : active ? 1 : 0,
+        c.id
+      );
+      res.json({ category: sql.getCategory.get(c.id) });
+    }
+  );
+
+  // Credit existing history after adding or changing achievement rules
+  app.post("/api/admin/achievements/backfill", (_req, res) => {
+    res.json(backfillAchievements(db, new Date(clock.now())));
+  });
+
+  // XP ledger: users whose cached totals/levels/streaks disagree with the ledger
+  app.get("/api/admin/xp/consistency", (_req, res) => {
+    res.json(xpConsistencyReport(db));
+  });
+
+  app.get(
+    "/api/admin/users/:id/xp",
+    validate({ params: idParams }),
+    (req, res) => {
+      const report = checkUserXp(db, req.params.id);
+      if (!report) return sendError(res, 404, "user_not_found", "User not found");
+      res.json(report);
+    }
+  );
+
+  // Overwrite the user's cached progress with what the ledger says
+  app.post(
+    "/api/admin/users/:id/xp/rebuild",
+    validate({ params: idParams }),
+    (req, res) => {
+      const report = db.transaction(() => rebuildUserXp(db, req.params.id))();
+      if (!report) return sendError(res, 404, "user_not_found", "User not found");
+      res.json({ ...report, fixed: report.drift });
+    }
+  );
+
+  // Grant a bonus or book a correction, then rebuild from the ledger
+  app.post(
+    "/api/admin/users/:id/xp/adjust",
+    validate({
+      params: idParams,
+      body: { amount: v.int(), kind: v.oneOf(ADJUSTMENT_KINDS).default("correction"), note: v.string({ max: 200 }) },
+    }),
+    (req, res) => {
+      const target = sql.getUser.get(req.params.id);
+      if (!target) return sendError(res, 404, "user_not_found", "User not found");
+
+      const { amount, kind, note } = req.body;
+      if (amount === 0) return sendFieldError(res, "amount", "amount must not be 0");
+
+      const trx = db.transaction(() => {
+        recordXpEvent(db, {
+          userId: target.id,
+          kind,
+          amount,
+          localDate: localDateISO(target.timezone),
+          note: `${note} (by ${req.user.id})`,
+          createdAt: nowISO(),
+        });
+        rebuildUserXp(db, target.id);
+      });
+      trx();
+
+      res.json({ progress: progressPayload(sql.getUser.get(target.id)) });
+    }
+  );
+
+  /* ---------- Abuse flags (days a user ran into DAILY_XP_CAP) ---------- */
+
+  const serializeAbuseFlag = (f) => ({
+    id: f.id,
+    userId: f.user_id,
+    email: f.email,
+    kind: f.kind,
+    localDate: f.local_date,
+    hits: f.hits,
+    details: JSON.parse(f.detail_json),
+    firstSeenAt: f.created_at,
+    lastSeenAt: f.last_seen_at,
+    reviewedAt: f.reviewed_at,
+    reviewedBy: f.reviewed_by,
+  });
+
+  app.get(
+    "/api/admin/abuse-flags",
+    validate({
+      query: {
+        status: v.oneOf(["open", "reviewed", "all"]).default("open"),
+        limit: v.intString({ min: 1, max: 500 }).default(100),
+      },
+    }),
+    (req, res) => {
+      res.json({ flags: sql.listAbuseFlags.all(req.query).map(serializeAbuseFlag) });
+    }
+  );
+
+  app.post(
+    "/api/admin/abuse-flags/:id/review",
+    validate({ params: idParams }),
+    (req, res) => {
+      const { changes } = sql.reviewAbuseFlag.run(nowISO(), req.user.id, req.params.id);
+      if (!changes) return sendError(res, 404, "flag_not_found", "No open flag with that id");
+      res.json({ ok: true });
+    }
+  );
+
+  /* ---------- Gamification rules (see rules.js) ---------- */
+
+  app.get("/api/admin/rules", (_req, res) => {
+    res.json({ live: activeRules(db).version, versions: listRuleVersions(db) });
+  });
+
+  // Dry run: how levels, avatar tiers and multipliers would change for every user
+  app.post("/api/admin/rules/preview", validate({ body: { rules: rulesSchema } }), (req, res) => {
+    res.json({ live: activeRules(db).version, ...rulesImpactReport(db, req.body.rules) });
+  });
+
+  // Publish a new version and re-derive everyone's level and avatar tier from the ledger
+  app.post(
+    "/api/admin/rules",
+    validate({ body: { rules: rulesSchema, note: v.string({ max: 200 }).optional() } }),
+    (req, res) => {
+      const { rules, note } = req.body;
+      const result = db.transaction(() => {
+        const published = publishRules(db, rules, { note, userId: req.user.id });
+        const ids = sql.listUserIds.all().map((r) => r.id);
+        const changed = ids.map((id) => rebuildUserXp(db, id)).filter((r) => r?.drift.length).length;
+        return { ...published, rebuilt: { users: ids.length, changed } };
+      })();
+      res.status(201).json(result);
+    }
+  );
+
+  app.patch(
+    "/api/admin/users/:id/role",
+    validate({ params: idParams, body: { role: v.oneOf(ROLES) } }),
+    (req, res) => {
+      const { role } = req.body;
+      if (req.params.id === req.user.id && role !== "admin") {
+        return sendError(res, 400, "cannot_demote_self", "cannot demote yourself");
+      }
+      const { changes } = sql.setUserRole.run(role, req.params.id);
+      if (!changes) return sendError(res, 404, "user_not_found", "User not found");
+      res.json({ ok: true });
+    }
+  );
+}
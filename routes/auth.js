@@ -0,0 +1,436 @@
+// evania-backend/routes/auth.js
+import { nanoid } from "nanoid";
+import { noStoredResponse } from "../idempotency.js";
+import { sendError, sendFieldError, asyncRoute } from "../errors.js";
+import { v, validate, normalizeEmail } from "../validation.js";
+import { sendTooMany } from "../ratelimit.js";
+
+import crypto from "node:crypto";
+import jwt from "jsonwebtoken";
+import bcrypt from "bcryptjs";
+
+/**
+ * Accounts and sessions under /api/auth (register, login, refresh, logout,
+ * password reset, email verification and change) and the profile at /api/me.
+ */
+export function authRoutes(app, ctx) {
+  const {
+    db, clock, sql, saveUser, nowISO, sqlNow, sendMail, DEFAULT_TZ, JWT_SECRET, ACCESS_TOKEN_TTL_SEC,
+    REFRESH_TOKEN_TTL_DAYS, APP_URL, MAX_GRACE_DAYS, MAX_DAILY_TARGET, HEX_COLOR_RE, MOOD_RE, idParams,
+    timezoneField, passwordField, rebaseStreakForTimezone, hashToken, sessionIsLive, limiter, byIp,
+    loginLimits, lockout, DUMMY_PASSWORD_HASH, newPasswordField, passwordProblem,
+  } = ctx;
+
+  /* ------------------------------------------------
+   * Member A: Auth + Profile
+   * ------------------------------------------------*/
+
+  const refreshExpiry = () =>
+    new Date(clock.now() + REFRESH_TOKEN_TTL_DAYS * 86400 * 1000).toISOString();
+
+  function tokenResponse(userId, sessionId, refreshToken) {
+    return {
+      token: jwt.sign({ sub: userId, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SEC }),
+      expiresIn: ACCESS_TOKEN_TTL_SEC,
+      refreshToken,
+      sessionId,
+    };
+  }
+
+  // New device session: short-lived access token + opaque refresh token
+  function startSession(req, userId) {
+    const id = nanoid();
+    const refreshToken = crypto.randomBytes(48).toString("base64url");
+    sql.insertSession.run({
+      id,
+      user_id: userId,
+      refresh_hash: hashToken(refreshToken),
+      device_name: req.body.deviceName ?? null,
+      user_agent: req.get("user-agent")?.slice(0, 300) || null,
+      ip: req.ip || null,
+      expires_at: refreshExpiry(),
+      now: sqlNow(),
+    });
+    return tokenResponse(userId, id, refreshToken);
+  }
+
+  // REGISTER
+  app.post(
+    "/api/auth/register",
+    noStoredResponse,
+    limiter("registerIp", byIp),
+    validate({
+      body: {
+        email: v.email(),
+        password: newPasswordField,
+        timezone: timezoneField.optional(),
+        deviceName: v.string({ max: 100 }).optional(),
+      },
+    }),
+    asyncRoute(async (req, res) => {
+      const { email, password, timezone: tz } = req.body;
+      const weak = passwordProblem(password, email);
+      if (weak) return sendFieldError(res, "password", `password ${weak}`, { code: "weak_password" });
+
+      const exists = db.prepare("SELECT id FROM users WHERE email = ?").get(email);
+      if (exists) {
+        return sendError(res, 409, "email_taken", "email already exists");
+      }
+
+      const id = nanoid();
+      const hash = await bcrypt.hash(password, 10);
+
+      saveUser({
+        id,
+        email,
+        password_hash: hash,
+        total_xp: 0,
+        level: 1,
+        current_streak: 0,
+        longest_streak: 0,
+        last_active_local_date: null,
+        timezone: tz || DEFAULT_TZ,
+        avatar_tier: 0,
+        theme_color: "#6C7EFF",
+        daily_target: 1,
+        goals_json: "[]",
+        baseline_mood: "neutral",
+        onboarding_done: 0,
+        streak_freezes: 0,
+        streak_grace_days: 0,
+        freeze_grant_week: null,
+      });
+
+      sendVerificationEmail({ id, email }).catch((e) =>
+        console.error("verification mail failed:", e.message)
+      );
+      res.json(startSession(req, id));
+    })
+  );
+
+  // LOGIN — unknown emails and wrong passwords take the same path (and time);
+  // repeated failures lock the email out with a growing delay
+  app.post(
+    "/api/auth/login",
+    noStoredResponse,
+    ...loginLimits,
+    validate({
+      body: { email: v.string({ max: 254 }), password: passwordField, deviceName: v.string({ max: 100 }).optional() },
+    }),
+    asyncRoute(async (req, res) => {
+      const { email, password } = req.body;
+      const account = normalizeEmail(email);
+      const lockedUntil = lockout.lockedUntil(account);
+      if (lockedUntil) {
+        return sendTooMany(res, lockedUntil, "account_locked", "Too many failed sign-ins, try again later", clock.now());
+      }
+
+      const u = sql.getUserByEmail.get(account);
+      const ok = await bcrypt.compare(password, u?.password_hash || DUMMY_PASSWORD_HASH);
+      if (!ok || !u?.password_hash) {
+        lockout.recordFailure(account);
+        return sendError(res, 401, "invalid_credentials", "invalid credentials");
+      }
+      lockout.recordSuccess(account);
+      res.json(startSession(req, u.id));
+    })
+  );
+
+  // REFRESH — rotates the refresh token; replaying an old one kills the session
+  app.post(
+    "/api/auth/refresh",
+    noStoredResponse,
+    validate({ body: { refreshToken: v.string({ max: 200 }) } }),
+    (req, res) => {
+      const { refreshToken } = req.body;
+      const hash = hashToken(refreshToken);
+      const session = sql.getSessionByRefreshHash.get(hash);
+      if (!session) {
+        const replayed = sql.getSessionByPrevRefreshHash.get(hash);
+        if (replayed) sql.revokeSession.run(sqlNow(), replayed.id);
+        return sendError(res, 401, "invalid_refresh_token", "invalid refresh token");
+      }
+      if (!sessionIsLive(session)) {
+        return sendError(res, 401, "invalid_refresh_token", "invalid refresh token");
+      }
+
+      const next = crypto.randomBytes(48).toString("base64url");
+      sql.rotateSession.run(hashToken(next), sqlNow(), refreshExpiry(), session.id);
+      res.json(tokenResponse(session.user_id, session.id, next));
+    }
+  );
+
+  // LOGOUT (this device)
+  app.post("/api/auth/logout", (req, res) => {
+    if (req.sessionId) sql.revokeSession.run(sqlNow(), req.sessionId);
+    res.json({ ok: true });
+  });
+
+  // LOGOUT everywhere
+  app.post("/api/auth/logout-all", (req, res) => {
+    const { changes } = sql.revokeAllSessions.run(sqlNow(), req.user.id);
+    res.json({ ok: true, revoked: changes });
+  });
+
+  // SESSIONS (one per device)
+  app.get("/api/auth/sessions", (req, res) => {
+    const sessions = sql.listSessionsByUser.all(req.user.id, nowISO()).map((s) => ({
+      id: s.id,
+      deviceName: s.device_name,
+      userAgent: s.user_agent,
+      ip: s.ip,
+      createdAt: s.created_at,
+      lastUsedAt: s.last_used_at,
+      expiresAt: s.expires_at,
+      current: s.id === req.sessionId,
+    }));
+    res.json({ sessions });
+  });
+
+  app.delete(
+    "/api/auth/sessions/:id",
+    validate({ params: idParams }),
+    (req, res) => {
+      const { changes } = sql.revokeUserSession.run(sqlNow(), req.params.id, req.user.id);
+      if (!changes) return sendError(res, 404, "session_not_found", "Session not found");
+      res.json({ ok: true });
+    }
+  );
+
+  /* ---------- Password reset / email verification / email change ---------- */
+
+  const EMAIL_TOKEN_TTL_MIN = {
+    reset_password: 60,
+    verify_email: 24 * 60,
+    change_email: 60,
+  };
+
+  // Creates a single-use token (only its hash is stored) and returns the raw value
+  function issueEmailToken(userId, purpose, newEmail = null) {
+    const token = crypto.randomBytes(32).toString("base64url");
+    const expires = new Date(clock.now() + EMAIL_TOKEN_TTL_MIN[purpose] * 60 * 1000).toISOString();
+    const trx = db.transaction(() => {
+      sql.retireAuthTokens.run(sqlNow(), userId, purpose);
+      sql.insertAuthToken.run(nanoid(), userId, purpose, hashToken(token), newEmail, expires, sqlNow());
+    });
+    trx();
+    return token;
+  }
+
+  // Looks up a live token and burns it; returns the row or undefined
+  function consumeEmailToken(token, purpose) {
+    if (typeof token !== "string" || !token) return undefined;
+    const row = sql.getAuthToken.get(hashToken(token), purpose, nowISO());
+    if (row) sql.useAuthToken.run(sqlNow(), row.id);
+    return row;
+  }
+
+  async function sendVerificationEmail(u) {
+    const token = issueEmailToken(u.id, "verify_email");
+    await sendMail({
+      to: u.email,
+      subject: "Confirm your Evania email",
+      text: `Confirm this address for your Evania account:\n${APP_URL}verify-email?token=${token}\n\nThe link expires in 24 hours.`,
+    });
+  }
+
+  // FORGOT PASSWORD — always 200 so it can't be used to probe for accounts
+  app.post(
+    "/api/auth/password/forgot",
+    limiter("passwordResetIp", byIp),
+    validate({ body: { email: v.string({ max: 254 }) } }),
+    asyncRoute(async (req, res) => {
+      const u = sql.getUserByEmail.get(normalizeEmail(req.body.email));
+      if (u) {
+        const token = issueEmailToken(u.id, "reset_password");
+        try {
+          await sendMail({
+            to: u.email,
+            subject: "Reset your Evania password",
+            text: `Someone asked to reset your Evania password. If it was you:\n${APP_URL}reset-password?token=${token}\n\nThe link expires in 1 hour. If it wasn't you, ignore this email.`,
+          });
+        } catch (e) {
+          console.error("password reset mail failed:", e.message);
+        }
+      }
+      res.json({ ok: true });
+    })
+  );
+
+  // RESET PASSWORD — also signs out every device
+  app.post(
+    "/api/auth/password/reset",
+    limiter("passwordResetIp", byIp),
+    validate({ body: { token: v.string({ max: 200 }), password: newPasswordField } }),
+    asyncRoute(async (req, res) => {
+      const { token, password } = req.body;
+
+      // judge the password before burning the token, so a weak one can be retried
+      const pending = sql.getAuthToken.get(hashToken(token), "reset_password", nowISO());
+      const weak = pending && passwordProblem(password, sql.getUser.get(pending.user_id)?.email);
+      if (weak) return sendFieldError(res, "password", `password ${weak}`, { code: "weak_password" });
+
+      const row = consumeEmailToken(token, "reset_password");
+      if (!row) return sendError(res, 400, "invalid_token", "invalid or expired token");
+
+      const hash = await bcrypt.hash(password, 10);
+      const trx = db.transaction(() => {
+        sql.setPasswordHash.run(hash, row.user_id);
+        sql.revokeAllSessions.run(sqlNow(), row.user_id);
+      });
+      trx();
+
+      res.json({ ok: true });
+    })
+  );
+
+  // Re-send the verification link for the current address
+  app.post(
+    "/api/auth/email/verify/request",
+    asyncRoute(async (req, res) => {
+      const u = req.user;
+      if (!u.email) return sendError(res, 400, "no_email", "no email on this account");
+      if (u.email_verified) return res.json({ ok: true, alreadyVerified: true });
+
+      try {
+        await sendVerificationEmail(u);
+      } catch (e) {
+        console.error("verification mail failed:", e.message);
+        return sendError(res, 502, "mail_failed", "could not send email");
+      }
+      res.json({ ok: true });
+    })
+  );
+
+  app.post(
+    "/api/auth/email/verify",
+    validate({ body: { token: v.string({ max: 200 }) } }),
+    (req, res) => {
+      const row = consumeEmailToken(req.body.token, "verify_email");
+      if (!row) return sendError(res, 400, "invalid_token", "invalid or expired token");
+
+      sql.markEmailVerified.run(row.user_id);
+      res.json({ ok: true });
+    }
+  );
+
+  // CHANGE EMAIL — confirm with the password, then click the link sent to the new address
+  app.post(
+    "/api/me/email",
+    validate({ body: { newEmail: v.email(), password: passwordField } }),
+    asyncRoute(async (req, res) => {
+      const { newEmail, password } = req.body;
+      const u = req.user;
+      const ok = await bcrypt.compare(password, u.password_hash || "");
+      if (!ok) return sendError(res, 401, "invalid_credentials", "invalid credentials");
+      if (sql.getUserByEmail.get(newEmail)) {
+        return sendError(res, 409, "email_taken", "email already exists");
+      }
+
+      const token = issueEmailToken(u.id, "change_email", newEmail);
+      try {
+        await sendMail({
+          to: newEmail,
+          subject: "Confirm your new Evania email",
+          text: `Confirm that this is the new address for your Evania account:\n${APP_URL}change-email?token=${token}\n\nThe link expires in 1 hour.`,
+        });
+        if (u.email) {
+          await sendMail({
+            to: u.email,
+            subject: "Your Evania email is being changed",
+            text: `A change of your Evania email to ${newEmail} was requested. If this wasn't you, reset your password right away.`,
+          });
+        }
+      } catch (e) {
+        console.error("change-email mail failed:", e.message);
+        return sendError(res, 502, "mail_failed", "could not send email");
+      }
+      res.json({ ok: true });
+    })
+  );
+
+  app.post(
+    "/api/auth/email/change/confirm",
+    validate({ body: { token: v.string({ max: 200 }) } }),
+    (req, res) => {
+      const row = consumeEmailToken(req.body.token, "change_email");
+      if (!row) return sendError(res, 400, "invalid_token", "invalid or expired token");
+      // the address could have been taken while the link sat in the inbox
+      if (sql.getUserByEmail.get(row.new_email)) {
+        return sendError(res, 409, "email_taken", "email already exists");
+      }
+
+      sql.setEmail.run(row.new_email, row.user_id);
+      res.json({ ok: true, email: row.new_email });
+    }
+  );
+
+  // PROFILE
+  app.get("/api/me", (req, res) => {
+    const u = sql.getUser.get(req.authUserId);
+    res.json({
+      id: u.id,
+      email: u.email,
+      emailVerified: !!u.email_verified,
+      role: u.role,
+      onboardingDone: !!u.onboarding_done,
+      prefs: {
+        themeColor: u.theme_color,
+        dailyTarget: u.daily_target,
+        goals: JSON.parse(u.goals_json || "[]"),
+        baselineMood: u.baseline_mood,
+        timezone: u.timezone,
+        graceDays: u.streak_grace_days,
+      },
+      privacy: ctx.privacySettings(u),
+      deletionScheduledFor: u.purge_after || null,
+    });
+  });
+
+  // SAVE PREFS
+  app.post(
+    "/api/me/prefs",
+    validate({
+      body: {
+        themeColor: v.string({ pattern: HEX_COLOR_RE, message: "must be a hex color like #6C7EFF" }).optional(),
+        dailyTarget: v.int({ min: 1, max: MAX_DAILY_TARGET }).optional(),
+        goals: v.array(v.string({ max: 60 }), { max: 10 }).optional(),
+        baselineMood: v.string({ max: 30, pattern: MOOD_RE, message: "must be a lowercase word" }).optional(),
+        onboardingDone: v.boolean().optional(),
+        timezone: timezoneField.optional(),
+        graceDays: v.int({ min: 0, max: MAX_GRACE_DAYS }).optional(),
+      },
+    }),
+    (req, res) => {
+      const { themeColor, dailyTarget, goals, baselineMood, onboardingDone, timezone: tz, graceDays } =
+        req.body;
+      const u = { ...sql.getUser.get(req.authUserId) };
+
+      const trx = db.transaction(() => {
+        if (tz && tz !== u.timezone) rebaseStreakForTimezone(u, tz);
+        if (graceDays !== undefined) u.streak_grace_days = graceDays;
+        if (themeColor) u.theme_color = themeColor;
+        if (dailyTarget !== undefined) u.daily_target = dailyTarget;
+        if (goals) u.goals_json = JSON.stringify(goals);
+        if (baselineMood) u.baseline_mood = baselineMood;
+        if (onboardingDone === true) u.onboarding_done = 1;
+
+        db.prepare(`
+          UPDATE users SET
+            theme_color=@theme_color,
+            daily_target=@daily_target,
+            goals_json=@goals_json,
+            baseline_mood=@baseline_mood,
+            onboarding_done=@onboarding_done,
+            timezone=@timezone,
+            last_active_local_date=@last_active_local_date,
+            streak_grace_days=@streak_grace_days
+          WHERE id=@id
+        `).run(u);
+      });
+      trx();
+
+      res.json({ ok: true });
+    }
+  );
+}
@@ -0,0 +1,335 @@
+// evania-backend/routes/challenges.js
+import dayjs from "dayjs";
+import { nanoid, customAlphabet } from "nanoid";
+import { sendError, sendFieldError } from "../errors.js";
+import { v, validate } from "../validation.js";
+import { recordXpEvent } from "../ledger.js";
+
+/**
+ * Group challenges. settleChallengesFor runs after any activity that could
+ * finish one, from quests, routines and sync.
+ */
+export function challengeRoutes(app, ctx) {
+  const {
+    db, clock, sql, saveUser, nowISO, sqlNow, SYNC_MAX_AGE_DAYS, idParams, localDateISO, addXP,
+    displayProfile,
+  } = ctx;
+
+  /* ------------------------------------------------
+   * Group challenges
+   *
+   * "30 push-up quests in 14 days" (individual, count) or "team goal of 500 XP
+   * from mindfulness" (team, xp). Progress is counted from each participant's
+   * runs / routine_logs whose local_date falls inside the window, logged since
+   * they joined; whoever reaches the target (or everyone who contributed, once
+   * a team reaches it) is paid bonus_xp once, as a "bonus" event in the XP
+   * ledger. Only admins can put bonus XP on a challenge.
+   * ------------------------------------------------*/
+  const CHALLENGE_MODES = ["individual", "team"];
+  const CHALLENGE_METRICS = ["count", "xp"];
+  const CHALLENGE_SOURCES = ["quests", "routines", "all"];
+  const MAX_CHALLENGE_DAYS = 90;
+  const MAX_CHALLENGE_BONUS_XP = 500;
+  const newJoinCode = customAlphabet("ABCDEFGHJKLMNPQRSTUVWXYZ23456789", 6);
+
+  const challengeBody = {
+    title: v.string({ max: 80 }),
+    mode: v.oneOf(CHALLENGE_MODES).default("individual"),
+    metric: v.oneOf(CHALLENGE_METRICS).default("count"),
+    source: v.oneOf(CHALLENGE_SOURCES).default("quests"),
+    questId: v.string({ max: 64 }).nullable().default(null),
+    category: v.string({ max: 40 }).nullable().default(null),
+    target: v.int({ min: 1 }),
+    bonusXP: v.int({ min: 0, max: MAX_CHALLENGE_BONUS_XP }).default(0),
+    days: v.int({ min: 1, max: MAX_CHALLENGE_DAYS }),
+    startsOn: v.date().optional(),
+    visibility: v.oneOf(["public", "private"]).default("public"),
+  };
+
+  // Checks across fields of a validated create body; returns { challenge } or { field, error }
+  function newChallengeFields(body, user) {
+    const { title, mode, metric, source, questId, category, target, bonusXP, days, visibility } = body;
+    const startsOn = body.startsOn || localDateISO(user.timezone);
+
+    if ((questId || category) && source !== "quests") {
+      return { field: questId ? "questId" : "category", error: "questId and category only apply to source quests" };
+    }
+    if (questId && !sql.getQuest.get(questId)) return { field: "questId", error: "Invalid questId" };
+    if (category && !sql.getCategory.get(category)?.active) return { field: "category", error: "Invalid category" };
+    if (startsOn < localDateISO(user.timezone)) return { field: "startsOn", error: "startsOn must be today or later" };
+    // otherwise anyone could pay themselves past the daily XP cap with a target-1 challenge
+    if (bonusXP > 0 && user.role !== "admin") return { field: "bonusXP", error: "Only admins can set bonusXP" };
+
+    return {
+      challenge: {
+        id: nanoid(),
+        title,
+        created_by: user.id,
+        mode,
+        metric,
+        source,
+        quest_id: questId,
+        category,
+        target,
+        bonus_xp: bonusXP,
+        starts_on: startsOn,
+        ends_on: dayjs(startsOn).add(days - 1, "day").format("YYYY-MM-DD"),
+        visibility,
+        join_code: newJoinCode(),
+        created_at: sqlNow(),
+      },
+    };
+  }
+
+  // One participant's count / XP inside the challenge window, since they joined
+  function challengeContribution(c, p) {
+    const params = {
+      user_id: p.user_id,
+      from: c.starts_on,
+      to: c.ends_on,
+      since: dayjs.utc(p.joined_at).toISOString(),
+      quest_id: c.quest_id,
+      category: c.category,
+    };
+    const parts = [];
+    if (c.source !== "routines") parts.push(sql.challengeRunTotals.get(params));
+    if (c.source !== "quests") parts.push(sql.challengeLogTotals.get(params));
+    return parts.reduce((sum, p) => sum + (c.metric === "xp" ? p.xp : p.n), 0);
+  }
+
+  function challengeStatus(c, today) {
+    if (today < c.starts_on) return "upcoming";
+    return today > c.ends_on ? "ended" : "active";
+  }
+
+  // users-row shape of a listParticipants row, for displayProfile()
+  const participantUser = (p) => ({
+    id: p.user_id,
+    email: p.email,
+    privacy_json: p.privacy_json,
+    level: p.level,
+    current_streak: p.current_streak,
+  });
+
+  // Participants with their contribution, best first
+  function challengeStandings(c) {
+    const rows = sql.listParticipants.all(c.id).map((p) => ({
+      userId: p.user_id,
+      user: participantUser(p),
+      progress: challengeContribution(c, p),
+      completedAt: p.completed_at,
+      bonusPaid: p.bonus_paid,
+    }));
+    rows.sort((a, b) => b.progress - a.progress);
+    rows.forEach((r, i) => {
+      r.rank = i > 0 && r.progress === rows[i - 1].progress ? rows[i - 1].rank : i + 1;
+    });
+    return rows;
+  }
+
+  function serializeChallenge(c, viewer) {
+    const standings = challengeStandings(c);
+    const me = standings.find((s) => s.userId === viewer.id);
+    const teamProgress = standings.reduce((sum, s) => sum + s.progress, 0);
+    const out = {
+      id: c.id,
+      title: c.title,
+      createdBy: c.created_by,
+      mode: c.mode,
+      metric: c.metric,
+      source: c.source,
+      questId: c.quest_id,
+      category: c.category,
+      target: c.target,
+      bonusXP: c.bonus_xp,
+      startsOn: c.starts_on,
+      endsOn: c.ends_on,
+      visibility: c.visibility,
+      status: challengeStatus(c, localDateISO(viewer.timezone)),
+      participants: standings.length,
+      joined: !!me,
+      progress: {
+        mine: me ? me.progress : null,
+        team: c.mode === "team" ? teamProgress : null,
+        completed: !!me?.completedAt,
+      },
+    };
+    // the code is how private challenges are shared, so only members get it
+    if (me) out.joinCode = c.join_code;
+    return out;
+  }
+
+  function payChallengeBonus(c, userId) {
+    const now = nowISO();
+    const u = { ...sql.getUser.get(userId) };
+    if (c.bonus_xp > 0) {
+      addXP(u, c.bonus_xp);
+      saveUser(u);
+      recordXpEvent(db, {
+        userId,
+        kind: "bonus",
+        amount: c.bonus_xp,
+        localDate: localDateISO(u.timezone),
+        note: `challenge:${c.id}`,
+        createdAt: nowISO(),
+      });
+    }
+    sql.completeParticipant.run(now, c.bonus_xp, c.id, userId);
+  }
+
+  /**
+   * Pay out every completion that `c` now owes. Returns the user ids paid.
+   * Bonuses are final: undoing a run later does not take one back.
+   */
+  function settleChallenge(c) {
+    const standings = challengeStandings(c);
+    const team = standings.reduce((sum, s) => sum + s.progress, 0);
+    const due = standings.filter(
+      (s) => !s.completedAt && (c.mode === "team" ? team >= c.target && s.progress > 0 : s.progress >= c.target)
+    );
+    if (!due.length) return [];
+    db.transaction(() => due.forEach((s) => payChallengeBonus(c, s.userId)))();
+    return due.map((s) => s.userId);
+  }
+
+  /**
+   * Settle the challenges `userId` takes part in after new activity; returns
+   * the ones this user just completed as [{ id, title, bonusXP }].
+   * Windows that ended a few days ago still settle, for late offline syncs.
+   */
+  function settleChallengesFor(userId) {
+    const since = dayjs(clock.now()).subtract(SYNC_MAX_AGE_DAYS, "day").format("YYYY-MM-DD");
+    return sql.listUnsettledChallenges
+      .all(userId, since)
+      .filter((c) => settleChallenge(c).includes(userId))
+      .map((c) => ({ id: c.id, title: c.title, bonusXP: c.bonus_xp }));
+  }
+
+  // Joined challenges (?scope=open for public ones you could join)
+  app.get(
+    "/api/challenges",
+    validate({ query: { scope: v.oneOf(["mine", "open"]).default("mine") } }),
+    (req, res) => {
+      const { scope } = req.query;
+      const list =
+        scope === "open"
+          ? sql.listOpenChallenges.all(localDateISO(req.user.timezone), req.user.id)
+          : sql.listJoinedChallenges.all(req.user.id);
+      res.json({ challenges: list.map((c) => serializeChallenge(c, req.user)) });
+    }
+  );
+
+  // Create a challenge; the creator joins it right away
+  app.post(
+    "/api/challenges",
+    validate({ body: challengeBody }),
+    (req, res) => {
+      const { challenge, field, error } = newChallengeFields(req.body, req.user);
+      if (error) return sendFieldError(res, field, error);
+
+      const trx = db.transaction(() => {
+        sql.insertChallenge.run(challenge);
+        sql.insertParticipant.run(challenge.id, req.user.id, sqlNow());
+      });
+      trx();
+      res.status(201).json({ challenge: serializeChallenge(challenge, req.user) });
+    }
+  );
+
+  app.get(
+    "/api/challenges/:id",
+    validate({ params: idParams }),
+    (req, res) => {
+      const c = sql.getChallenge.get(req.params.id);
+      if (!c) return sendError(res, 404, "challenge_not_found", "Challenge not found");
+      const joined = !!sql.getParticipant.get(c.id, req.user.id);
+      if (!joined && c.visibility !== "public") return sendError(res, 404, "challenge_not_found", "Challenge not found");
+      res.json({ challenge: serializeChallenge(c, req.user) });
+    }
+  );
+
+  // Join a public challenge, or a private one with its join code
+  app.post(
+    "/api/challenges/:id/join",
+    validate({ params: idParams, body: { code: v.string({ max: 20 }).optional() } }),
+    (req, res) => {
+      const c = sql.getChallenge.get(req.params.id);
+      const { code } = req.body;
+      if (!c || (c.visibility !== "public" && code?.toUpperCase() !== c.join_code)) {
+        return sendError(res, 404, "challenge_not_found", "Challenge not found");
+      }
+      if (challengeStatus(c, localDateISO(req.user.timezone)) === "ended") {
+        return sendError(res, 409, "challenge_ended", "Challenge has ended");
+      }
+      if (sql.getParticipant.get(c.id, req.user.id)) return sendError(res, 409, "already_joined", "Already joined");
+
+      sql.insertParticipant.run(c.id, req.user.id, sqlNow());
+      res.json({ challenge: serializeChallenge(c, req.user) });
+    }
+  );
+
+  // Leave before the end; earned bonuses stay paid and can't be earned again
+  app.post(
+    "/api/challenges/:id/leave",
+    validate({ params: idParams }),
+    (req, res) => {
+      const c = sql.getChallenge.get(req.params.id);
+      if (!c || !sql.getParticipant.get(c.id, req.user.id)) {
+        return sendError(res, 404, "challenge_not_found", "Challenge not found");
+      }
+      if (challengeStatus(c, localDateISO(req.user.timezone)) === "ended") {
+        return sendError(res, 409, "challenge_ended", "Challenge has ended");
+      }
+      sql.leaveChallenge.run(sqlNow(), c.id, req.user.id);
+      res.json({ ok: true });
+    }
+  );
+
+  app.get(
+    "/api/challenges/:id/participants",
+    validate({ params: idParams }),
+    (req, res) => {
+      const c = sql.getChallenge.get(req.params.id);
+      const joined = c && !!sql.getParticipant.get(c.id, req.user.id);
+      if (!c || (!joined && c.visibility !== "public")) {
+        return sendError(res, 404, "challenge_not_found", "Challenge not found");
+      }
+      res.json({
+        participants: sql.listParticipants.all(c.id).map((p) => ({
+          ...displayProfile(participantUser(p), req.user.id),
+          joinedAt: p.joined_at,
+          completedAt: p.completed_at,
+        })),
+      });
+    }
+  );
+
+  // Ranked contributions, for members only; `final` once the window is over everywhere
+  app.get(
+    "/api/challenges/:id/standings",
+    validate({ params: idParams }),
+    (req, res) => {
+      const c = sql.getChallenge.get(req.params.id);
+      const joined = c && !!sql.getParticipant.get(c.id, req.user.id);
+      if (!c || (!joined && c.visibility !== "public")) {
+        return sendError(res, 404, "challenge_not_found", "Challenge not found");
+      }
+      if (!joined) return sendError(res, 403, "not_a_member", "Join the challenge to see its standings");
+
+      const standings = challengeStandings(c);
+      const team = standings.reduce((sum, s) => sum + s.progress, 0);
+      res.json({
+        challengeId: c.id,
+        mode: c.mode,
+        metric: c.metric,
+        target: c.target,
+        // the latest zone on earth is UTC-12, so a day later the window is closed for everyone
+        final: dayjs.utc(clock.now()).subtract(12, "hour").format("YYYY-MM-DD") > c.ends_on,
+        team: c.mode === "team" ? { progress: team, reached: team >= c.target } : null,
+        standings: standings.map(({ user, ...s }) => ({ ...displayProfile(user, req.user.id), ...s })),
+      });
+    }
+  );
+
+  return { settleChallengesFor };
+}
@@ -0,0 +1,164 @@
+// evania-backend/routes/checkins.js
+import dayjs from "dayjs";
+import { nanoid } from "nanoid";
+import { sendError, sendFieldError } from "../errors.js";
+import { v, validate } from "../validation.js";
+
+/**
+ * Daily mood check-ins with a private journal. The mood summary and
+ * serializer it returns are reused by insights and sync.
+ */
+export function checkinRoutes(app, ctx) {
+  const { sql, sqlNow, localDateISO } = ctx;
+
+  /* ------------------------------------------------
+   * Check-ins: daily mood + private journal
+   * ------------------------------------------------*/
+  const MOOD_MIN = 1;
+  const MOOD_MAX = 5;
+  const MAX_CHECKIN_TAGS = 10;
+  const MAX_JOURNAL_CHARS = 5000;
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+  const checkinFields = {
+    moodScore: v.int({ min: MOOD_MIN, max: MOOD_MAX }).optional(),
+    tags: v.array(v.string({ max: 30 }), { max: MAX_CHECKIN_TAGS }).optional(),
+    journal: v.string({ min: 0, max: MAX_JOURNAL_CHARS, trim: false }).nullable().optional(),
+  };
+
+  // Apply a validated (partial) body onto a check-in row
+  function applyCheckinFields(c, { moodScore, tags, journal }) {
+    const next = { ...c };
+    if (moodScore !== undefined) next.mood_score = moodScore;
+    if (tags !== undefined) next.tags_json = JSON.stringify([...new Set(tags.map((t) => t.toLowerCase()))]);
+    if (journal !== undefined) next.journal = journal || null;
+    return next;
+  }
+
+  function serializeCheckin(c) {
+    return {
+      id: c.id,
+      date: c.local_date,
+      moodScore: c.mood_score,
+      tags: JSON.parse(c.tags_json || "[]"),
+      journal: c.journal,
+      createdAt: c.created_at,
+      updatedAt: c.updated_at,
+    };
+  }
+
+  // Create today's check-in (or a past day's via `date`)
+  app.post(
+    "/api/checkins",
+    validate({
+      body: { ...checkinFields, moodScore: v.int({ min: MOOD_MIN, max: MOOD_MAX }), date: v.date().optional() },
+    }),
+    (req, res) => {
+      const userId = req.user.id;
+      const today = localDateISO(req.user.timezone);
+      const date = req.body.date ?? today;
+      if (date > today) return sendFieldError(res, "date", "date must not be in the future");
+      if (sql.getCheckin.get(userId, date)) {
+        return sendError(res, 409, "checkin_exists", "check-in already exists for this date");
+      }
+
+      const blank = { id: nanoid(), user_id: userId, local_date: date, mood_score: 0, tags_json: "[]", journal: null };
+      sql.insertCheckin.run({ ...applyCheckinFields(blank, req.body), now: sqlNow() });
+      res.status(201).json({ checkin: serializeCheckin(sql.getCheckin.get(userId, date)) });
+    }
+  );
+
+  // List check-ins (?from=&to=, default: last 30 days)
+  app.get(
+    "/api/checkins",
+    validate({ query: { from: v.date().optional(), to: v.date().optional() } }),
+    (req, res) => {
+      const today = localDateISO(req.user.timezone);
+      const to = req.query.to || today;
+      const from = req.query.from || dayjs(to).subtract(29, "day").format("YYYY-MM-DD");
+      if (from > to) return sendFieldError(res, "from", "from must not be after to", { in: "query" });
+      res.json({ checkins: sql.listCheckins.all(req.user.id, from, to).map(serializeCheckin) });
+    }
+  );
+
+  app.get(
+    "/api/checkins/:date",
+    validate({ params: { date: v.date() } }),
+    (req, res) => {
+      const c = sql.getCheckin.get(req.user.id, req.params.date);
+      if (!c) return sendError(res, 404, "checkin_not_found", "Check-in not found");
+      res.json({ checkin: serializeCheckin(c) });
+    }
+  );
+
+  app.patch(
+    "/api/checkins/:date",
+    validate({ params: { date: v.date() }, body: checkinFields }),
+    (req, res) => {
+      const c = sql.getCheckin.get(req.user.id, req.params.date);
+      if (!c) return sendError(res, 404, "checkin_not_found", "Check-in not found");
+
+      sql.updateCheckin.run({ ...applyCheckinFields(c, req.body), now: sqlNow() });
+      res.json({ checkin: serializeCheckin(sql.getCheckin.get(req.user.id, req.params.date)) });
+    }
+  );
+
+  /**
+   * Mood summary for a run of days: average, and a trend comparing the first
+   * half of the window with the second (needs a check-in in both halves).
+   */
+  function moodSummary(days, moodByDay) {
+    const scores = days.map((d) => moodByDay[d]).filter((m) => m != null);
+    if (!scores.length) return { average: null, trend: null, checkins: 0 };
+
+    const avg = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+    const half = Math.floor(days.length / 2);
+    const first = days.slice(0, half).map((d) => moodByDay[d]).filter((m) => m != null);
+    const second = days.slice(half).map((d) => moodByDay[d]).filter((m) => m != null);
+
+    let trend = null;
+    if (first.length && second.length) {
+      const delta = avg(second) - avg(first);
+      trend = delta >= 0.5 ? "up" : delta <= -0.5 ? "down" : "flat";
+    }
+    return { average: parseFloat(avg(scores).toFixed(2)), trend, checkins: scores.length };
+  }
+
+  // Avatar mood + supportive message from the risk band, softened by how the user feels
+  function insightTone(riskBand, mood) {
+    const low = mood.average != null && mood.average < 2.5;
+    if (low || mood.trend === "down") {
+      return {
+        avatarMood: "caring",
+        message:
+          riskBand === "Green"
+            ? "You’re showing up even on heavy days — remember rest counts too 💛"
+            : "It’s been a heavy stretch. One small, kind thing for yourself today is plenty 💛",
+      };
+    }
+    if (riskBand === "Green") {
+      return {
+        avatarMood: "happy",
+        message:
+          mood.trend === "up"
+            ? "Great balance and your mood is lifting — keep the momentum!"
+            : "Great balance this week — keep the momentum!",
+      };
+    }
+    if (riskBand === "Amber") {
+      return {
+        avatarMood: "thoughtful",
+        message: "You’re on your way — a couple more logs to hit green!",
+      };
+    }
+    return {
+      avatarMood: "tired",
+      message:
+        mood.trend === "up"
+          ? "Your mood is picking up — ride that with one small routine today 🌱"
+          : "Be gentle with yourself — start small today and build up 💛",
+    };
+  }
+
+  return { DATE_RE, serializeCheckin, moodSummary, insightTone };
+}
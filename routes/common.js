@@ -0,0 +1,273 @@
+// evania-backend/routes/common.js
+import dayjs from "dayjs";
+import { nanoid } from "nanoid";
+import { v } from "../validation.js";
+import { TIMEZONE_KIND, recordXpEvent, replayLedger } from "../ledger.js";
+import { currentRules, levelForXP, levelProgress, streakMultiplier, earnsAvatarTier } from "../rules.js";
+
+/**
+ * Helpers most feature routes need: shared request schemas, local dates,
+ * XP/streak/level bookkeeping and routine schedules. createApp (api.js) adds
+ * what this returns to `ctx` before any route module is registered.
+ */
+export function commonHelpers(ctx) {
+  const { db, clock, sql, nowISO, DEFAULT_TZ, UNDO_WINDOW_SEC, DAILY_XP_CAP } = ctx;
+
+  /* ------------------------------------------------
+   * Helpers
+   * ------------------------------------------------*/
+  const MAX_STREAK_FREEZES = 3;
+  const MAX_GRACE_DAYS = 3;
+
+  const MAX_DAILY_TARGET = 20;
+  const MAX_ROUTINE_POINTS = 100;
+
+  // Oldest activity an offline sync may still record (see routes/sync.js)
+  const SYNC_MAX_AGE_DAYS = 30;
+
+  const HEX_COLOR_RE = /^#[0-9a-fA-F]{6}$/;
+  const MOOD_RE = /^[a-z][a-z_-]*$/;
+
+  // Shared request schemas (see validation.js)
+  const idParams = { id: v.string({ max: 64 }) };
+  const timezoneField = v.string({ max: 64, test: isValidTimezone, message: "must be an IANA timezone" });
+  const passwordField = v.string({ max: 200, trim: false });
+
+  function isValidTimezone(tz) {
+    if (typeof tz !== "string" || !tz) return false;
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: tz });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // All day boundaries are computed in the user's own zone, never the server's
+  function localDateISO(tz) {
+    return dayjs(clock.now()).tz(isValidTimezone(tz) ? tz : DEFAULT_TZ).format("YYYY-MM-DD");
+  }
+
+  /**
+   * Advances the streak for activity "today" (user's zone) and returns the
+   * missed days that were bridged, as [{ date, kind: "grace" | "freeze" }].
+   * Missed days are covered first by the user's grace days, then by freeze
+   * tokens; only when neither is enough does the streak reset.
+   * Offline sync passes the local date the activity actually happened on.
+   */
+  function applyStreakProgress(u, today = localDateISO(u.timezone)) {
+    const bridged = [];
+    grantWeeklyFreeze(u, today);
+
+    if (!u.last_active_local_date) {
+      u.current_streak = 1;
+    } else {
+      const diff = dayjs(today).diff(dayjs(u.last_active_local_date), "day");
+      if (diff <= 0) {
+        // same day → keep streak (and never move the anchor backwards)
+        return bridged;
+      } else if (diff === 1) {
+        u.current_streak = (u.current_streak || 0) + 1;
+      } else {
+        const missed = diff - 1;
+        const grace = Math.min(missed, u.streak_grace_days || 0);
+        const freezesNeeded = missed - grace;
+
+        if (freezesNeeded <= (u.streak_freezes || 0)) {
+          for (let i = 1; i <= missed; i++) {
+            const date = dayjs(u.last_active_local_date).add(i, "day").format("YYYY-MM-DD");
+            bridged.push({ date, kind: i <= grace ? "grace" : "freeze" });
+          }
+          u.streak_freezes -= freezesNeeded;
+          u.current_streak = (u.current_streak || 0) + 1;
+        } else {
+          u.current_streak = 1;
+        }
+      }
+    }
+    u.longest_streak = Math.max(u.longest_streak || 0, u.current_streak || 0);
+    u.last_active_local_date = today;
+    return bridged;
+  }
+
+  // One free streak freeze per ISO week, granted on the first activity of the week
+  function grantWeeklyFreeze(u, today) {
+    const d = dayjs(today);
+    const week = `${d.isoWeekYear()}-W${d.isoWeek()}`;
+    if (u.freeze_grant_week === week) return;
+    // a synced event from an earlier week must not move the grant backwards
+    if (u.freeze_grant_week) {
+      const [year, num] = u.freeze_grant_week.split("-W").map(Number);
+      if (d.isoWeekYear() * 100 + d.isoWeek() < year * 100 + num) return;
+    }
+    u.freeze_grant_week = week;
+    u.streak_freezes = Math.min((u.streak_freezes || 0) + 1, MAX_STREAK_FREEZES);
+  }
+
+  // Level-up rewards: avatar tier per the live rules, one streak freeze per level
+  function applyLevelUp(u, prevLevel) {
+    if (u.level <= prevLevel) return;
+    if (earnsAvatarTier(currentRules(db), prevLevel, u.level)) {
+      u.avatar_tier = (u.avatar_tier || 0) + 1;
+    }
+    u.streak_freezes = Math.min((u.streak_freezes || 0) + (u.level - prevLevel), MAX_STREAK_FREEZES);
+  }
+
+  // Credit XP to `u` (mutated); level and level-up rewards follow
+  function addXP(u, amount) {
+    const prevLevel = u.level;
+    u.total_xp += amount;
+    u.level = levelForXP(currentRules(db), u.total_xp);
+    applyLevelUp(u, prevLevel);
+  }
+
+  /**
+   * Trim `xp` so the user's activity XP on `localDate` stays within
+   * DAILY_XP_CAP. Whatever is over is dropped — the run or log itself still
+   * counts for streaks and targets — and the day is flagged in abuse_flags for
+   * an admin to look at. Returns { xp, capped }.
+   */
+  function applyDailyXpCap(userId, localDate, xp) {
+    if (!DAILY_XP_CAP) return { xp, capped: false };
+    const { xp: earned } = sql.activityXpOnDay.get({ user_id: userId, local_date: localDate });
+    const allowed = Math.max(DAILY_XP_CAP - earned, 0);
+    if (xp <= allowed) return { xp, capped: false };
+
+    sql.upsertAbuseFlag.run({
+      id: nanoid(),
+      user_id: userId,
+      kind: "daily_xp_cap",
+      local_date: localDate,
+      detail_json: JSON.stringify({ cap: DAILY_XP_CAP, earned, attempted: xp }),
+      now: nowISO(),
+    });
+    return { xp: allowed, capped: true };
+  }
+
+  /**
+   * Streak and XP for one quest run or routine log worth `basePoints`, on `u`
+   * (mutated). Returns { bridged, multiplier, gainedXP, xpCapped }.
+   */
+  function awardActivity(u, basePoints) {
+    const bridged = applyStreakProgress(u);
+    const multiplier = streakMultiplier(currentRules(db), u.current_streak);
+    const { xp: gainedXP, capped } = applyDailyXpCap(u.id, localDateISO(u.timezone), Math.round(basePoints * multiplier));
+    addXP(u, gainedXP);
+    return { bridged, multiplier, gainedXP, xpCapped: capped };
+  }
+
+  function recordStreakBridges(userId, bridged) {
+    const now = nowISO();
+    bridged.forEach((b) => sql.insertStreakBridge.run(nanoid(), userId, b.date, b.kind, now));
+  }
+
+  function streakFreezeSummary(u) {
+    return {
+      available: u.streak_freezes || 0,
+      max: MAX_STREAK_FREEZES,
+      graceDays: u.streak_grace_days || 0,
+    };
+  }
+
+  function progressPayload(u) {
+    const rules = currentRules(db);
+    const { nextLevel, xpIntoLevel, xpForNextLevel, xpToNextLevel, percent } = levelProgress(rules, u.total_xp);
+    return {
+      totalXP: u.total_xp,
+      level: u.level,
+      nextLevel: { level: nextLevel, xpRequired: xpForNextLevel, xpIntoLevel, xpToGo: xpToNextLevel, percent },
+      streakMultiplier: streakMultiplier(rules, u.current_streak),
+      currentStreak: u.current_streak,
+      longestStreak: u.longest_streak,
+      lastActiveDayISO: u.last_active_local_date,
+      avatar: { tier: u.avatar_tier },
+      streakFreezes: streakFreezeSummary(u),
+    };
+  }
+
+  /**
+   * Rebuild total_xp, level, avatar_tier and both streaks from the XP ledger
+   * (see ledger.js) after an undo. Freezes that were spent to reach activity
+   * that no longer exists are refunded; freezes earned from levels that were
+   * lost are taken back.
+   */
+  function recomputeProgress(u) {
+    const prevLevel = u.level;
+    Object.assign(u, replayLedger(db, u.id));
+
+    let refunded = 0;
+    sql.listStreakBridgesAfter.all(u.id, u.last_active_local_date || "").forEach((b) => {
+      if (b.kind === "freeze") refunded++;
+      sql.deleteStreakBridge.run(b.id);
+    });
+
+    u.streak_freezes = Math.min(
+      Math.max((u.streak_freezes || 0) + refunded - Math.max(prevLevel - u.level, 0), 0),
+      MAX_STREAK_FREEZES
+    );
+    return u;
+  }
+
+  function withinUndoWindow(row) {
+    return clock.now() - new Date(row.created_at).getTime() <= UNDO_WINDOW_SEC * 1000;
+  }
+
+  /**
+   * Travel-safe timezone switch: keep last_active_local_date the same number of
+   * days behind "today" as it was in the old zone, so a zone change can neither
+   * break an in-progress streak nor count the same day twice. The move is
+   * recorded in the ledger so a replay lands on the same day.
+   */
+  function rebaseStreakForTimezone(u, nextTz) {
+    if (u.last_active_local_date) {
+      const gap = dayjs(localDateISO(u.timezone)).diff(dayjs(u.last_active_local_date), "day");
+      const rebased = dayjs(localDateISO(nextTz)).subtract(Math.max(gap, 0), "day").format("YYYY-MM-DD");
+      if (rebased !== u.last_active_local_date) {
+        recordXpEvent(db, {
+          userId: u.id,
+          kind: TIMEZONE_KIND,
+          amount: 0,
+          localDate: rebased,
+          note: `${u.timezone} → ${nextTz}`,
+          createdAt: nowISO(),
+        });
+        u.last_active_local_date = rebased;
+      }
+    }
+    u.timezone = nextTz;
+  }
+
+  // Local date the routine was created on; it is never due before that
+  function routineStartDate(r, tz) {
+    return dayjs.utc(r.created_at).tz(isValidTimezone(tz) ? tz : DEFAULT_TZ).format("YYYY-MM-DD");
+  }
+
+  // First local date the routine is no longer due (the day it was archived / deleted), or null
+  function routineEndDate(r, tz) {
+    if (!r.archived_at) return null;
+    return dayjs.utc(r.archived_at).tz(isValidTimezone(tz) ? tz : DEFAULT_TZ).format("YYYY-MM-DD");
+  }
+
+  /**
+   * routineId → Set of local dates in [from, to] on which the routine hit its
+   * daily_target. Feeds the per_week recurrence check.
+   */
+  function routineMetDates(userId, routines, from, to) {
+    const targets = new Map(routines.map((r) => [r.id, r.daily_target || 1]));
+    const met = new Map(routines.map((r) => [r.id, new Set()]));
+    sql.routineLogCountsByDay.all(userId, from, to).forEach((row) => {
+      if (met.has(row.routine_id) && row.n >= targets.get(row.routine_id)) {
+        met.get(row.routine_id).add(row.local_date);
+      }
+    });
+    return met;
+  }
+
+  return {
+    MAX_STREAK_FREEZES, MAX_GRACE_DAYS, MAX_DAILY_TARGET, MAX_ROUTINE_POINTS, SYNC_MAX_AGE_DAYS, HEX_COLOR_RE,
+    MOOD_RE, idParams, timezoneField, passwordField, isValidTimezone, localDateISO, applyStreakProgress,
+    applyLevelUp, addXP, applyDailyXpCap, awardActivity, recordStreakBridges, streakFreezeSummary,
+    progressPayload, recomputeProgress, withinUndoWindow, rebaseStreakForTimezone, routineStartDate,
+    routineEndDate, routineMetDates,
+  };
+}
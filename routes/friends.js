@@ -0,0 +1,259 @@
+// evania-backend/routes/friends.js
+import dayjs from "dayjs";
+import { nanoid, customAlphabet } from "nanoid";
+import { sendError, sendFieldError } from "../errors.js";
+import { v, validate, normalizeEmail } from "../validation.js";
+
+/**
+ * Friends (accountability partners), invites and the weekly leaderboard.
+ * privacySettings and displayProfile decide what other users get to see.
+ */
+export function friendRoutes(app, ctx) {
+  const { sql, sqlNow, idParams, localDateISO, dailyActivity, summarizeDays } = ctx;
+
+  /* ------------------------------------------------
+   * Friends: accountability partners + leaderboard
+   *
+   * Partners only ever see what the other side's privacy settings allow;
+   * check-ins, mood and journals are never shared. Email addresses are only
+   * shown to accepted friends, and only if the owner opts in.
+   * ------------------------------------------------*/
+  const PRIVACY_DEFAULTS = { streak: true, level: true, weeklyXP: true, riskBand: false, email: false };
+  const LEADERBOARD_METRICS = { weekly_xp: "weeklyXP", streak: "streak" };
+  const newInviteCode = customAlphabet("ABCDEFGHJKLMNPQRSTUVWXYZ23456789", 8);
+
+  function privacySettings(u) {
+    let stored = {};
+    try {
+      stored = JSON.parse(u.privacy_json || "{}");
+    } catch {
+      // corrupt settings fall back to the defaults
+    }
+    return Object.fromEntries(
+      Object.entries(PRIVACY_DEFAULTS).map(([k, v]) => [k, typeof stored[k] === "boolean" ? stored[k] : v])
+    );
+  }
+
+  // ISO week so far, in `tz`
+  function currentWeekRange(tz) {
+    const today = localDateISO(tz);
+    return { start: dayjs(today).startOf("isoWeek").format("YYYY-MM-DD"), end: today };
+  }
+
+  /**
+   * What a partner may see of `u`. Pass { self: true } for the caller's own
+   * row, which always shows everything.
+   */
+  function partnerStats(u, week, { self = false } = {}) {
+    const privacy = self ? { streak: true, level: true, weeklyXP: true, riskBand: true, email: true } : privacySettings(u);
+    const out = { userId: u.id };
+    if (privacy.email) out.email = u.email;
+    if (privacy.streak) out.streak = { current: u.current_streak || 0, longest: u.longest_streak || 0 };
+    if (privacy.level) out.level = u.level;
+    if (privacy.weeklyXP) out.weeklyXP = sql.xpBetween.get(u.id, week.start, week.end).xp;
+    if (privacy.riskBand) {
+      const today = localDateISO(u.timezone);
+      const start = dayjs(today).subtract(6, "day").format("YYYY-MM-DD");
+      out.riskBand = summarizeDays(dailyActivity(u, start, today)).riskBand;
+    }
+    return out;
+  }
+
+  /**
+   * How `u` appears to `viewerId` outside the friends list (challenge
+   * participants and standings): the id, plus level and streak if shared;
+   * the email only between accepted friends who opted in.
+   */
+  function displayProfile(u, viewerId) {
+    const out = { userId: u.id };
+    const self = u.id === viewerId;
+    const privacy = self ? { streak: true, level: true, email: true } : privacySettings(u);
+    if (privacy.email && (self || sql.getFriendshipBetween.get({ a: u.id, b: viewerId })?.status === "accepted")) {
+      out.email = u.email;
+    }
+    if (privacy.level) out.level = u.level;
+    if (privacy.streak) out.streak = u.current_streak || 0;
+    return out;
+  }
+
+  const otherSide = (f, userId) => (f.requester_id === userId ? f.addressee_id : f.requester_id);
+
+  function acceptedFriends(userId) {
+    return sql.listFriendships
+      .all(userId)
+      .filter((f) => f.status === "accepted")
+      .map((f) => ({ friendship: f, user: sql.getUser.get(otherSide(f, userId)) }))
+      .filter((x) => x.user);
+  }
+
+  app.get("/api/me/privacy", (req, res) => {
+    res.json({ privacy: privacySettings(req.user) });
+  });
+
+  app.post(
+    "/api/me/privacy",
+    validate({
+      body: Object.fromEntries(Object.keys(PRIVACY_DEFAULTS).map((key) => [key, v.boolean().optional()])),
+    }),
+    (req, res) => {
+      const next = { ...privacySettings(req.user), ...req.body };
+      sql.setPrivacy.run(JSON.stringify(next), req.user.id);
+      res.json({ privacy: next });
+    }
+  );
+
+  // The caller's invite code (created on first use)
+  app.get("/api/friends/invite-code", (req, res) => {
+    let code = req.user.invite_code;
+    if (!code) {
+      code = newInviteCode();
+      sql.setInviteCode.run(code, req.user.id);
+    }
+    res.json({ code });
+  });
+
+  // New code; the old one stops working
+  app.post("/api/friends/invite-code", (req, res) => {
+    const code = newInviteCode();
+    sql.setInviteCode.run(code, req.user.id);
+    res.json({ code });
+  });
+
+  // Friends plus pending requests in both directions
+  app.get("/api/friends", (req, res) => {
+    const userId = req.user.id;
+    const week = currentWeekRange(req.user.timezone);
+    const friends = [];
+    const incoming = [];
+    const outgoing = [];
+
+    sql.listFriendships.all(userId).forEach((f) => {
+      const other = sql.getUser.get(otherSide(f, userId));
+      if (!other) return;
+      if (f.status === "accepted") {
+        friends.push({ ...partnerStats(other, week), since: f.accepted_at });
+      } else if (f.addressee_id === userId) {
+        incoming.push({ requestId: f.id, userId: other.id, createdAt: f.created_at });
+      } else if (!f.via_email) {
+        outgoing.push({ requestId: f.id, userId: other.id, createdAt: f.created_at });
+      }
+    });
+
+    res.json({ friends, incoming, outgoing });
+  });
+
+  /**
+   * Send a request by invite code or email; a crossing request is accepted
+   * instead. By email the answer is always the same 202, whether or not the
+   * address has an account or a request is already open, so it can't be used
+   * to probe for accounts.
+   */
+  app.post(
+    "/api/friends/requests",
+    validate({ body: { code: v.string({ max: 20 }).optional(), email: v.string({ max: 254 }).optional() } }),
+    (req, res) => {
+      const { code, email } = req.body;
+      if (!code && !email) return sendFieldError(res, "code", "code or email is required", { code: "required" });
+
+      if (!code) {
+        const target = sql.getUserByEmail.get(normalizeEmail(email));
+        if (target && !target.purge_after && target.id !== req.user.id) {
+          const existing = sql.getFriendshipBetween.get({ a: req.user.id, b: target.id });
+          if (!existing) sql.insertFriendship.run(nanoid(), req.user.id, target.id, 1, sqlNow());
+          else if (existing.status === "pending" && existing.addressee_id === req.user.id) sql.acceptFriendship.run(sqlNow(), existing.id);
+        }
+        return res.status(202).json({ ok: true });
+      }
+
+      const target = sql.getUserByInviteCode.get(code.toUpperCase());
+      if (!target || target.purge_after) return sendError(res, 404, "user_not_found", "User not found");
+      if (target.id === req.user.id) return sendError(res, 400, "cannot_befriend_self", "You can't befriend yourself");
+
+      const existing = sql.getFriendshipBetween.get({ a: req.user.id, b: target.id });
+      if (existing?.status === "accepted") return sendError(res, 409, "already_friends", "Already friends");
+      if (existing?.requester_id === req.user.id) return sendError(res, 409, "request_already_sent", "Request already sent");
+      if (existing) {
+        sql.acceptFriendship.run(sqlNow(), existing.id);
+        return res.json({ request: { id: existing.id, userId: target.id, status: "accepted" } });
+      }
+
+      const id = nanoid();
+      sql.insertFriendship.run(id, req.user.id, target.id, 0, sqlNow());
+      res.status(201).json({ request: { id, userId: target.id, status: "pending" } });
+    }
+  );
+
+  app.post(
+    "/api/friends/requests/:id/accept",
+    validate({ params: idParams }),
+    (req, res) => {
+      const f = sql.getFriendshipById.get(req.params.id);
+      if (!f || f.addressee_id !== req.user.id || f.status !== "pending") {
+        return sendError(res, 404, "request_not_found", "Request not found");
+      }
+      sql.acceptFriendship.run(sqlNow(), f.id);
+      res.json({ ok: true });
+    }
+  );
+
+  app.post(
+    "/api/friends/requests/:id/decline",
+    validate({ params: idParams }),
+    (req, res) => {
+      const f = sql.getFriendshipById.get(req.params.id);
+      if (!f || f.addressee_id !== req.user.id || f.status !== "pending") {
+        return sendError(res, 404, "request_not_found", "Request not found");
+      }
+      sql.deleteFriendship.run(f.id);
+      res.json({ ok: true });
+    }
+  );
+
+  // Unfriend, or withdraw an outgoing request
+  app.delete(
+    "/api/friends/:userId",
+    validate({ params: { userId: v.string({ max: 64 }) } }),
+    (req, res) => {
+      const f = sql.getFriendshipBetween.get({ a: req.user.id, b: req.params.userId });
+      if (!f || (f.status === "pending" && f.requester_id !== req.user.id)) {
+        return sendError(res, 404, "friend_not_found", "Friend not found");
+      }
+      sql.deleteFriendship.run(f.id);
+      res.json({ ok: true });
+    }
+  );
+
+  // Friends-only leaderboard (?metric=weekly_xp|streak); hidden stats are left out
+  app.get(
+    "/api/friends/leaderboard",
+    validate({ query: { metric: v.oneOf(Object.keys(LEADERBOARD_METRICS)).default("weekly_xp") } }),
+    (req, res) => {
+      const { metric } = req.query;
+      const field = LEADERBOARD_METRICS[metric];
+      const week = currentWeekRange(req.user.timezone);
+      const score = (s) => (field === "streak" ? s.streak?.current : s.weeklyXP);
+
+      const rows = [
+        { ...partnerStats(req.user, week, { self: true }), isMe: true },
+        ...acceptedFriends(req.user.id).map(({ user }) => ({ ...partnerStats(user, week), isMe: false })),
+      ].filter((s) => score(s) !== undefined);
+
+      rows.sort((a, b) => score(b) - score(a));
+      const entries = rows.map((s, i) => ({
+        rank: i > 0 && score(s) === score(rows[i - 1]) ? null : i + 1,
+        userId: s.userId,
+        email: s.email,
+        score: score(s),
+        isMe: s.isMe,
+      }));
+      // ties share the rank of the first entry with that score
+      entries.forEach((e, i) => {
+        if (e.rank === null) e.rank = entries[i - 1].rank;
+      });
+
+      res.json({ metric, week, entries });
+    }
+  );
+
+  return { privacySettings, displayProfile };
+}
@@ -0,0 +1,228 @@
+// evania-backend/routes/history.js
+import dayjs from "dayjs";
+import { sendError } from "../errors.js";
+import { v, validate } from "../validation.js";
+import { parseRecurrence, isDueOn } from "../recurrence.js";
+
+/**
+ * The calendar heatmap (/api/activity/heatmap) and the history of a single
+ * routine or quest.
+ */
+export function historyRoutes(app, ctx) {
+  const { sql, idParams, localDateISO, routineStartDate, routineEndDate, dailyActivity } = ctx;
+
+  /* ------------------------------------------------
+   * Calendar heatmap + per-habit history
+   *
+   * Everything is derived from runs and routine_logs by local date, so clients
+   * can draw a contribution calendar or a routine's history without paging
+   * through raw rows. Streaks here are per habit and independent of the
+   * account-wide XP streak on users.
+   * ------------------------------------------------*/
+  const HEATMAP_DAYS = 365;
+  const MAX_HISTORY_DAYS = 366;
+  const WEEKDAY_NAMES = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+
+  // 0 = nothing logged, 1–4 = quarters of the busiest day's XP
+  function heatLevel(xp, completions, maxXP) {
+    if (!completions) return 0;
+    if (!maxXP) return 1;
+    return Math.min(Math.max(Math.ceil((xp / maxXP) * 4), 1), 4);
+  }
+
+  /**
+   * Current and best streak over per-day outcomes, oldest first: true extends
+   * the streak, false breaks it, null (not due, or today still open) does neither.
+   */
+  function habitStreaks(outcomes) {
+    let current = 0;
+    let best = 0;
+    outcomes.forEach((hit) => {
+      if (hit === null) return;
+      current = hit ? current + 1 : 0;
+      best = Math.max(best, current);
+    });
+    return { current, best };
+  }
+
+  // ISO weekday with the most completions (ties go to the earlier day); null without any
+  function mostActiveWeekday(days) {
+    const totals = Array(7).fill(0);
+    days.forEach((d) => {
+      totals[dayjs(d.date).isoWeekday() - 1] += d.count;
+    });
+    const max = Math.max(...totals);
+    if (!max) return null;
+    const i = totals.indexOf(max);
+    return { isoWeekday: i + 1, name: WEEKDAY_NAMES[i], completions: max };
+  }
+
+  /**
+   * ?from=&to= for a history view (validated dates), defaulting to the last
+   * HEATMAP_DAYS days. Returns { start, end } or { error }.
+   */
+  function resolveHistoryRange(query, today) {
+    const end = query.to || today;
+    const start = query.from || dayjs(end).subtract(HEATMAP_DAYS - 1, "day").format("YYYY-MM-DD");
+    if (start > end) return { error: "from must not be after to" };
+    if (dayjs(end).diff(dayjs(start), "day") + 1 > MAX_HISTORY_DAYS) {
+      return { error: `range can span at most ${MAX_HISTORY_DAYS} days` };
+    }
+    return { start, end };
+  }
+
+  /**
+   * One row per local date from `start` to `end` with the count and XP from
+   * `rows` (local_date, n, xp); `extra(date, row)` adds fields per day.
+   */
+  function historyDays(rows, start, end, extra = () => ({})) {
+    const byDay = new Map(rows.map((r) => [r.local_date, r]));
+    const days = [];
+    for (let d = dayjs(start); !d.isAfter(dayjs(end), "day"); d = d.add(1, "day")) {
+      const date = d.format("YYYY-MM-DD");
+      const row = byDay.get(date);
+      days.push({ date, count: row?.n || 0, xp: row?.xp || 0, ...extra(date, row) });
+    }
+    return days;
+  }
+
+  const historyTotals = (days) => ({
+    completions: days.reduce((sum, d) => sum + d.count, 0),
+    xp: days.reduce((sum, d) => sum + d.xp, 0),
+    activeDays: days.filter((d) => d.count > 0).length,
+  });
+
+  // Contribution calendar: ?year=YYYY for a calendar year, otherwise the last 365 days
+  app.get(
+    "/api/activity/heatmap",
+    validate({ query: { year: v.intString({ min: 2000, max: 2100 }).optional() } }),
+    (req, res) => {
+      const today = localDateISO(req.user.timezone);
+      const { year } = req.query;
+      const start = year ? `${year}-01-01` : dayjs(today).subtract(HEATMAP_DAYS - 1, "day").format("YYYY-MM-DD");
+      const end = year ? `${year}-12-31` : today;
+
+      const routineXP = new Map(
+        sql.routineXpByDay.all(req.user.id, start, end).map((r) => [r.local_date, Number(r.xp) || 0])
+      );
+      const rows = dailyActivity(req.user, start, end).map((row) => ({
+        date: row.date,
+        xp: row.xp + (routineXP.get(row.date) || 0),
+        completions: row.quests + row.routineLogs,
+        quests: row.quests,
+        routineLogs: row.routineLogs,
+        dueTarget: row.dueTarget,
+        // null when no routine was due; days after today are never judged
+        targetMet: row.dueTarget > 0 && row.date <= today ? row.met : null,
+      }));
+      const maxXP = Math.max(0, ...rows.map((r) => r.xp));
+
+      res.json({
+        window: { start, end },
+        maxXP,
+        totals: {
+          xp: rows.reduce((sum, r) => sum + r.xp, 0),
+          completions: rows.reduce((sum, r) => sum + r.completions, 0),
+          activeDays: rows.filter((r) => r.completions > 0).length,
+          daysTargetMet: rows.filter((r) => r.targetMet).length,
+        },
+        days: rows.map((r) => ({ ...r, level: heatLevel(r.xp, r.completions, maxXP) })),
+      });
+    }
+  );
+
+  /**
+   * Routine history. A day counts toward the streak when the routine was due
+   * and hit its daily_target; days it wasn't due on are skipped, and today only
+   * counts once it's met. Streaks cover the routine's whole life, the rest of
+   * the payload the ?from=&to= window (default: the last 365 days).
+   */
+  app.get(
+    "/api/routines/:id/history",
+    validate({ params: idParams, query: { from: v.date().optional(), to: v.date().optional() } }),
+    (req, res) => {
+      const routine = sql.getOwnedRoutine.get(req.params.id, req.user.id);
+      if (!routine) return sendError(res, 404, "routine_not_found", "Routine not found");
+
+      const today = localDateISO(req.user.timezone);
+      const range = resolveHistoryRange(req.query, today);
+      if (range.error) return sendError(res, 400, "invalid_range", range.error);
+
+      const rule = parseRecurrence(routine.recurrence_json);
+      const target = routine.daily_target || 1;
+      const rows = sql.routineHistoryByDay.all(routine.id, req.user.id);
+      const metDates = new Set(rows.filter((r) => r.n >= target).map((r) => r.local_date));
+      const startDate = routineStartDate(routine, req.user.timezone);
+      const endDate = routineEndDate(routine, req.user.timezone);
+      const last = range.end > today ? range.end : today;
+
+      const days = historyDays(rows, startDate, last, (date, row) => ({
+        due: (!endDate || date < endDate) && isDueOn(rule, date, metDates),
+        met: (row?.n || 0) >= target,
+      }));
+      const streak = habitStreaks(
+        days.filter((d) => d.date <= today).map((d) => (!d.due || (d.date === today && !d.met) ? null : d.met))
+      );
+
+      const window = days.filter((d) => d.date >= range.start && d.date <= range.end);
+      const judged = window.filter((d) => d.due && d.date <= today && (d.met || d.date < today));
+      const daysMet = judged.filter((d) => d.met).length;
+
+      res.json({
+        routine: {
+          id: routine.id,
+          title: routine.title,
+          dailyTarget: target,
+          recurrence: rule,
+          active: !!routine.active,
+          startDate,
+        },
+        window: range,
+        streak,
+        hitRate: {
+          daysDue: judged.length,
+          daysMet,
+          percent: judged.length ? Math.round((daysMet / judged.length) * 100) : null,
+        },
+        totals: historyTotals(window),
+        mostActiveWeekday: mostActiveWeekday(window),
+        days: window,
+      });
+    }
+  );
+
+  /**
+   * Quest history: quests have no target or schedule, so any day with a run
+   * extends the streak and a day without one breaks it (today excepted).
+   */
+  app.get(
+    "/api/quests/:id/history",
+    validate({ params: idParams, query: { from: v.date().optional(), to: v.date().optional() } }),
+    (req, res) => {
+      const quest = sql.getAnyQuest.get(req.params.id);
+      if (!quest) return sendError(res, 404, "quest_not_found", "Quest not found");
+
+      const today = localDateISO(req.user.timezone);
+      const range = resolveHistoryRange(req.query, today);
+      if (range.error) return sendError(res, 400, "invalid_range", range.error);
+
+      const rows = sql.questHistoryByDay.all(quest.id, req.user.id);
+      const first = rows.length && rows[0].local_date < range.start ? rows[0].local_date : range.start;
+      const days = historyDays(rows, first, range.end > today ? range.end : today);
+      const streak = habitStreaks(
+        days.filter((d) => d.date <= today).map((d) => (d.count > 0 ? true : d.date === today ? null : false))
+      );
+      const window = days.filter((d) => d.date >= range.start && d.date <= range.end);
+
+      res.json({
+        quest: { id: quest.id, title: quest.title, category: quest.category, active: !!quest.active },
+        window: range,
+        streak,
+        firstRunDate: rows.length ? rows[0].local_date : null,
+        totals: historyTotals(window),
+        mostActiveWeekday: mostActiveWeekday(window),
+        days: window,
+      });
+    }
+  );
+}
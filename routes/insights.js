@@ -0,0 +1,287 @@
+// evania-backend/routes/insights.js
+import dayjs from "dayjs";
+import { sendError } from "../errors.js";
+import { v, validate } from "../validation.js";
+import { parseRecurrence, isDueOn } from "../recurrence.js";
+
+/**
+ * Insights over a date range and the streak risk band. Returns the per-day
+ * activity rollups that history and friends build on.
+ */
+export function insightRoutes(app, ctx) {
+  const {
+    db, sql, localDateISO, streakFreezeSummary, routineStartDate, routineEndDate, routineMetDates,
+    moodSummary, insightTone,
+  } = ctx;
+
+  /* ------------------------------------------------
+   * Member D: Insights + Risk Band
+   * ------------------------------------------------*/
+  const INSIGHT_GRANULARITIES = ["day", "week", "month"];
+  const INSIGHT_PERIODS = ["7d", "30d", "week", "month"];
+  const MAX_INSIGHT_DAYS = 366;
+
+  function riskBandFor(completionRate) {
+    if (completionRate >= 70) return "Green";
+    if (completionRate >= 40) return "Amber";
+    return "Red";
+  }
+
+  /**
+   * One row per local date in [start, end]: quests, routine logs, XP, the
+   * target of the routines due that day (only due occurrences count — a
+   * Mon/Wed/Fri routine is not a miss on Tuesday), whether it was met, and mood.
+   * Archived and deleted routines still count on the days they were live.
+   */
+  function dailyActivity(user, start, end) {
+    const userId = user.id;
+
+    const runs = db.prepare(
+      `SELECT local_date, COUNT(*) as n, SUM(gained_xp) as xp
+       FROM runs
+       WHERE user_id=? AND local_date BETWEEN ? AND ?
+       GROUP BY local_date`
+    ).all(userId, start, end);
+
+    const rlogs = db.prepare(
+      `SELECT local_date, COUNT(*) as n
+       FROM routine_logs
+       WHERE user_id=? AND local_date BETWEEN ? AND ?
+       GROUP BY local_date`
+    ).all(userId, start, end);
+
+    const routines = db.prepare(
+      `SELECT id, daily_target, recurrence_json, created_at, archived_at
+       FROM routines WHERE user_id=?`
+    ).all(userId).map((r) => ({
+      ...r,
+      rule: parseRecurrence(r.recurrence_json),
+      startDate: routineStartDate(r, user.timezone),
+      endDate: routineEndDate(r, user.timezone),
+    }));
+
+    // Build day map
+    const days = [];
+    const byDay = {};
+    for (let d = dayjs(start); !d.isAfter(dayjs(end), "day"); d = d.add(1, "day")) {
+      const key = d.format("YYYY-MM-DD");
+      days.push(key);
+      byDay[key] = { date: key, quests: 0, routineLogs: 0, xp: 0, dueTarget: 0, met: false, mood: null };
+    }
+    runs.forEach((r) => {
+      const d = r.local_date;
+      if (byDay[d]) {
+        byDay[d].quests = Number(r.n) || 0;
+        byDay[d].xp = Number(r.xp) || 0;
+      }
+    });
+    rlogs.forEach((r) => {
+      const d = r.local_date;
+      if (byDay[d]) byDay[d].routineLogs = Number(r.n) || 0;
+    });
+    sql.listCheckins.all(userId, start, end).forEach((c) => {
+      if (byDay[c.local_date]) byDay[c.local_date].mood = c.mood_score;
+    });
+
+    // Per-routine counts; per_week rules need history back to the ISO week start
+    const historyStart = dayjs(start).startOf("isoWeek").format("YYYY-MM-DD");
+    const met = routineMetDates(userId, routines, historyStart, end);
+    const counts = {};
+    sql.routineLogCountsByDay.all(userId, start, end).forEach((r) => {
+      counts[`${r.routine_id}|${r.local_date}`] = r.n;
+    });
+
+    return days.map((d) => {
+      const row = byDay[d];
+      let dueDone = 0;
+      routines.forEach((r) => {
+        if (d < r.startDate || (r.endDate && d >= r.endDate) || !isDueOn(r.rule, d, met.get(r.id))) return;
+        const target = r.daily_target || 1;
+        row.dueTarget += target;
+        dueDone += Math.min(counts[`${r.id}|${d}`] || 0, target);
+      });
+      row.met = row.dueTarget > 0 && dueDone >= row.dueTarget;
+      return row;
+    });
+  }
+
+  // Totals, completion, mood and risk band over a list of day rows
+  function summarizeDays(rows) {
+    const totals = { xp: 0, quests: 0, routineLogs: 0 };
+    let daysDue = 0;
+    let daysMetTarget = 0;
+    const moodByDay = {};
+
+    rows.forEach((row) => {
+      totals.xp += row.xp;
+      totals.quests += row.quests;
+      totals.routineLogs += row.routineLogs;
+      if (row.dueTarget > 0) {
+        daysDue++;
+        if (row.met) daysMetTarget++;
+      }
+      if (row.mood != null) moodByDay[row.date] = row.mood;
+    });
+
+    const completionRate =
+      daysDue > 0 ? Math.round((daysMetTarget / daysDue) * 100) : 0;
+
+    return {
+      totals,
+      completion: { daysDue, daysMetTarget, completionRate },
+      mood: moodSummary(rows.map((r) => r.date), moodByDay),
+      riskBand: riskBandFor(completionRate),
+    };
+  }
+
+  function bucketKey(date, granularity) {
+    if (granularity === "week") return dayjs(date).startOf("isoWeek").format("YYYY-MM-DD");
+    if (granularity === "month") return dayjs(date).format("YYYY-MM");
+    return date;
+  }
+
+  // Series grouped by day / ISO week / calendar month, plus the whole-range summary
+  function insightsForRange(user, start, end, granularity = "day") {
+    const rows = dailyActivity(user, start, end);
+
+    const groups = new Map();
+    rows.forEach((row) => {
+      const key = bucketKey(row.date, granularity);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    });
+    const series = [...groups.entries()].map(([key, bucket]) => {
+      const { totals, completion, mood } = summarizeDays(bucket);
+      return {
+        key,
+        start: bucket[0].date,
+        end: bucket[bucket.length - 1].date,
+        ...totals,
+        ...completion,
+        mood: mood.average,
+      };
+    });
+
+    return { window: { start, end }, granularity, series, ...summarizeDays(rows) };
+  }
+
+  /**
+   * Resolve ?period= or ?from=&to= into the current and previous windows.
+   * Calendar presets compare against the same span one week / month earlier;
+   * custom and rolling ranges against the equally long span right before.
+   * Expects an already validated query. Returns { start, end, prevStart, prevEnd } or { error }.
+   */
+  function resolveInsightRange(query, today) {
+    const fmt = (d) => d.format("YYYY-MM-DD");
+    const t = dayjs(today);
+    let start;
+    let end = t;
+
+    if (query.period !== undefined) {
+      if (query.period === "week" || query.period === "month") {
+        const unit = query.period === "week" ? "isoWeek" : "month";
+        const back = query.period === "week" ? "week" : "month";
+        start = t.startOf(unit);
+        return {
+          start: fmt(start),
+          end: fmt(end),
+          prevStart: fmt(start.subtract(1, back)),
+          prevEnd: fmt(end.subtract(1, back)),
+        };
+      }
+      start = t.subtract(parseInt(query.period, 10) - 1, "day");
+    } else {
+      const from = query.from || fmt(t.subtract(6, "day"));
+      const to = query.to || today;
+      if (from > to) return { error: "from must not be after to" };
+      start = dayjs(from);
+      end = dayjs(to);
+    }
+
+    const length = end.diff(start, "day") + 1;
+    if (length > MAX_INSIGHT_DAYS) {
+      return { error: `range can span at most ${MAX_INSIGHT_DAYS} days` };
+    }
+    return {
+      start: fmt(start),
+      end: fmt(end),
+      prevStart: fmt(start.subtract(length, "day")),
+      prevEnd: fmt(start.subtract(1, "day")),
+    };
+  }
+
+  function insightDeltas(cur, prev) {
+    const diff = (a, b) => (a == null || b == null ? null : parseFloat((a - b).toFixed(2)));
+    return {
+      xp: diff(cur.totals.xp, prev.totals.xp),
+      quests: diff(cur.totals.quests, prev.totals.quests),
+      routineLogs: diff(cur.totals.routineLogs, prev.totals.routineLogs),
+      completionRate: diff(cur.completion.completionRate, prev.completion.completionRate),
+      moodAverage: diff(cur.mood.average, prev.mood.average),
+    };
+  }
+
+  // General insights: ?period=7d|30d|week|month or ?from=&to=, &granularity=day|week|month
+  app.get(
+    "/api/insights",
+    validate({
+      query: {
+        period: v.oneOf(INSIGHT_PERIODS).optional(),
+        from: v.date().optional(),
+        to: v.date().optional(),
+        granularity: v.oneOf(INSIGHT_GRANULARITIES).default("day"),
+      },
+    }),
+    (req, res) => {
+      const { granularity } = req.query;
+      const range = resolveInsightRange(req.query, localDateISO(req.user.timezone));
+      if (range.error) return sendError(res, 400, "invalid_range", range.error);
+
+      const current = insightsForRange(req.user, range.start, range.end, granularity);
+      const previous = summarizeDays(dailyActivity(req.user, range.prevStart, range.prevEnd));
+
+      res.json({
+        ...current,
+        mood: { ...current.mood, baseline: req.user.baseline_mood },
+        ...insightTone(current.riskBand, current.mood),
+        previous: { window: { start: range.prevStart, end: range.prevEnd }, ...previous },
+        deltas: insightDeltas(current, previous),
+      });
+    }
+  );
+
+  app.get("/api/insights/weekly", (req, res) => {
+    const userId = req.user.id; // use the same identity as other routes
+
+    // 7-day window (today inclusive, in the user's timezone)
+    const today = localDateISO(req.user.timezone);
+    const start = dayjs(today).subtract(6, "day").format("YYYY-MM-DD");
+
+    const rows = dailyActivity(req.user, start, today);
+    const { totals, completion, mood, riskBand } = summarizeDays(rows);
+
+    // today's due total (kept under its old name for the client)
+    const dailyTargetTotal = rows[rows.length - 1].dueTarget;
+
+    const u = sql.getUser.get(userId);
+
+    res.json({
+      window: { start, end: today },
+      series: rows,
+      totals,
+      completion: { dailyTargetTotal, ...completion },
+      streak: {
+        current: u.current_streak || 0,
+        longest: u.longest_streak || 0,
+        freezes: streakFreezeSummary(u),
+        bridgedDays: sql.listStreakBridgesBetween.all(userId, start, today),
+      },
+      mood: { ...mood, baseline: req.user.baseline_mood },
+      riskBand,
+      avatar: { tier: u.avatar_tier || 0 },
+      ...insightTone(riskBand, mood),
+    });
+  });
+
+  return { dailyActivity, summarizeDays };
+}
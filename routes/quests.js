@@ -0,0 +1,152 @@
+// evania-backend/routes/quests.js
+import { nanoid } from "nanoid";
+import { sendError } from "../errors.js";
+import { v, validate } from "../validation.js";
+import { evaluateAchievements } from "../achievements.js";
+import { recordXpEvent, reverseXpEvent } from "../ledger.js";
+import { activeRules } from "../rules.js";
+
+/**
+ * The quest list and quest runs: completing a quest pays XP and moves the
+ * streak; a run can be undone within the undo window.
+ */
+export function questRoutes(app, ctx) {
+  const {
+    db, clock, sql, saveUser, nowISO, idParams, localDateISO, awardActivity, recordStreakBridges,
+    progressPayload, recomputeProgress, withinUndoWindow, xpLimits,
+  } = ctx;
+
+  /* ------------------------------------------------
+   * Member B: Quests + XP/Streak
+   * ------------------------------------------------*/
+
+  app.get("/api/quests", (_req, res) => {
+    res.json({ quests: sql.listQuests.all() });
+  });
+
+  app.get("/api/categories", (_req, res) => {
+    res.json({ categories: sql.listCategories.all() });
+  });
+
+  app.get("/api/progress", (req, res) => {
+    const u = sql.getUser.get(req.user.id);
+    res.json({
+      userId: u.id,
+      ...progressPayload(u),
+      freezeHistory: sql.listStreakBridges.all(u.id, 30),
+    });
+  });
+
+  // The live gamification rules (level curve, streak multiplier, avatar tiers)
+  app.get("/api/rules", (_req, res) => {
+    const { version, rules, createdAt } = activeRules(db);
+    res.json({ version, rules, since: createdAt || null });
+  });
+
+  app.post(
+    "/api/runs",
+    ...xpLimits,
+    validate({ body: { questId: v.string({ max: 64 }) } }),
+    (req, res) => {
+      const u = { ...req.user };
+      const { questId } = req.body;
+      const q = sql.getQuest.get(questId);
+      if (!q) return sendError(res, 400, "invalid_quest", "Invalid questId");
+
+      // cooldown check
+      if (q.cooldown_sec > 0) {
+        const last = sql.lastRunForQuest.get(u.id, questId);
+        if (last) {
+          const lastMs = new Date(last.created_at).getTime();
+          const nowMs = clock.now();
+          if (nowMs - lastMs < q.cooldown_sec * 1000) {
+            const waitSec = Math.ceil((q.cooldown_sec * 1000 - (nowMs - lastMs)) / 1000);
+            res.set("Retry-After", String(waitSec));
+            return sendError(res, 429, "cooldown_active", "Cooldown active", { details: { retryAfterSec: waitSec } });
+          }
+        }
+      }
+
+      const prevLevel = u.level;
+      const { bridged, multiplier: mult, gainedXP, xpCapped } = awardActivity(u, q.base_points);
+
+      const runId = nanoid();
+      const trx = db.transaction(() => {
+        saveUser(u);
+        recordStreakBridges(u.id, bridged);
+        sql.insertRun.run(
+          runId,
+          u.id,
+          questId,
+          gainedXP,
+          u.current_streak,
+          nowISO(),
+          localDateISO(u.timezone)
+        );
+        recordXpEvent(db, {
+          userId: u.id,
+          kind: "quest",
+          refId: runId,
+          amount: gainedXP,
+          localDate: localDateISO(u.timezone),
+          createdAt: nowISO(),
+        });
+      });
+      trx();
+
+      const challenges = ctx.settleChallengesFor(u.id);
+      const unlocked = evaluateAchievements(db, u.id, new Date(clock.now()));
+      const fresh = sql.getUser.get(u.id);
+      res.json({
+        run: {
+          id: runId,
+          userId: fresh.id,
+          questId,
+          gainedXP,
+          streakApplied: fresh.current_streak,
+        },
+        progress: progressPayload(fresh),
+        streakBridged: bridged,
+        meta: {
+          basePoints: q.base_points,
+          streakMultiplier: mult,
+          leveledUp: fresh.level > prevLevel,
+          xpCapped,
+        },
+        achievements: unlocked,
+        challenges,
+      });
+    }
+  );
+
+  // Every run, unpaged; history screens should use GET /api/activity instead
+  app.get("/api/runs", (req, res) => {
+    res.json({ runs: sql.listRunsByUser.all(req.user.id) });
+  });
+
+  // Undo a quest run (within UNDO_WINDOW_SEC of logging it)
+  app.delete(
+    "/api/runs/:id",
+    validate({ params: idParams }),
+    (req, res) => {
+      const run = sql.getRunById.get(req.params.id, req.user.id);
+      if (!run) return sendError(res, 404, "run_not_found", "Run not found");
+      if (!withinUndoWindow(run)) {
+        return sendError(res, 409, "undo_window_passed", "Undo window has passed");
+      }
+
+      const u = { ...req.user };
+      const trx = db.transaction(() => {
+        sql.deleteRun.run(run.id);
+        reverseXpEvent(db, "quest", run.id, { note: "undo", createdAt: nowISO() });
+        saveUser(recomputeProgress(u));
+      });
+      trx();
+
+      res.json({
+        undone: { runId: run.id, questId: run.quest_id, gainedXP: run.gained_xp },
+        progress: progressPayload(sql.getUser.get(u.id)),
+      });
+    }
+  );
+}
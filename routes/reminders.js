@@ -0,0 +1,244 @@
+// evania-backend/routes/reminders.js
+import dayjs from "dayjs";
+import { nanoid } from "nanoid";
+import { sendError } from "../errors.js";
+import { v, validate } from "../validation.js";
+import { sendPush } from "../notifier.js";
+import { parseRecurrence, isDueOn } from "../recurrence.js";
+
+/**
+ * Routine reminders, notification preferences, nudges and push tokens.
+ * runReminderTick is the job server.js schedules (app.locals.jobs).
+ */
+export function reminderRoutes(app, ctx) {
+  const {
+    db, clock, sql, sqlNow, pushTransport, DEFAULT_TZ, idParams, isValidTimezone, routineStartDate,
+    routineMetDates,
+  } = ctx;
+
+  /* ------------------------------------------------
+   * Reminders, nudges and push tokens
+   *
+   * Each routine can have reminder times (HH:MM, user's zone). Once a minute
+   * the scheduler sends the reminders that have come up for routines that are
+   * due today and still below their daily_target, plus one evening nudge when
+   * routines are still open or the streak is about to break. Nothing is sent
+   * during quiet hours. Delivery goes through notifier.js.
+   * ------------------------------------------------*/
+  const MAX_REMINDERS_PER_ROUTINE = 5;
+  // a reminder found later than this (server was down) is dropped, not sent late
+  const REMINDER_LATE_MIN = 30;
+  const NOTIFY_DEFAULTS = {
+    enabled: true,
+    quietHours: { start: "22:00", end: "07:00" },
+    routineNudge: true,
+    streakNudge: true,
+    nudgeAt: "20:00",
+  };
+
+  function notificationPrefs(u) {
+    let stored = {};
+    try {
+      stored = JSON.parse(u.notify_json || "{}");
+    } catch {
+      // corrupt settings fall back to the defaults
+    }
+    return { ...NOTIFY_DEFAULTS, ...stored };
+  }
+
+  const notificationPrefsBody = {
+    enabled: v.boolean().optional(),
+    quietHours: v.object({ start: v.time(), end: v.time() }).nullable().optional(),
+    routineNudge: v.boolean().optional(),
+    streakNudge: v.boolean().optional(),
+    nudgeAt: v.time().optional(),
+  };
+
+  // HH:MM inside [start, end); the range may wrap past midnight
+  function inQuietHours(hm, quiet) {
+    if (!quiet || quiet.start === quiet.end) return false;
+    return quiet.start < quiet.end ? hm >= quiet.start && hm < quiet.end : hm >= quiet.start || hm < quiet.end;
+  }
+
+  const minutesOf = (hm) => Number(hm.slice(0, 2)) * 60 + Number(hm.slice(3));
+
+  // Active routines due on `today` that are still below daily_target
+  function openRoutinesToday(u, today) {
+    const routines = sql.listAllRoutines.all(u.id).filter((r) => r.active && !r.deleted_at);
+    const weekStart = dayjs(today).startOf("isoWeek").format("YYYY-MM-DD");
+    const met = routineMetDates(u.id, routines, weekStart, today);
+    const counts = new Map(sql.routineLogCountsByDay.all(u.id, today, today).map((r) => [r.routine_id, r.n]));
+    return routines.filter(
+      (r) =>
+        today >= routineStartDate(r, u.timezone) &&
+        isDueOn(parseRecurrence(r.recurrence_json), today, met.get(r.id)) &&
+        (counts.get(r.id) || 0) < r.daily_target
+    );
+  }
+
+  // What should go out for `u` right now: [{ kind, ref_id, slot, title, body }]
+  function dueNotifications(u, now) {
+    const prefs = notificationPrefs(u);
+    if (!prefs.enabled) return [];
+    const local = dayjs(now).tz(isValidTimezone(u.timezone) ? u.timezone : DEFAULT_TZ);
+    const hm = local.format("HH:mm");
+    if (inQuietHours(hm, prefs.quietHours)) return [];
+
+    const today = local.format("YYYY-MM-DD");
+    const open = openRoutinesToday(u, today);
+    const isRecent = (time) => time <= hm && minutesOf(hm) - minutesOf(time) < REMINDER_LATE_MIN;
+    const out = [];
+
+    sql.listUserReminders.all(u.id).forEach((rem) => {
+      const routine = open.find((r) => r.id === rem.routine_id);
+      if (!routine || !isRecent(rem.time)) return;
+      out.push({
+        kind: "reminder",
+        ref_id: routine.id,
+        slot: rem.time,
+        title: routine.title,
+        body: `Time for ${routine.title}`,
+      });
+    });
+
+    if (prefs.nudgeAt <= hm) {
+      const yesterday = local.subtract(1, "day").format("YYYY-MM-DD");
+      const streakAtRisk =
+        prefs.streakNudge && u.current_streak > 0 && u.last_active_local_date === yesterday;
+      if (streakAtRisk) {
+        out.push({
+          kind: "nudge",
+          ref_id: "",
+          slot: "",
+          title: "Keep your streak alive",
+          body: `Your ${u.current_streak}-day streak ends at midnight — one quest or routine keeps it going.`,
+        });
+      } else if (prefs.routineNudge && open.length) {
+        out.push({
+          kind: "nudge",
+          ref_id: "",
+          slot: "",
+          title: "Still on your list today",
+          body: open.length === 1 ? `${open[0].title} is still open.` : `${open.length} routines are still open.`,
+        });
+      }
+    }
+    return out.map((n) => ({ ...n, local_date: today }));
+  }
+
+  /**
+   * One scheduler pass. Every notification is claimed in the notifications
+   * table before it is sent, so overlapping passes or restarts never send it
+   * twice. Without a push transport it is finished as "skipped". Returns how
+   * many were sent.
+   */
+  async function runReminderTick(now = new Date(clock.now())) {
+    let sent = 0;
+    for (const u of sql.listNotifiableUsers.all()) {
+      for (const n of dueNotifications(u, now)) {
+        const row = { id: nanoid(), user_id: u.id, ...n, created_at: sqlNow() };
+        if (!sql.claimNotification.run(row).changes) continue;
+
+        const tokens = sql.listPushTokens.all(u.id).map((t) => t.token);
+        if (!pushTransport) {
+          sql.finishNotification.run("skipped", "no push transport", row.id);
+          continue;
+        }
+        try {
+          const { invalidTokens } = await sendPush(pushTransport, {
+            tokens,
+            title: n.title,
+            body: n.body,
+            data: { kind: n.kind, routineId: n.ref_id || null },
+          });
+          invalidTokens.forEach((t) => sql.deletePushTokenAnyUser.run(t));
+          sql.finishNotification.run("sent", null, row.id);
+          sent++;
+        } catch (e) {
+          sql.finishNotification.run("failed", e.message, row.id);
+        }
+      }
+    }
+    return sent;
+  }
+
+  // Register this device for push (a token moves with whoever registers it last)
+  app.post(
+    "/api/push-tokens",
+    validate({
+      body: { token: v.string({ max: 512 }), platform: v.oneOf(["ios", "android", "web"]).nullable().default(null) },
+    }),
+    (req, res) => {
+      const { token, platform } = req.body;
+      sql.upsertPushToken.run({ token, user_id: req.user.id, platform, now: sqlNow() });
+      res.status(201).json({ ok: true });
+    }
+  );
+
+  app.delete(
+    "/api/push-tokens/:token",
+    validate({ params: { token: v.string({ max: 512 }) } }),
+    (req, res) => {
+      const { changes } = sql.deletePushToken.run(req.params.token, req.user.id);
+      if (!changes) return sendError(res, 404, "token_not_found", "Token not found");
+      res.json({ ok: true });
+    }
+  );
+
+  app.get("/api/me/notifications", (req, res) => {
+    res.json({ prefs: notificationPrefs(req.user) });
+  });
+
+  app.post(
+    "/api/me/notifications",
+    validate({ body: notificationPrefsBody }),
+    (req, res) => {
+      const prefs = { ...notificationPrefs(req.user), ...req.body };
+      sql.setNotifyPrefs.run(JSON.stringify(prefs), req.user.id);
+      res.json({ prefs });
+    }
+  );
+
+  // What was sent lately (?limit=, max 100)
+  app.get(
+    "/api/notifications",
+    validate({ query: { limit: v.intString({ min: 1, max: 100 }).default(50) } }),
+    (req, res) => {
+      res.json({ notifications: sql.listNotifications.all(req.user.id, req.query.limit) });
+    }
+  );
+
+  app.get(
+    "/api/routines/:id/reminders",
+    validate({ params: idParams }),
+    (req, res) => {
+      const routine = sql.getOwnedRoutine.get(req.params.id, req.user.id);
+      if (!routine) return sendError(res, 404, "routine_not_found", "Routine not found");
+      res.json({ times: sql.listReminderTimes.all(routine.id).map((r) => r.time) });
+    }
+  );
+
+  // Replace the routine's reminder times: { times: ["07:30", "18:00"] }
+  app.put(
+    "/api/routines/:id/reminders",
+    validate({
+      params: idParams,
+      body: { times: v.array(v.time(), { max: MAX_REMINDERS_PER_ROUTINE }) },
+    }),
+    (req, res) => {
+      const routine = sql.getOwnedRoutine.get(req.params.id, req.user.id);
+      if (!routine) return sendError(res, 404, "routine_not_found", "Routine not found");
+      const { times } = req.body;
+
+      const unique = [...new Set(times)].sort();
+      const trx = db.transaction(() => {
+        sql.deleteRoutineReminders.run(routine.id);
+        unique.forEach((t) => sql.insertRoutineReminder.run(nanoid(), routine.id, req.user.id, t, sqlNow()));
+      });
+      trx();
+      res.json({ times: unique });
+    }
+  );
+
+  return { notificationPrefs, runReminderTick };
+}
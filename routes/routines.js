@@ -0,0 +1,281 @@
+// evania-backend/routes/routines.js
+import dayjs from "dayjs";
+import { nanoid } from "nanoid";
+import { sendError, sendFieldError } from "../errors.js";
+import { v, validate } from "../validation.js";
+import { evaluateAchievements } from "../achievements.js";
+import { recordXpEvent, reverseXpEvent } from "../ledger.js";
+import { normalizeRecurrence, parseRecurrence, isDueOn, weekCompletions } from "../recurrence.js";
+
+/**
+ * Routines (the user's own habits): CRUD, recurrence, archiving, and logging
+ * them for XP, with undo.
+ */
+export function routineRoutes(app, ctx) {
+  const {
+    db, clock, sql, saveUser, nowISO, sqlNow, MAX_DAILY_TARGET, MAX_ROUTINE_POINTS, idParams, localDateISO,
+    awardActivity, recordStreakBridges, progressPayload, recomputeProgress, withinUndoWindow,
+    routineStartDate, routineMetDates, xpLimits,
+  } = ctx;
+
+  /* ------------------------------------------------
+   * Member C: Routines + Habit Logging
+   * ------------------------------------------------*/
+
+  // List routines with today's count (?includeArchived=true to also get paused ones)
+  app.get(
+    "/api/routines",
+    validate({ query: { includeArchived: v.boolString().default(false) } }),
+    (req, res) => {
+      const userId = req.user.id;
+      const today = localDateISO(req.user.timezone);
+      const { includeArchived } = req.query;
+
+      const routines = db.prepare(`
+        SELECT
+          r.id,
+          r.title,
+          r.base_points,
+          r.daily_target,
+          r.active,
+          r.sort_order,
+          r.recurrence_json,
+          r.created_at,
+          COALESCE((
+            SELECT COUNT(*)
+            FROM routine_logs rl
+            WHERE rl.routine_id = r.id
+              AND rl.user_id = r.user_id
+              AND rl.local_date = ?
+          ), 0) AS countToday
+        FROM routines r
+        WHERE r.user_id = ?
+          AND r.deleted_at IS NULL
+          AND (r.active = 1 OR ? = 1)
+        ORDER BY r.sort_order ASC, r.rowid DESC
+      `).all(today, userId, includeArchived ? 1 : 0);
+
+      const weekStart = dayjs(today).startOf("isoWeek").format("YYYY-MM-DD");
+      const met = routineMetDates(userId, routines, weekStart, today);
+      const reminders = new Map();
+      sql.listUserReminders.all(userId).forEach((r) => {
+        reminders.set(r.routine_id, [...(reminders.get(r.routine_id) || []), r.time]);
+      });
+
+      res.json({
+        routines: routines.map(({ recurrence_json, ...r }) => {
+          const recurrence = parseRecurrence(recurrence_json);
+          const out = {
+            ...r,
+            recurrence,
+            reminderTimes: reminders.get(r.id) || [],
+            dueToday:
+              !!r.active &&
+              today >= routineStartDate(r, req.user.timezone) &&
+              isDueOn(recurrence, today, met.get(r.id)),
+          };
+          if (recurrence.type === "per_week") {
+            out.weekProgress = { done: weekCompletions(today, met.get(r.id)), times: recurrence.times };
+          }
+          return out;
+        }),
+      });
+    }
+  );
+
+  // Create routine
+  app.post(
+    "/api/routines",
+    validate({
+      body: {
+        title: v.string({ max: 80 }),
+        dailyTarget: v.int({ min: 1, max: MAX_DAILY_TARGET }).default(1),
+        basePoints: v.int({ min: 1, max: MAX_ROUTINE_POINTS }).default(6),
+        recurrence: v.any().optional(),
+      },
+    }),
+    (req, res) => {
+      const userId = req.user.id;
+      const { title, dailyTarget, basePoints, recurrence } = req.body;
+
+      const { rule, error } = normalizeRecurrence(recurrence, localDateISO(req.user.timezone));
+      if (error) return sendFieldError(res, "recurrence", error);
+
+      const id = nanoid();
+      sql.insertRoutine.run(
+        id,
+        userId,
+        title,
+        basePoints,
+        dailyTarget,
+        JSON.stringify(rule),
+        userId,
+        sqlNow()
+      );
+
+      const routine = sql.getRoutineById.get(id, userId);
+      res.status(201).json({ routine });
+    }
+  );
+
+  // Reorder: body { ids: [...] } in the desired display order
+  app.put(
+    "/api/routines/order",
+    validate({ body: { ids: v.array(v.string({ max: 64 }), { min: 1, max: 500 }) } }),
+    (req, res) => {
+      const userId = req.user.id;
+      const { ids } = req.body;
+      if (ids.some((id) => !sql.getOwnedRoutine.get(id, userId))) {
+        return sendError(res, 404, "routine_not_found", "Routine not found");
+      }
+
+      const trx = db.transaction(() => {
+        ids.forEach((id, i) => sql.setRoutineSortOrder.run(i, id, userId));
+      });
+      trx();
+
+      res.json({ ok: true });
+    }
+  );
+
+  // Edit routine (title / basePoints / dailyTarget / recurrence)
+  app.patch(
+    "/api/routines/:id",
+    validate({
+      params: idParams,
+      body: {
+        title: v.string({ max: 80 }).optional(),
+        dailyTarget: v.int({ min: 1, max: MAX_DAILY_TARGET }).optional(),
+        basePoints: v.int({ min: 1, max: MAX_ROUTINE_POINTS }).optional(),
+        recurrence: v.any().optional(),
+      },
+    }),
+    (req, res) => {
+      const userId = req.user.id;
+      const routine = sql.getOwnedRoutine.get(req.params.id, userId);
+      if (!routine) return sendError(res, 404, "routine_not_found", "Routine not found");
+
+      const { title, dailyTarget, basePoints, recurrence } = req.body;
+
+      const r = { ...routine };
+      if (recurrence !== undefined) {
+        const { rule, error } = normalizeRecurrence(recurrence, localDateISO(req.user.timezone));
+        if (error) return sendFieldError(res, "recurrence", error);
+        r.recurrence_json = JSON.stringify(rule);
+      }
+      if (title) r.title = title;
+      if (basePoints !== undefined) r.base_points = basePoints;
+      if (dailyTarget !== undefined) r.daily_target = dailyTarget;
+      sql.updateRoutine.run(r);
+
+      res.json({ routine: sql.getOwnedRoutine.get(r.id, userId) });
+    }
+  );
+
+  // Archive (pause) — history stays, routine drops out of today's list & targets
+  app.post(
+    "/api/routines/:id/archive",
+    validate({ params: idParams }),
+    (req, res) => {
+      const userId = req.user.id;
+      const { changes } = sql.archiveRoutine.run(sqlNow(), req.params.id, userId);
+      if (!changes) return sendError(res, 404, "routine_not_found", "Routine not found");
+      res.json({ routine: sql.getOwnedRoutine.get(req.params.id, userId) });
+    }
+  );
+
+  // Restore an archived routine
+  app.post(
+    "/api/routines/:id/restore",
+    validate({ params: idParams }),
+    (req, res) => {
+      const userId = req.user.id;
+      const { changes } = sql.restoreRoutine.run(req.params.id, userId);
+      if (!changes) return sendError(res, 404, "routine_not_found", "Routine not found");
+      res.json({ routine: sql.getOwnedRoutine.get(req.params.id, userId) });
+    }
+  );
+
+  // Delete — soft, so past routine_logs still count in insights
+  app.delete(
+    "/api/routines/:id",
+    validate({ params: idParams }),
+    (req, res) => {
+      const userId = req.user.id;
+      const now = sqlNow();
+      const { changes } = sql.softDeleteRoutine.run(now, now, req.params.id, userId);
+      if (!changes) return sendError(res, 404, "routine_not_found", "Routine not found");
+      res.json({ ok: true });
+    }
+  );
+
+  // Log routine completion (+XP)
+  app.post(
+    "/api/routines/:id/log",
+    ...xpLimits,
+    validate({ params: idParams }),
+    (req, res) => {
+      const userId = req.user.id;
+      const id = req.params.id;
+      const routine = sql.getRoutineById.get(id, userId);
+      if (!routine) return sendError(res, 404, "routine_not_found", "Routine not found");
+
+      const today = localDateISO(req.user.timezone);
+      const { c } = sql.countRoutineLogsToday.get(id, userId, today);
+      if (c >= routine.daily_target) {
+        return sendError(res, 400, "daily_target_reached", "Daily target already reached for this routine");
+      }
+
+      const u = { ...req.user };
+      const { bridged, gainedXP, xpCapped } = awardActivity(u, routine.base_points);
+
+      const logId = nanoid();
+      const trx = db.transaction(() => {
+        saveUser(u);
+        recordStreakBridges(userId, bridged);
+        sql.insertRoutineLog.run(logId, id, userId, gainedXP, nowISO(), today);
+        recordXpEvent(db, { userId, kind: "routine", refId: logId, amount: gainedXP, localDate: today, createdAt: nowISO() });
+      });
+      trx();
+
+      const challenges = ctx.settleChallengesFor(userId);
+      const unlocked = evaluateAchievements(db, userId, new Date(clock.now()));
+      const fresh = sql.getUser.get(userId);
+
+      res.json({
+        log: { id: logId, routineId: id, userId, gainedXP, localDate: today },
+        progress: progressPayload(fresh),
+        streakBridged: bridged,
+        xpCapped,
+        achievements: unlocked,
+        challenges,
+      });
+    }
+  );
+
+  // Undo a routine log — frees the daily slot again (within UNDO_WINDOW_SEC)
+  app.delete(
+    "/api/routines/:id/logs/:logId",
+    validate({ params: { ...idParams, logId: v.string({ max: 64 }) } }),
+    (req, res) => {
+      const log = sql.getRoutineLogById.get(req.params.logId, req.params.id, req.user.id);
+      if (!log) return sendError(res, 404, "log_not_found", "Log not found");
+      if (!withinUndoWindow(log)) {
+        return sendError(res, 409, "undo_window_passed", "Undo window has passed");
+      }
+
+      const u = { ...req.user };
+      const trx = db.transaction(() => {
+        sql.deleteRoutineLog.run(log.id);
+        reverseXpEvent(db, "routine", log.id, { note: "undo", createdAt: nowISO() });
+        saveUser(recomputeProgress(u));
+      });
+      trx();
+
+      res.json({
+        undone: { logId: log.id, routineId: log.routine_id, gainedXP: log.gained_xp },
+        progress: progressPayload(sql.getUser.get(u.id)),
+      });
+    }
+  );
+}
@@ -0,0 +1,257 @@
+// evania-backend/routes/sync.js
+import dayjs from "dayjs";
+import { nanoid } from "nanoid";
+import { v, validate } from "../validation.js";
+import { evaluateAchievements } from "../achievements.js";
+import { recordXpEvent, replayLedger } from "../ledger.js";
+import { currentRules, levelForXP, activityXP } from "../rules.js";
+import { parseRecurrence } from "../recurrence.js";
+
+/**
+ * Offline sync for the Expo client: pushing batches of runs, routine logs and
+ * check-ins recorded offline, and pulling what changed since a cursor.
+ */
+export function syncRoutes(app, ctx) {
+  const {
+    db, clock, sql, saveUser, DEFAULT_TZ, MAX_STREAK_FREEZES, SYNC_MAX_AGE_DAYS, isValidTimezone,
+    applyStreakProgress, applyLevelUp, applyDailyXpCap, recordStreakBridges, progressPayload, xpLimits,
+    serializeCheckin, settleChallengesFor, isText,
+  } = ctx;
+
+  /* ------------------------------------------------
+   * Offline sync (Expo client)
+   *
+   * The client records runs and routine logs locally with its own ids and
+   * timestamps and pushes them in batches; its ids are kept as client_id,
+   * unique per account. Events are applied in the order they happened:
+   * cooldowns, daily targets and streak days are judged at occurredAt, not
+   * at upload time. Pull returns everything that changed since a cursor (a
+   * sequence number in sync_changes).
+   * ------------------------------------------------*/
+  const SYNC_MAX_BATCH = 100;
+  const SYNC_MAX_CLOCK_SKEW_SEC = 5 * 60;
+  const SYNC_PULL_LIMIT = 500;
+  const SYNC_ID_RE = /^[A-Za-z0-9_-]{8,64}$/;
+
+  // Shape/timing checks shared by every event type; returns a reason or null
+  function syncEventProblem(e) {
+    if (!e || typeof e !== "object") return "event must be an object";
+    if (typeof e.id !== "string" || !SYNC_ID_RE.test(e.id)) return "id must be 8-64 characters of [A-Za-z0-9_-]";
+    if (e.type !== "run" && e.type !== "routine_log") return "type must be run or routine_log";
+    if (e.type === "run" && !isText(e.questId)) return "questId must be a string";
+    if (e.type === "routine_log" && !isText(e.routineId)) return "routineId must be a string";
+    const at = typeof e.occurredAt === "string" ? dayjs(e.occurredAt) : null;
+    if (!at || !at.isValid()) return "occurredAt must be an ISO timestamp";
+    if (at.isAfter(dayjs(clock.now()).add(SYNC_MAX_CLOCK_SKEW_SEC, "second"))) return "occurredAt is in the future";
+    if (at.isBefore(dayjs(clock.now()).subtract(SYNC_MAX_AGE_DAYS, "day"))) return "occurredAt is too old to sync";
+    return null;
+  }
+
+  // Local date of an instant in the user's zone
+  function localDateAt(iso, tz) {
+    return dayjs(iso).tz(isValidTimezone(tz) ? tz : DEFAULT_TZ).format("YYYY-MM-DD");
+  }
+
+  /**
+   * Streak multiplier for activity that happened before the newest ledger
+   * event: replay history up to occurredAt and count this day onto it.
+   * Gaps count as a fresh start here; the final replay settles the streak.
+   */
+  function backdatedStreak(userId, occurredAt, localDate) {
+    const past = replayLedger(db, userId, { before: occurredAt });
+    if (!past.last_active_local_date) return 1;
+    const gap = dayjs(localDate).diff(dayjs(past.last_active_local_date), "day");
+    if (gap <= 0) return Math.max(past.current_streak, 1);
+    return gap === 1 ? past.current_streak + 1 : 1;
+  }
+
+  /**
+   * Apply one validated event to `u` (mutated in place) inside the caller's
+   * transaction. Returns { status, reason?, gainedXP?, xpCapped?, backdated? }.
+   */
+  function applySyncEvent(u, e) {
+    const occurredAt = dayjs(e.occurredAt).toISOString();
+    const localDate = localDateAt(occurredAt, u.timezone);
+    const isRun = e.type === "run";
+
+    // client ids only have to be unique per account; the row gets a server id
+    if ((isRun ? sql.getRunByClientId : sql.getRoutineLogByClientId).get(u.id, e.id)) {
+      return { status: "duplicate" };
+    }
+
+    let basePoints;
+    if (isRun) {
+      const q = sql.getQuest.get(e.questId);
+      if (!q) return { status: "rejected", reason: "Invalid questId" };
+      if (q.cooldown_sec > 0) {
+        const window = q.cooldown_sec * 1000;
+        const from = new Date(Date.parse(occurredAt) - window).toISOString();
+        const to = new Date(Date.parse(occurredAt) + window).toISOString();
+        if (sql.runOfQuestBetween.get(u.id, e.questId, from, to)) {
+          return { status: "rejected", reason: "Cooldown active" };
+        }
+      }
+      basePoints = q.base_points;
+    } else {
+      // archived routines still accept logs made while they were active offline
+      const routine = sql.getOwnedRoutine.get(e.routineId, u.id);
+      if (!routine) return { status: "rejected", reason: "Routine not found" };
+      if (routine.archived_at && !dayjs(occurredAt).isBefore(dayjs.utc(routine.archived_at))) {
+        return { status: "rejected", reason: "Routine was archived before this log" };
+      }
+      const { c } = sql.countRoutineLogsToday.get(routine.id, u.id, localDate);
+      if (c >= routine.daily_target) {
+        return { status: "rejected", reason: "Daily target already reached for this routine" };
+      }
+      basePoints = routine.base_points;
+    }
+
+    const { at: latest } = sql.latestXpEventAt.get(u.id);
+    const backdated = !!latest && occurredAt < latest;
+    const prevLevel = u.level;
+    let streak;
+    if (backdated) {
+      streak = backdatedStreak(u.id, occurredAt, localDate);
+    } else {
+      recordStreakBridges(u.id, applyStreakProgress(u, localDate));
+      streak = u.current_streak;
+    }
+
+    const rules = currentRules(db);
+    const { xp: gainedXP, capped } = applyDailyXpCap(u.id, localDate, activityXP(rules, basePoints, streak));
+    u.total_xp += gainedXP;
+    u.level = levelForXP(rules, u.total_xp);
+    if (!backdated) applyLevelUp(u, prevLevel);
+
+    const id = nanoid();
+    if (isRun) {
+      sql.insertSyncedRun.run(id, e.id, u.id, e.questId, gainedXP, streak, occurredAt, localDate);
+    } else {
+      sql.insertSyncedRoutineLog.run(id, e.id, e.routineId, u.id, gainedXP, occurredAt, localDate);
+    }
+    recordXpEvent(db, {
+      userId: u.id,
+      kind: isRun ? "quest" : "routine",
+      refId: id,
+      amount: gainedXP,
+      localDate,
+      createdAt: occurredAt,
+    });
+    return { status: "applied", gainedXP, ...(capped && { xpCapped: true }), backdated };
+  }
+
+  // Push a batch of offline events; always answers with the authoritative progress.
+  // Events are checked one by one (syncEventProblem) so one bad event doesn't sink the batch.
+  app.post(
+    "/api/sync/push",
+    ...xpLimits,
+    validate({ body: { events: v.array(v.any(), { max: SYNC_MAX_BATCH }) } }),
+    (req, res) => {
+      const { events } = req.body;
+
+      const u = { ...req.user };
+      const results = new Map();
+      const valid = [];
+      events.forEach((e, i) => {
+        const reason = syncEventProblem(e);
+        if (reason) results.set(i, { id: e?.id ?? null, status: "rejected", reason });
+        else valid.push({ e, i });
+      });
+      valid.sort((a, b) => Date.parse(a.e.occurredAt) - Date.parse(b.e.occurredAt) || a.i - b.i);
+
+      const trx = db.transaction(() => {
+        let replay = false;
+        valid.forEach(({ e, i }) => {
+          const { backdated, ...result } = applySyncEvent(u, e);
+          if (backdated) replay = true;
+          results.set(i, { id: e.id, ...result });
+        });
+
+        // out-of-order history: let the ledger decide XP, level and streaks
+        if (replay) {
+          const prevLevel = u.level;
+          Object.assign(u, replayLedger(db, u.id));
+          u.streak_freezes = Math.min(
+            (u.streak_freezes || 0) + Math.max(u.level - prevLevel, 0),
+            MAX_STREAK_FREEZES
+          );
+        }
+        saveUser(u);
+      });
+      trx();
+
+      const challenges = settleChallengesFor(u.id);
+      const unlocked = evaluateAchievements(db, u.id, new Date(clock.now()));
+      res.json({
+        results: events.map((_e, i) => results.get(i)),
+        progress: progressPayload(sql.getUser.get(u.id)),
+        achievements: unlocked,
+        challenges,
+      });
+    }
+  );
+
+  const serializeSyncedRoutine = ({ recurrence_json, ...r }) => ({
+    ...r,
+    recurrence: parseRecurrence(recurrence_json),
+  });
+
+  const SYNC_ENTITIES = {
+    run: { get: sql.getSyncedRun, serialize: (r) => r },
+    routine_log: { get: sql.getSyncedRoutineLog, serialize: (r) => r },
+    routine: { get: sql.getSyncedRoutine, serialize: serializeSyncedRoutine },
+    checkin: { get: sql.getSyncedCheckin, serialize: serializeCheckin },
+  };
+
+  /**
+   * Changes since ?cursor=. Without a cursor (or cursor=0) the whole dataset is
+   * returned as a snapshot. Only the latest change per entity is reported;
+   * keep pulling with the returned cursor while hasMore is true.
+   */
+  app.get(
+    "/api/sync/pull",
+    validate({ query: { cursor: v.intString({ min: 0 }).default(0) } }),
+    (req, res) => {
+      const userId = req.user.id;
+      const { cursor } = req.query;
+      const progress = progressPayload(sql.getUser.get(userId));
+
+      if (cursor === 0) {
+        const read = db.transaction(() => ({
+          cursor: sql.latestSyncSeq.get(userId).seq,
+          snapshot: {
+            runs: sql.listRunsByUser.all(userId),
+            routineLogs: sql.listAllRoutineLogs.all(userId),
+            routines: sql.listAllRoutines.all(userId).map(serializeSyncedRoutine),
+            checkins: sql.listAllCheckins.all(userId).map(serializeCheckin),
+          },
+        }));
+        return res.json({ ...read(), hasMore: false, progress });
+      }
+
+      const rows = sql.listSyncChanges.all(userId, cursor, SYNC_PULL_LIMIT);
+      const latest = new Map();
+      rows.forEach((c) => latest.set(`${c.entity}:${c.entity_id}`, c));
+
+      const changes = [...latest.values()].map((c) => {
+        const entity = SYNC_ENTITIES[c.entity];
+        const row = c.op === "delete" ? null : entity.get.get(c.entity_id, userId);
+        return {
+          seq: c.seq,
+          entity: c.entity,
+          id: c.entity_id,
+          op: row ? "upsert" : "delete",
+          data: row ? entity.serialize(row) : null,
+          changedAt: c.changed_at,
+        };
+      });
+
+      res.json({
+        cursor: rows.length ? rows[rows.length - 1].seq : cursor,
+        changes,
+        hasMore: rows.length === SYNC_PULL_LIMIT,
+        progress,
+      });
+    }
+  );
+}
@@ -0,0 +1,129 @@
+// evania-backend/rules.js
+import { v } from "./validation.js";
+
+/**
+ * Gamification rules: the XP → level curve, the streak multiplier and the
+ * avatar tier schedule. They are versioned in the rule_versions table; the
+ * highest version is live. Publishing a new version (POST /api/admin/rules)
+ * re-derives every user's level and avatar tier from the XP ledger, so try a
+ * candidate first with POST /api/admin/rules/preview or
+ * `node admin.js rules-preview <file.json>` (see rulesImpactReport in ledger.js).
+ *
+ *   level:  level = floor((totalXP / base) ^ exponent) + 1
+ *   streak: multiplier = 1 + min(perDay × streak, perDayCap) + perFullWeek × floor(streak / 7)
+ *   avatar: one tier whenever a level-up lands on a multiple of levelsPerTier
+ *
+ * XP already in the ledger is never re-priced; a new multiplier only affects
+ * activity logged after it goes live.
+ */
+
+// Version 1, as seeded by migration 019
+export const DEFAULT_RULES = {
+  level: { base: 4, exponent: 0.5 },
+  streak: { perDay: 0.05, perDayCap: 0.5, perFullWeek: 0.1 },
+  avatar: { levelsPerTier: 5 },
+};
+
+export const rulesSchema = v.object({
+  level: v.object({
+    base: v.int({ min: 1, max: 10000 }),
+    exponent: v.number({ min: 0.1, max: 1 }),
+  }),
+  streak: v.object({
+    perDay: v.number({ min: 0, max: 1 }),
+    perDayCap: v.number({ min: 0, max: 5 }),
+    perFullWeek: v.number({ min: 0, max: 1 }),
+  }),
+  avatar: v.object({ levelsPerTier: v.int({ min: 1, max: 100 }) }),
+});
+
+// floor() guard: pow() can land a hair under an exact level boundary
+const EPSILON = 1e-9;
+
+export function levelForXP(rules, totalXP) {
+  const { base, exponent } = rules.level;
+  return Math.floor(Math.pow(Math.max(totalXP, 0) / base, exponent) + EPSILON) + 1;
+}
+
+// Smallest total XP at which `level` is reached
+export function xpForLevel(rules, level) {
+  if (level <= 1) return 0;
+  const { base, exponent } = rules.level;
+  let xp = Math.max(Math.floor(base * Math.pow(level - 1, 1 / exponent)) - 1, 0);
+  while (levelForXP(rules, xp) < level) xp++;
+  return xp;
+}
+
+// Where `totalXP` sits between the current level and the next one
+export function levelProgress(rules, totalXP) {
+  const level = levelForXP(rules, totalXP);
+  const floor = xpForLevel(rules, level);
+  const next = xpForLevel(rules, level + 1);
+  return {
+    level,
+    nextLevel: level + 1,
+    xpIntoLevel: totalXP - floor,
+    xpForNextLevel: next,
+    xpToNextLevel: next - totalXP,
+    percent: Math.floor(((totalXP - floor) / (next - floor)) * 100),
+  };
+}
+
+export function streakMultiplier(rules, streak) {
+  if (!streak || streak < 1) return 1.0;
+  const { perDay, perDayCap, perFullWeek } = rules.streak;
+  const bonus = Math.min(perDay * streak, perDayCap) + Math.floor(streak / 7) * perFullWeek;
+  return parseFloat((1.0 + bonus).toFixed(2));
+}
+
+// XP for one quest run / routine log at `streak`
+export const activityXP = (rules, basePoints, streak) =>
+  Math.round(basePoints * streakMultiplier(rules, streak));
+
+// A level-up that lands on a tier level unlocks the next avatar tier
+export const earnsAvatarTier = (rules, prevLevel, level) =>
+  level > prevLevel && level % rules.avatar.levelsPerTier === 0;
+
+const statements = new WeakMap();
+
+function stmts(db) {
+  if (!statements.has(db)) {
+    statements.set(db, {
+      latest: db.prepare("SELECT * FROM rule_versions ORDER BY version DESC LIMIT 1"),
+      list: db.prepare("SELECT * FROM rule_versions ORDER BY version DESC"),
+      insert: db.prepare(`
+        INSERT INTO rule_versions(version, rules_json, note, created_by)
+        VALUES(?, ?, ?, ?)
+      `),
+    });
+  }
+  return statements.get(db);
+}
+
+const serializeVersion = (row) => ({
+  version: row.version,
+  rules: JSON.parse(row.rules_json),
+  note: row.note,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+});
+
+// The live rule set as { version, rules, note, … }. Read on every call (one
+// indexed row) so a publish that rolls back never leaves stale rules behind.
+export function activeRules(db) {
+  const row = stmts(db).latest.get();
+  return row ? serializeVersion(row) : { version: 1, rules: DEFAULT_RULES, note: null };
+}
+
+export const currentRules = (db) => activeRules(db).rules;
+
+export function listRuleVersions(db) {
+  return stmts(db).list.all().map(serializeVersion);
+}
+
+// Store `rules` (already validated) as the next version; the caller re-derives progress
+export function publishRules(db, rules, { note = null, userId = null } = {}) {
+  const version = activeRules(db).version + 1;
+  stmts(db).insert.run(version, JSON.stringify(rules), note, userId);
+  return activeRules(db);
+}
@@ -0,0 +1,581 @@
+// evania-backend/statements.js
+
+/**
+ * The app's prepared statements on `db`, by name. createApp (api.js) prepares
+ * them once and hands them to the route modules as `ctx.sql`.
+ */
+export function prepareStatements(db) {
+  return {
+    // Member A/B user
+    getUser: db.prepare("SELECT * FROM users WHERE id = ?"),
+    listUserIds: db.prepare("SELECT id FROM users"),
+    // created_at is only written on insert, from @now (saveUser() fills it in)
+    upsertUser: db.prepare(`
+      INSERT INTO users(
+        id, email, password_hash,
+        total_xp, level, current_streak, longest_streak,
+        last_active_local_date, timezone, avatar_tier,
+        theme_color, daily_target, goals_json, baseline_mood,
+        onboarding_done, streak_freezes, streak_grace_days, freeze_grant_week,
+        created_at
+      )
+      VALUES(
+        @id, @email, @password_hash,
+        @total_xp, @level, @current_streak, @longest_streak,
+        @last_active_local_date, @timezone, @avatar_tier,
+        @theme_color, @daily_target, @goals_json, @baseline_mood,
+        @onboarding_done, @streak_freezes, @streak_grace_days, @freeze_grant_week,
+        @now
+      )
+      ON CONFLICT(id) DO UPDATE SET
+        email=COALESCE(excluded.email, users.email),
+        password_hash=COALESCE(excluded.password_hash, users.password_hash),
+        total_xp=excluded.total_xp,
+        level=excluded.level,
+        current_streak=excluded.current_streak,
+        longest_streak=excluded.longest_streak,
+        last_active_local_date=excluded.last_active_local_date,
+        timezone=excluded.timezone,
+        avatar_tier=excluded.avatar_tier,
+        theme_color=COALESCE(excluded.theme_color, users.theme_color),
+        daily_target=COALESCE(excluded.daily_target, users.daily_target),
+        goals_json=COALESCE(excluded.goals_json, users.goals_json),
+        baseline_mood=COALESCE(excluded.baseline_mood, users.baseline_mood),
+        onboarding_done=COALESCE(excluded.onboarding_done, users.onboarding_done),
+        streak_freezes=excluded.streak_freezes,
+        streak_grace_days=COALESCE(excluded.streak_grace_days, users.streak_grace_days),
+        freeze_grant_week=excluded.freeze_grant_week
+    `),
+
+    // Member A sessions (refresh tokens)
+    insertSession: db.prepare(`
+      INSERT INTO sessions(id, user_id, refresh_hash, device_name, user_agent, ip, expires_at, created_at, last_used_at)
+      VALUES(@id, @user_id, @refresh_hash, @device_name, @user_agent, @ip, @expires_at, @now, @now)
+    `),
+    getSessionById: db.prepare("SELECT * FROM sessions WHERE id = ?"),
+    getSessionByRefreshHash: db.prepare("SELECT * FROM sessions WHERE refresh_hash = ?"),
+    getSessionByPrevRefreshHash: db.prepare("SELECT * FROM sessions WHERE prev_refresh_hash = ?"),
+    rotateSession: db.prepare(`
+      UPDATE sessions SET
+        prev_refresh_hash = refresh_hash,
+        refresh_hash = ?,
+        last_used_at = ?,
+        expires_at = ?
+      WHERE id = ?
+    `),
+    listSessionsByUser: db.prepare(`
+      SELECT * FROM sessions
+      WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+      ORDER BY last_used_at DESC
+    `),
+    revokeSession: db.prepare(`
+      UPDATE sessions SET revoked_at = ?
+      WHERE id = ? AND revoked_at IS NULL
+    `),
+    revokeUserSession: db.prepare(`
+      UPDATE sessions SET revoked_at = ?
+      WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+    `),
+    revokeAllSessions: db.prepare(`
+      UPDATE sessions SET revoked_at = ?
+      WHERE user_id = ? AND revoked_at IS NULL
+    `),
+
+    // Member A one-time email tokens (reset / verify / change-email)
+    insertAuthToken: db.prepare(`
+      INSERT INTO auth_tokens(id, user_id, purpose, token_hash, new_email, expires_at, created_at)
+      VALUES(?, ?, ?, ?, ?, ?, ?)
+    `),
+    getAuthToken: db.prepare(`
+      SELECT * FROM auth_tokens
+      WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > ?
+    `),
+    useAuthToken: db.prepare("UPDATE auth_tokens SET used_at = ? WHERE id = ?"),
+    // issuing a new token retires any older unused ones for the same purpose
+    retireAuthTokens: db.prepare(`
+      UPDATE auth_tokens SET used_at = ?
+      WHERE user_id = ? AND purpose = ? AND used_at IS NULL
+    `),
+    getUserByEmail: db.prepare("SELECT * FROM users WHERE email = ?"),
+    setPasswordHash: db.prepare("UPDATE users SET password_hash = ? WHERE id = ?"),
+    markEmailVerified: db.prepare("UPDATE users SET email_verified = 1 WHERE id = ?"),
+    setEmail: db.prepare("UPDATE users SET email = ?, email_verified = 1 WHERE id = ?"),
+
+    // Check-ins
+    getCheckin: db.prepare("SELECT * FROM checkins WHERE user_id = ? AND local_date = ?"),
+    listCheckins: db.prepare(`
+      SELECT * FROM checkins
+      WHERE user_id = ? AND local_date BETWEEN ? AND ?
+      ORDER BY local_date DESC
+    `),
+    insertCheckin: db.prepare(`
+      INSERT INTO checkins(id, user_id, local_date, mood_score, tags_json, journal, created_at, updated_at)
+      VALUES(@id, @user_id, @local_date, @mood_score, @tags_json, @journal, @now, @now)
+    `),
+    updateCheckin: db.prepare(`
+      UPDATE checkins SET
+        mood_score=@mood_score,
+        tags_json=@tags_json,
+        journal=@journal,
+        updated_at=@now
+      WHERE id=@id
+    `),
+
+    // Member B quests/runs
+    listQuests: db.prepare("SELECT * FROM quests WHERE active = 1"),
+    getQuest: db.prepare("SELECT * FROM quests WHERE id = ? AND active = 1"),
+
+    // Admin: quest catalog
+    listAllQuests: db.prepare("SELECT * FROM quests ORDER BY active DESC, category, title"),
+    getAnyQuest: db.prepare("SELECT * FROM quests WHERE id = ?"),
+    insertQuest: db.prepare(`
+      INSERT INTO quests(id, title, base_points, category, cooldown_sec, active)
+      VALUES(@id, @title, @base_points, @category, @cooldown_sec, 1)
+    `),
+    updateQuest: db.prepare(`
+      UPDATE quests SET
+        title=@title,
+        base_points=@base_points,
+        category=@category,
+        cooldown_sec=@cooldown_sec,
+        active=@active
+      WHERE id=@id
+    `),
+    insertQuestChange: db.prepare(`
+      INSERT INTO quest_changes(id, quest_id, changed_by, action, before_json, after_json, created_at)
+      VALUES(?, ?, ?, ?, ?, ?, ?)
+    `),
+    listQuestChanges: db.prepare(`
+      SELECT id, changed_by, action, before_json, after_json, created_at
+      FROM quest_changes
+      WHERE quest_id = ?
+      ORDER BY created_at DESC, rowid DESC
+    `),
+    listCategories: db.prepare("SELECT * FROM quest_categories WHERE active = 1 ORDER BY name"),
+    listAllCategories: db.prepare("SELECT * FROM quest_categories ORDER BY active DESC, name"),
+    getCategory: db.prepare("SELECT * FROM quest_categories WHERE id = ?"),
+    insertCategory: db.prepare("INSERT INTO quest_categories(id, name, created_at) VALUES(?, ?, ?)"),
+    updateCategory: db.prepare("UPDATE quest_categories SET name = ?, active = ? WHERE id = ?"),
+    countActiveQuestsInCategory: db.prepare(
+      "SELECT COUNT(*) AS c FROM quests WHERE category = ? AND active = 1"
+    ),
+    setUserRole: db.prepare("UPDATE users SET role = ? WHERE id = ?"),
+    lastRunForQuest: db.prepare(`
+      SELECT * FROM runs
+      WHERE user_id = ? AND quest_id = ?
+      ORDER BY created_at DESC
+      LIMIT 1
+    `),
+    insertRun: db.prepare(`
+      INSERT INTO runs(
+        id, user_id, quest_id, gained_xp,
+        streak_applied, created_at, local_date
+      )
+      VALUES(?, ?, ?, ?, ?, ?, ?)
+    `),
+    listRunsByUser: db.prepare(`
+      SELECT * FROM runs
+      WHERE user_id = ?
+      ORDER BY created_at DESC
+    `),
+    getRunById: db.prepare("SELECT * FROM runs WHERE id = ? AND user_id = ?"),
+    // newest first, keyset-paged on (created_at, id); each side is limited on its own index first
+    listActivity: db.prepare(`
+      SELECT * FROM (
+        SELECT 'quest' AS type, r.id, r.quest_id AS ref_id, q.title, q.category,
+          r.gained_xp, r.streak_applied, r.created_at, r.local_date
+        FROM runs r LEFT JOIN quests q ON q.id = r.quest_id
+        WHERE r.user_id = @user_id
+          AND @type IN ('all', 'quest')
+          AND (@ref_id IS NULL OR r.quest_id = @ref_id)
+          AND (@category IS NULL OR q.category = @category)
+          AND (@from IS NULL OR r.local_date >= @from)
+          AND (@to IS NULL OR r.local_date <= @to)
+          AND (@before_at IS NULL OR r.created_at < @before_at OR (r.created_at = @before_at AND r.id < @before_id))
+        ORDER BY r.created_at DESC, r.id DESC
+        LIMIT @limit
+      )
+      UNION ALL
+      SELECT * FROM (
+        SELECT 'routine' AS type, l.id, l.routine_id AS ref_id, rt.title, NULL AS category,
+          l.gained_xp, NULL AS streak_applied, l.created_at, l.local_date
+        FROM routine_logs l LEFT JOIN routines rt ON rt.id = l.routine_id
+        WHERE l.user_id = @user_id
+          AND @type IN ('all', 'routine')
+          AND @category IS NULL
+          AND (@ref_id IS NULL OR l.routine_id = @ref_id)
+          AND (@from IS NULL OR l.local_date >= @from)
+          AND (@to IS NULL OR l.local_date <= @to)
+          AND (@before_at IS NULL OR l.created_at < @before_at OR (l.created_at = @before_at AND l.id < @before_id))
+        ORDER BY l.created_at DESC, l.id DESC
+        LIMIT @limit
+      )
+      ORDER BY created_at DESC, id DESC
+      LIMIT @limit
+    `),
+    // any run of the quest strictly inside (from, to) — cooldowns for synced events
+    runOfQuestBetween: db.prepare(`
+      SELECT 1 FROM runs
+      WHERE user_id = ? AND quest_id = ? AND created_at > ? AND created_at < ?
+      LIMIT 1
+    `),
+    deleteRun: db.prepare("DELETE FROM runs WHERE id = ?"),
+
+    // Member C routines
+    insertRoutine: db.prepare(`
+      INSERT INTO routines(id, user_id, title, base_points, daily_target, recurrence_json, active, sort_order, created_at)
+      VALUES(?, ?, ?, ?, ?, ?, 1, (
+        SELECT COALESCE(MIN(sort_order), 1) - 1 FROM routines WHERE user_id = ?
+      ), ?)
+    `),
+    getRoutineById: db.prepare(`
+      SELECT * FROM routines
+      WHERE id = ? AND user_id = ? AND active = 1
+    `),
+    // active or archived, but not deleted
+    getOwnedRoutine: db.prepare(`
+      SELECT * FROM routines
+      WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+    `),
+    updateRoutine: db.prepare(`
+      UPDATE routines SET
+        title=@title,
+        base_points=@base_points,
+        daily_target=@daily_target,
+        recurrence_json=@recurrence_json
+      WHERE id=@id AND user_id=@user_id
+    `),
+    // archived_at: from when the routine stops counting as due in insights
+    archiveRoutine: db.prepare(`
+      UPDATE routines SET active = 0, archived_at = COALESCE(archived_at, ?)
+      WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+    `),
+    restoreRoutine: db.prepare(`
+      UPDATE routines SET active = 1, archived_at = NULL
+      WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+    `),
+    // soft delete: routine_logs keep pointing at a valid row for insights
+    softDeleteRoutine: db.prepare(`
+      UPDATE routines SET active = 0, deleted_at = ?, archived_at = COALESCE(archived_at, ?)
+      WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+    `),
+    setRoutineSortOrder: db.prepare(`
+      UPDATE routines SET sort_order = ?
+      WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+    `),
+    countRoutineLogsToday: db.prepare(`
+      SELECT COUNT(*) AS c
+      FROM routine_logs
+      WHERE routine_id = ?
+        AND user_id = ?
+        AND local_date = ?
+    `),
+    routineLogCountsByDay: db.prepare(`
+      SELECT routine_id, local_date, COUNT(*) AS n
+      FROM routine_logs
+      WHERE user_id = ? AND local_date BETWEEN ? AND ?
+      GROUP BY routine_id, local_date
+    `),
+    routineXpByDay: db.prepare(`
+      SELECT local_date, SUM(gained_xp) AS xp
+      FROM routine_logs
+      WHERE user_id = ? AND local_date BETWEEN ? AND ?
+      GROUP BY local_date
+    `),
+    // whole history of one routine / quest, per local date
+    routineHistoryByDay: db.prepare(`
+      SELECT local_date, COUNT(*) AS n, SUM(gained_xp) AS xp
+      FROM routine_logs
+      WHERE routine_id = ? AND user_id = ?
+      GROUP BY local_date
+      ORDER BY local_date
+    `),
+    questHistoryByDay: db.prepare(`
+      SELECT local_date, COUNT(*) AS n, SUM(gained_xp) AS xp
+      FROM runs
+      WHERE quest_id = ? AND user_id = ?
+      GROUP BY local_date
+      ORDER BY local_date
+    `),
+    // streak freezes / grace days
+    insertStreakBridge: db.prepare(`
+      INSERT INTO streak_freeze_uses(id, user_id, local_date, kind, created_at)
+      VALUES(?, ?, ?, ?, ?)
+    `),
+    listStreakBridges: db.prepare(`
+      SELECT local_date, kind, created_at FROM streak_freeze_uses
+      WHERE user_id = ?
+      ORDER BY local_date DESC
+      LIMIT ?
+    `),
+    // bridges after `local_date` no longer lead to any activity once it is undone
+    listStreakBridgesAfter: db.prepare(`
+      SELECT id, kind FROM streak_freeze_uses
+      WHERE user_id = ? AND local_date > ?
+    `),
+    deleteStreakBridge: db.prepare("DELETE FROM streak_freeze_uses WHERE id = ?"),
+    listStreakBridgesBetween: db.prepare(`
+      SELECT local_date, kind FROM streak_freeze_uses
+      WHERE user_id = ? AND local_date BETWEEN ? AND ?
+      ORDER BY local_date
+    `),
+
+    getRoutineLogById: db.prepare(`
+      SELECT * FROM routine_logs
+      WHERE id = ? AND routine_id = ? AND user_id = ?
+    `),
+    deleteRoutineLog: db.prepare("DELETE FROM routine_logs WHERE id = ?"),
+
+    // Offline sync
+    getRunByClientId: db.prepare("SELECT id FROM runs WHERE user_id = ? AND client_id = ?"),
+    getRoutineLogByClientId: db.prepare("SELECT id FROM routine_logs WHERE user_id = ? AND client_id = ?"),
+    insertSyncedRun: db.prepare(`
+      INSERT INTO runs(
+        id, client_id, user_id, quest_id, gained_xp,
+        streak_applied, created_at, local_date
+      )
+      VALUES(?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    insertSyncedRoutineLog: db.prepare(`
+      INSERT INTO routine_logs(
+        id, client_id, routine_id, user_id, gained_xp, created_at, local_date
+      )
+      VALUES(?, ?, ?, ?, ?, ?, ?)
+    `),
+    latestXpEventAt: db.prepare("SELECT MAX(created_at) AS at FROM xp_events WHERE user_id = ?"),
+    latestSyncSeq: db.prepare("SELECT COALESCE(MAX(seq), 0) AS seq FROM sync_changes WHERE user_id = ?"),
+    listSyncChanges: db.prepare(`
+      SELECT * FROM sync_changes
+      WHERE user_id = ? AND seq > ?
+      ORDER BY seq
+      LIMIT ?
+    `),
+    getSyncedRun: db.prepare("SELECT * FROM runs WHERE id = ? AND user_id = ?"),
+    getSyncedRoutineLog: db.prepare("SELECT * FROM routine_logs WHERE id = ? AND user_id = ?"),
+    getSyncedRoutine: db.prepare("SELECT * FROM routines WHERE id = ? AND user_id = ?"),
+    getSyncedCheckin: db.prepare("SELECT * FROM checkins WHERE id = ? AND user_id = ?"),
+    listAllRoutineLogs: db.prepare(`
+      SELECT * FROM routine_logs
+      WHERE user_id = ?
+      ORDER BY created_at DESC
+    `),
+    listAllRoutines: db.prepare("SELECT * FROM routines WHERE user_id = ? ORDER BY sort_order, rowid DESC"),
+    listAllCheckins: db.prepare("SELECT * FROM checkins WHERE user_id = ? ORDER BY local_date DESC"),
+
+    // Account export / import / deletion
+    listAllStreakBridges: db.prepare("SELECT * FROM streak_freeze_uses WHERE user_id = ? ORDER BY local_date"),
+    listXpEventsByUser: db.prepare("SELECT * FROM xp_events WHERE user_id = ? ORDER BY created_at, rowid"),
+    listUserAchievements: db.prepare(`
+      SELECT achievement_id, unlocked_at FROM user_achievements
+      WHERE user_id = ?
+      ORDER BY unlocked_at
+    `),
+    countUserData: db.prepare(`
+      SELECT
+        (SELECT COUNT(*) FROM runs WHERE user_id = @id) +
+        (SELECT COUNT(*) FROM routines WHERE user_id = @id) +
+        (SELECT COUNT(*) FROM routine_logs WHERE user_id = @id) +
+        (SELECT COUNT(*) FROM checkins WHERE user_id = @id) +
+        (SELECT COUNT(*) FROM xp_events WHERE user_id = @id) AS n
+    `),
+    importRoutine: db.prepare(`
+      INSERT INTO routines(
+        id, user_id, title, base_points, daily_target, active,
+        created_at, sort_order, deleted_at, archived_at, recurrence_json
+      )
+      VALUES(
+        @id, @user_id, @title, @base_points, @daily_target, @active,
+        @created_at, @sort_order, @deleted_at, @archived_at, @recurrence_json
+      )
+    `),
+    importCheckin: db.prepare(`
+      INSERT INTO checkins(id, user_id, local_date, mood_score, tags_json, journal, created_at, updated_at)
+      VALUES(@id, @user_id, @local_date, @mood_score, @tags_json, @journal, @created_at, @updated_at)
+    `),
+    restoreAchievement: db.prepare(`
+      INSERT OR IGNORE INTO user_achievements(user_id, achievement_id, unlocked_at)
+      SELECT ?, id, ? FROM achievements WHERE id = ?
+    `),
+    // Friends / accountability partners
+    setInviteCode: db.prepare("UPDATE users SET invite_code = ? WHERE id = ?"),
+    getUserByInviteCode: db.prepare("SELECT * FROM users WHERE invite_code = ?"),
+    setPrivacy: db.prepare("UPDATE users SET privacy_json = ? WHERE id = ?"),
+    getFriendshipById: db.prepare("SELECT * FROM friendships WHERE id = ?"),
+    getFriendshipBetween: db.prepare(`
+      SELECT * FROM friendships
+      WHERE (requester_id = @a AND addressee_id = @b) OR (requester_id = @b AND addressee_id = @a)
+    `),
+    listFriendships: db.prepare(`
+      SELECT * FROM friendships
+      WHERE ? IN (requester_id, addressee_id)
+      ORDER BY created_at DESC
+    `),
+    insertFriendship: db.prepare(
+      "INSERT INTO friendships(id, requester_id, addressee_id, via_email, created_at) VALUES(?, ?, ?, ?, ?)"
+    ),
+    acceptFriendship: db.prepare(`
+      UPDATE friendships SET status = 'accepted', accepted_at = ?
+      WHERE id = ? AND status = 'pending'
+    `),
+    deleteFriendship: db.prepare("DELETE FROM friendships WHERE id = ?"),
+    xpBetween: db.prepare(`
+      SELECT COALESCE(SUM(amount), 0) AS xp FROM xp_events
+      WHERE user_id = ? AND local_date BETWEEN ? AND ?
+    `),
+
+    // Group challenges
+    insertChallenge: db.prepare(`
+      INSERT INTO challenges(
+        id, title, created_by, mode, metric, source, quest_id, category,
+        target, bonus_xp, starts_on, ends_on, visibility, join_code, created_at
+      )
+      VALUES(
+        @id, @title, @created_by, @mode, @metric, @source, @quest_id, @category,
+        @target, @bonus_xp, @starts_on, @ends_on, @visibility, @join_code, @created_at
+      )
+    `),
+    getChallenge: db.prepare("SELECT * FROM challenges WHERE id = ?"),
+    listJoinedChallenges: db.prepare(`
+      SELECT c.* FROM challenges c
+      JOIN challenge_participants p ON p.challenge_id = c.id
+      WHERE p.user_id = ? AND p.left_at IS NULL
+      ORDER BY c.ends_on DESC
+    `),
+    listOpenChallenges: db.prepare(`
+      SELECT c.* FROM challenges c
+      WHERE c.visibility = 'public' AND c.ends_on >= ?
+        AND NOT EXISTS (
+          SELECT 1 FROM challenge_participants p
+          WHERE p.challenge_id = c.id AND p.user_id = ? AND p.left_at IS NULL
+        )
+      ORDER BY c.starts_on
+    `),
+    // joined, not over long ago, and someone still waiting for a bonus
+    listUnsettledChallenges: db.prepare(`
+      SELECT c.* FROM challenges c
+      JOIN challenge_participants p ON p.challenge_id = c.id
+      WHERE p.user_id = ? AND p.left_at IS NULL AND c.ends_on >= ?
+        AND EXISTS (
+          SELECT 1 FROM challenge_participants o
+          WHERE o.challenge_id = c.id AND o.completed_at IS NULL AND o.left_at IS NULL
+        )
+    `),
+    listChallengeParticipation: db.prepare(`
+      SELECT p.*, c.title FROM challenge_participants p
+      JOIN challenges c ON c.id = p.challenge_id
+      WHERE p.user_id = ?
+      ORDER BY p.joined_at
+    `),
+    getParticipant: db.prepare(`
+      SELECT * FROM challenge_participants
+      WHERE challenge_id = ? AND user_id = ? AND left_at IS NULL
+    `),
+    // the user columns are for displayProfile(), which applies their privacy settings
+    listParticipants: db.prepare(`
+      SELECT p.*, u.email, u.privacy_json, u.level, u.current_streak FROM challenge_participants p
+      JOIN users u ON u.id = p.user_id
+      WHERE p.challenge_id = ? AND p.left_at IS NULL
+      ORDER BY p.joined_at
+    `),
+    // rejoining after leaving starts counting afresh; completed_at / bonus_paid stay
+    insertParticipant: db.prepare(`
+      INSERT INTO challenge_participants(challenge_id, user_id, joined_at) VALUES(?, ?, ?)
+      ON CONFLICT(challenge_id, user_id) DO UPDATE SET joined_at = excluded.joined_at, left_at = NULL
+    `),
+    leaveChallenge: db.prepare(`
+      UPDATE challenge_participants SET left_at = ?
+      WHERE challenge_id = ? AND user_id = ? AND left_at IS NULL
+    `),
+    completeParticipant: db.prepare(`
+      UPDATE challenge_participants SET completed_at = ?, bonus_paid = ?
+      WHERE challenge_id = ? AND user_id = ? AND completed_at IS NULL
+    `),
+    challengeRunTotals: db.prepare(`
+      SELECT COUNT(*) AS n, COALESCE(SUM(r.gained_xp), 0) AS xp
+      FROM runs r JOIN quests q ON q.id = r.quest_id
+      WHERE r.user_id = @user_id AND r.local_date BETWEEN @from AND @to AND r.created_at >= @since
+        AND (@quest_id IS NULL OR r.quest_id = @quest_id)
+        AND (@category IS NULL OR q.category = @category)
+    `),
+    challengeLogTotals: db.prepare(`
+      SELECT COUNT(*) AS n, COALESCE(SUM(gained_xp), 0) AS xp
+      FROM routine_logs
+      WHERE user_id = @user_id AND local_date BETWEEN @from AND @to AND created_at >= @since
+    `),
+
+    // Reminders + push
+    upsertPushToken: db.prepare(`
+      INSERT INTO push_tokens(token, user_id, platform, created_at, last_seen_at) VALUES(@token, @user_id, @platform, @now, @now)
+      ON CONFLICT(token) DO UPDATE SET
+        user_id=excluded.user_id,
+        platform=excluded.platform,
+        last_seen_at=excluded.last_seen_at
+    `),
+    deletePushToken: db.prepare("DELETE FROM push_tokens WHERE token = ? AND user_id = ?"),
+    deletePushTokenAnyUser: db.prepare("DELETE FROM push_tokens WHERE token = ?"),
+    listPushTokens: db.prepare("SELECT token FROM push_tokens WHERE user_id = ?"),
+    listReminderTimes: db.prepare("SELECT time FROM routine_reminders WHERE routine_id = ? ORDER BY time"),
+    listUserReminders: db.prepare("SELECT routine_id, time FROM routine_reminders WHERE user_id = ? ORDER BY time"),
+    deleteRoutineReminders: db.prepare("DELETE FROM routine_reminders WHERE routine_id = ?"),
+    insertRoutineReminder: db.prepare(
+      "INSERT INTO routine_reminders(id, routine_id, user_id, time, created_at) VALUES(?, ?, ?, ?, ?)"
+    ),
+    setNotifyPrefs: db.prepare("UPDATE users SET notify_json = ? WHERE id = ?"),
+    listNotifiableUsers: db.prepare(`
+      SELECT u.* FROM users u
+      WHERE u.purge_after IS NULL
+        AND EXISTS (SELECT 1 FROM push_tokens t WHERE t.user_id = u.id)
+    `),
+    // claims the slot; 0 changes means it was already handled
+    claimNotification: db.prepare(`
+      INSERT OR IGNORE INTO notifications(id, user_id, kind, ref_id, local_date, slot, title, body, created_at)
+      VALUES(@id, @user_id, @kind, @ref_id, @local_date, @slot, @title, @body, @created_at)
+    `),
+    finishNotification: db.prepare("UPDATE notifications SET status = ?, error = ? WHERE id = ?"),
+    listNotifications: db.prepare(`
+      SELECT id, kind, ref_id, local_date, slot, title, body, status, created_at
+      FROM notifications
+      WHERE user_id = ?
+      ORDER BY created_at DESC, rowid DESC
+      LIMIT ?
+    `),
+
+    scheduleDeletion: db.prepare("UPDATE users SET deletion_requested_at = ?, purge_after = ? WHERE id = ?"),
+    cancelDeletion: db.prepare("UPDATE users SET deletion_requested_at = NULL, purge_after = NULL WHERE id = ?"),
+    insertRoutineLog: db.prepare(`
+      INSERT INTO routine_logs(
+        id, routine_id, user_id, gained_xp, created_at, local_date
+      )
+      VALUES(?, ?, ?, ?, ?, ?)
+    `),
+
+    // abuse protection
+    activityXpOnDay: db.prepare(`
+      SELECT
+        (SELECT COALESCE(SUM(gained_xp), 0) FROM runs WHERE user_id = @user_id AND local_date = @local_date) +
+        (SELECT COALESCE(SUM(gained_xp), 0) FROM routine_logs WHERE user_id = @user_id AND local_date = @local_date)
+        AS xp
+    `),
+    // one open flag per user, kind and day; repeats bump hits
+    upsertAbuseFlag: db.prepare(`
+      INSERT INTO abuse_flags(id, user_id, kind, local_date, detail_json, created_at, last_seen_at)
+      VALUES(@id, @user_id, @kind, @local_date, @detail_json, @now, @now)
+      ON CONFLICT(user_id, kind, local_date) DO UPDATE SET
+        hits = hits + 1,
+        detail_json = excluded.detail_json,
+        last_seen_at = excluded.last_seen_at
+    `),
+    listAbuseFlags: db.prepare(`
+      SELECT f.*, u.email
+      FROM abuse_flags f
+      LEFT JOIN users u ON u.id = f.user_id
+      WHERE (@status = 'all' OR (@status = 'open') = (f.reviewed_at IS NULL))
+      ORDER BY f.last_seen_at DESC
+      LIMIT @limit
+    `),
+    reviewAbuseFlag: db.prepare(`
+      UPDATE abuse_flags SET reviewed_at = ?, reviewed_by = ?
+      WHERE id = ? AND reviewed_at IS NULL
+    `),
+  };
+}
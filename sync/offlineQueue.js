@@ -0,0 +1,149 @@
+// sync/offlineQueue.js
+import * as SQLite from "expo-sqlite";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+/**
+ * Offline-first outbox for the Express sync endpoints.
+ *
+ * Completions are written to a local SQLite table first (with a client id and
+ * the time they happened), so nothing is lost without signal. pushPending()
+ * uploads them in batches; pullChanges() fetches what changed on the server.
+ *
+ * `request(method, path, body)` is the app's authenticated fetch helper and
+ * must resolve with the parsed JSON body (and reject on network errors).
+ */
+
+const DB_NAME = "evania-sync.db";
+const CURSOR_KEY = "evania.sync.cursor";
+const PUSH_BATCH = 100;
+
+let dbPromise = null;
+
+function openOutbox() {
+  if (!dbPromise) {
+    dbPromise = SQLite.openDatabaseAsync(DB_NAME).then(async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS outbox (
+          id TEXT PRIMARY KEY,
+          type TEXT NOT NULL,
+          payload_json TEXT NOT NULL,
+          occurred_at TEXT NOT NULL
+        );
+      `);
+      return db;
+    });
+  }
+  return dbPromise;
+}
+
+// Good enough for uniqueness per device; the server only needs them unique per account
+function clientId(prefix) {
+  const rand = Math.random().toString(36).slice(2, 12);
+  return `${prefix}-${Date.now().toString(36)}${rand}`;
+}
+
+async function enqueue(type, payload) {
+  const db = await openOutbox();
+  const event = {
+    id: clientId(type === "run" ? "run" : "log"),
+    type,
+    ...payload,
+    occurredAt: new Date().toISOString(),
+  };
+  await db.runAsync(
+    "INSERT INTO outbox(id, type, payload_json, occurred_at) VALUES(?, ?, ?, ?)",
+    event.id,
+    type,
+    JSON.stringify(payload),
+    event.occurredAt
+  );
+  return event;
+}
+
+export const recordRun = (questId) => enqueue("run", { questId });
+
+export const recordRoutineLog = (routineId) => enqueue("routine_log", { routineId });
+
+export async function pendingCount() {
+  const db = await openOutbox();
+  const row = await db.getFirstAsync("SELECT COUNT(*) AS c FROM outbox");
+  return row?.c || 0;
+}
+
+/**
+ * Upload everything in the outbox, oldest first. Applied, duplicate and
+ * rejected events all leave the outbox (the server has the final say);
+ * on a network error, or when the server refuses the whole batch (429 and
+ * other error responses carry no results), they stay for the next attempt.
+ * Returns { results, progress, error } — progress is null if nothing was
+ * pending, error is the refusal ({ error, code }) or null.
+ */
+export async function pushPending(request) {
+  const db = await openOutbox();
+  const results = [];
+  let progress = null;
+  let error = null;
+
+  for (;;) {
+    const rows = await db.getAllAsync(
+      "SELECT * FROM outbox ORDER BY occurred_at ASC LIMIT ?",
+      PUSH_BATCH
+    );
+    if (!rows.length) break;
+
+    const events = rows.map((r) => ({
+      id: r.id,
+      type: r.type,
+      occurredAt: r.occurred_at,
+      ...JSON.parse(r.payload_json),
+    }));
+    const res = await request("POST", "/api/sync/push", { events });
+    if (!Array.isArray(res?.results)) {
+      error = { error: res?.error || "sync push failed", code: res?.code || null };
+      break;
+    }
+
+    await db.withTransactionAsync(async () => {
+      for (const r of res.results) {
+        if (r?.id) await db.runAsync("DELETE FROM outbox WHERE id = ?", r.id);
+      }
+    });
+    results.push(...res.results);
+    progress = res.progress;
+    if (rows.length < PUSH_BATCH) break;
+  }
+  return { results, progress, error };
+}
+
+/**
+ * Fetch server changes since the stored cursor and hand each page to
+ * `apply({ snapshot, changes, progress })`. The cursor only advances after
+ * apply resolves, so a crash mid-way re-delivers the page. An answer without
+ * a cursor (an error body) stops the pull and throws, keeping the old cursor.
+ */
+export async function pullChanges(request, apply) {
+  let cursor = Number(await AsyncStorage.getItem(CURSOR_KEY)) || 0;
+  let page;
+  do {
+    page = await request("GET", `/api/sync/pull?cursor=${cursor}`);
+    if (!Number.isInteger(page?.cursor) || page.cursor < 0) {
+      throw new Error(page?.error || "sync pull failed");
+    }
+    await apply({ snapshot: page.snapshot || null, changes: page.changes || [], progress: page.progress });
+    cursor = page.cursor;
+    await AsyncStorage.setItem(CURSOR_KEY, String(cursor));
+  } while (page.hasMore);
+  return cursor;
+}
+
+// Push first so the pull already reflects offline completions
+export async function syncNow(request, apply) {
+  const pushed = await pushPending(request);
+  await pullChanges(request, apply);
+  return pushed;
+}
+
+// Forget the cursor (e.g. on logout) so the next pull starts from a snapshot
+export async function resetSyncCursor() {
+  await AsyncStorage.removeItem(CURSOR_KEY);
+}
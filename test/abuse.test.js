@@ -0,0 +1,89 @@
+// evania-backend/test/abuse.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Database from "better-sqlite3";
+import { migrate } from "../migrations/runner.js";
+import { memoryStore, sqliteStore, loginLockout } from "../ratelimit.js";
+import { startTestApp, useTestApp } from "./helpers.js";
+
+const t = useTestApp(
+  { config: { rateLimits: { xpAccount: { limit: 3, windowSec: 600 } }, dailyXpCap: 30 } },
+  (t) => t.seedUser("admin", { role: "admin" })
+);
+
+test("both stores count hits per key in fixed windows", () => {
+  const db = new Database(":memory:");
+  migrate(db, { log: () => {} });
+  let now = 0;
+  try {
+    for (const store of [memoryStore({ now: () => now }), sqliteStore(db, { now: () => now })]) {
+      now = 0;
+      assert.deepEqual([store.hit("a", 60), store.hit("a", 60)], [
+        { count: 1, resetAt: 60000 },
+        { count: 2, resetAt: 60000 },
+      ]);
+      assert.equal(store.hit("b", 60).count, 1);
+      now = 60000;
+      assert.equal(store.peek("a"), null);
+      assert.deepEqual(store.hit("a", 60), { count: 1, resetAt: 120000 });
+    }
+  } finally {
+    db.close();
+  }
+});
+
+test("each failed sign-in past the threshold doubles the lockout, up to the cap", () => {
+  const now = 0;
+  const lockout = loginLockout(memoryStore({ now: () => now }), { threshold: 2, baseSec: 30, maxSec: 100 });
+  const locks = [1, 2, 3, 4].map(() => lockout.recordFailure("alice@example.com"));
+  assert.deepEqual(locks, [null, 30000, 60000, 100000]);
+  assert.equal(lockout.lockedUntil("alice@example.com"), 100000);
+  lockout.recordSuccess("alice@example.com");
+  assert.equal(lockout.lockedUntil("alice@example.com"), null);
+});
+
+test("XP routes are rate limited per account", async () => {
+  for (const questId of ["q1", "q3", "q4"]) assert.equal((await t.post("/api/runs", { questId })).status, 200);
+  const res = await t.post("/api/runs", { questId: "q1" });
+  assert.equal(res.status, 429);
+  assert.equal(res.body.code, "rate_limited");
+  assert.equal(res.headers.get("retry-after"), "600");
+  assert.equal((await t.post("/api/runs", { questId: "q1" }, "someone-else")).status, 200);
+
+  t.clock.advance({ minutes: 10 });
+  assert.equal((await t.post("/api/runs", { questId: "q1" })).status, 200);
+});
+
+test("XP past the daily cap is dropped and the day is flagged", async () => {
+  const first = (await t.post("/api/runs", { questId: "q4" })).body;
+  assert.equal(first.meta.xpCapped, false);
+  const second = (await t.post("/api/runs", { questId: "q4" })).body;
+  assert.equal(second.meta.xpCapped, true);
+  assert.equal(second.progress.totalXP, 30);
+  assert.equal((await t.post("/api/runs", { questId: "q1" })).body.run.gainedXP, 0);
+
+  const { flags } = (await t.get("/api/admin/abuse-flags", "admin")).body;
+  assert.deepEqual(
+    flags.map((f) => [f.userId, f.kind, f.localDate, f.hits, f.details.cap]),
+    [["tester", "daily_xp_cap", "2026-03-02", 2, 30]]
+  );
+  assert.equal((await t.post(`/api/admin/abuse-flags/${flags[0].id}/review`, {}, "admin")).status, 200);
+  assert.deepEqual((await t.get("/api/admin/abuse-flags", "admin")).body.flags, []);
+});
+
+test("weak passwords are refused and unknown emails fail like wrong passwords", async () => {
+  const app = await startTestApp({ config: { devMode: false, jwtSecret: "test-secret" } });
+  try {
+    for (const password of ["password123", "onlyletters", "alice-2026!"]) {
+      const res = await app.post("/api/auth/register", { email: "alice@example.com", password });
+      assert.equal(res.status, 400, password);
+      assert.equal(res.body.fields[0].code, "weak_password");
+    }
+    await app.post("/api/auth/register", { email: "alice@example.com", password: "correct horse 42" });
+    const wrong = await app.post("/api/auth/login", { email: "alice@example.com", password: "wrong horse 42" });
+    const unknown = await app.post("/api/auth/login", { email: "bob@example.com", password: "wrong horse 42" });
+    assert.deepEqual([wrong.status, wrong.body], [unknown.status, unknown.body]);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,46 @@
+// evania-backend/test/achievements.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestApp } from "./helpers.js";
+
+const t = useTestApp({ now: "2026-03-02T09:00:00+05:30" });
+
+const run = async () => (await t.post("/api/runs", { questId: "q1" })).body;
+const achievement = async (id) => (await t.get("/api/achievements")).body.achievements.find((a) => a.id === id);
+
+test("a 3-day streak unlocks its achievement once", async () => {
+  await run();
+  t.clock.advance({ days: 1 });
+  assert.ok(!(await run()).achievements.some((a) => a.id === "streak-3"));
+  t.clock.advance({ days: 1 });
+  const third = await run();
+  assert.ok(third.achievements.some((a) => a.id === "streak-3"));
+  t.clock.advance({ days: 1 });
+  assert.ok(!(await run()).achievements.some((a) => a.id === "streak-3"));
+
+  const streak3 = await achievement("streak-3");
+  assert.equal(streak3.unlocked, true);
+  assert.equal(streak3.unlockedAt, "2026-03-04T03:30:00.000Z");
+});
+
+test("locked achievements report their progress", async () => {
+  await run();
+  await run();
+  const quests10 = await achievement("quests-10");
+  assert.equal(quests10.unlocked, false);
+  assert.deepEqual(quests10.progress, { current: 2, goal: 10 });
+});
+
+test("the admin backfill credits history logged before the rules existed", async () => {
+  await t.seedUser("admin", { role: "admin" });
+  for (let i = 0; i < 3; i++) {
+    await run();
+    t.clock.advance({ days: 1 });
+  }
+  t.db.prepare("DELETE FROM user_achievements").run();
+
+  const res = await t.post("/api/admin/achievements/backfill", {}, "admin");
+  assert.equal(res.status, 200);
+  assert.ok(res.body.unlocked >= 1);
+  assert.equal((await achievement("streak-3")).unlockedAt, "2026-03-05T03:30:00.000Z");
+});
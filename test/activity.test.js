@@ -0,0 +1,71 @@
+// evania-backend/test/activity.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestApp } from "./helpers.js";
+
+const t = useTestApp();
+
+// Monday: q1, q3 and a "Read" log; Tuesday: q4
+async function seedActivity() {
+  const routine = (await t.post("/api/routines", { title: "Read" })).body.routine;
+  for (const questId of ["q1", "q3"]) {
+    await t.post("/api/runs", { questId });
+    t.clock.advance({ minutes: 10 });
+  }
+  await t.post(`/api/routines/${routine.id}/log`);
+  t.clock.advance({ days: 1 });
+  await t.post("/api/runs", { questId: "q4" });
+  return routine;
+}
+
+const titles = (res) => res.body.items.map((i) => i.title);
+
+test("quest runs and routine logs come back as one feed, newest first", async () => {
+  const routine = await seedActivity();
+  const { status, body } = await t.get("/api/activity");
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.items.map((i) => [i.type, i.title, i.category, i.localDate]),
+    [
+      ["quest", "Journal 3 lines", "reflection", "2026-03-03"],
+      ["routine", "Read", null, "2026-03-02"],
+      ["quest", "10 Push-ups", "fitness", "2026-03-02"],
+      ["quest", "2-min Breathing", "mindfulness", "2026-03-02"],
+    ]
+  );
+  assert.equal(body.items[1].routineId, routine.id);
+  assert.ok(body.items.every((i) => i.gainedXP > 0));
+  assert.deepEqual([body.hasMore, body.nextCursor], [false, null]);
+});
+
+test("the cursor walks the feed page by page", async () => {
+  await seedActivity();
+  const first = await t.get("/api/activity?limit=3");
+  assert.equal(first.body.hasMore, true);
+  const second = await t.get(`/api/activity?limit=3&cursor=${first.body.nextCursor}`);
+  assert.deepEqual([...titles(first), ...titles(second)], titles(await t.get("/api/activity")));
+  assert.deepEqual([second.body.hasMore, second.body.nextCursor], [false, null]);
+
+  const bad = await t.get("/api/activity?cursor=nope");
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.fields[0].path, "cursor");
+});
+
+test("the feed filters by date, type, category and id", async () => {
+  const routine = await seedActivity();
+  assert.deepEqual(titles(await t.get("/api/activity?from=2026-03-03")), ["Journal 3 lines"]);
+  assert.deepEqual(titles(await t.get("/api/activity?to=2026-03-02&type=quest")), ["10 Push-ups", "2-min Breathing"]);
+  assert.deepEqual(titles(await t.get("/api/activity?type=routine")), ["Read"]);
+  assert.deepEqual(titles(await t.get("/api/activity?category=fitness")), ["10 Push-ups"]);
+  assert.deepEqual(titles(await t.get("/api/activity?questId=q1")), ["2-min Breathing"]);
+  assert.deepEqual(titles(await t.get(`/api/activity?routineId=${routine.id}`)), ["Read"]);
+
+  assert.equal((await t.get("/api/activity?from=2026-03-03&to=2026-03-02")).status, 400);
+  assert.equal((await t.get(`/api/activity?questId=q1&routineId=${routine.id}`)).status, 400);
+  assert.equal((await t.get("/api/activity?questId=q1&type=routine")).status, 400);
+});
+
+test("other users' activity never shows up", async () => {
+  await seedActivity();
+  assert.deepEqual((await t.get("/api/activity", "someone-else")).body.items, []);
+});
@@ -0,0 +1,46 @@
+// evania-backend/test/admin.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestApp } from "./helpers.js";
+
+const t = useTestApp({}, (t) => t.seedUser("admin", { role: "admin" }));
+
+const createQuest = (fields) =>
+  t.post("/api/admin/quests", { id: "plank", title: "Plank", basePoints: 15, ...fields }, "admin");
+
+test("admin routes are for admins only", async () => {
+  const res = await t.get("/api/admin/quests");
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, "forbidden");
+  assert.equal((await t.post("/api/admin/categories", { id: "core", name: "Core" })).status, 403);
+});
+
+test("a retired quest leaves the catalog but keeps its history", async () => {
+  assert.equal((await createQuest()).status, 201);
+  assert.equal((await createQuest()).status, 409);
+  assert.ok((await t.get("/api/quests")).body.quests.some((q) => q.id === "plank"));
+  assert.equal((await t.post("/api/runs", { questId: "plank" })).status, 200);
+
+  assert.equal((await t.del("/api/admin/quests/plank", "admin")).body.quest.active, 0);
+  assert.ok(!(await t.get("/api/quests")).body.quests.some((q) => q.id === "plank"));
+  assert.equal((await t.post("/api/runs", { questId: "plank" })).body.code, "invalid_quest");
+
+  const { history } = (await t.get("/api/admin/quests/plank/history", "admin")).body;
+  assert.deepEqual(history.map((c) => [c.action, c.changedBy]).sort(), [
+    ["create", "admin"],
+    ["retire", "admin"],
+  ]);
+  assert.equal((await t.post("/api/admin/quests/plank/restore", {}, "admin")).body.quest.active, 1);
+});
+
+test("quests only go into active categories, and a category in use can't be retired", async () => {
+  const unknown = await createQuest({ category: "core" });
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.fields[0].path, "category");
+
+  assert.equal((await t.post("/api/admin/categories", { id: "core", name: "Core" }, "admin")).status, 201);
+  assert.equal((await createQuest({ category: "core" })).status, 201);
+  const retire = await t.patch("/api/admin/categories/core", { active: false }, "admin");
+  assert.equal(retire.status, 409);
+  assert.equal(retire.body.code, "category_in_use");
+});
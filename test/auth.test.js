@@ -0,0 +1,37 @@
+// evania-backend/test/auth.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestApp } from "./helpers.js";
+
+const t = useTestApp({ config: { loginLockoutThreshold: 2 } });
+
+const password = "correct horse battery";
+
+test("emails are stored trimmed and lowercased, and any spelling signs in", async () => {
+  const reg = await t.post("/api/auth/register", { email: "  Alice@Example.COM ", password });
+  assert.equal(reg.status, 200);
+  assert.deepEqual(t.db.prepare("SELECT email FROM users WHERE email IS NOT NULL").all(), [{ email: "alice@example.com" }]);
+
+  assert.equal((await t.post("/api/auth/register", { email: "alice@example.com", password })).status, 409);
+  assert.equal((await t.post("/api/auth/login", { email: "ALICE@example.com ", password })).status, 200);
+});
+
+test("a lockout covers every spelling of the address", async () => {
+  await t.post("/api/auth/register", { email: "alice@example.com", password });
+  for (const email of ["Alice@example.com", " alice@EXAMPLE.com"]) {
+    assert.equal((await t.post("/api/auth/login", { email, password: "wrong password!" })).status, 401);
+  }
+  const res = await t.post("/api/auth/login", { email: "alice@example.com", password });
+  assert.equal(res.status, 429);
+  assert.equal(res.body.code, "account_locked");
+});
+
+test("sessions are stamped by the app clock, not SQLite's", async () => {
+  const { refreshToken } = (await t.post("/api/auth/register", { email: "alice@example.com", password })).body;
+  t.clock.advance({ hours: 1 });
+  assert.equal((await t.post("/api/auth/refresh", { refreshToken })).status, 200);
+  assert.deepEqual(t.db.prepare("SELECT created_at, last_used_at FROM sessions").get(), {
+    created_at: "2026-03-02 03:30:00",
+    last_used_at: "2026-03-02 04:30:00",
+  });
+});
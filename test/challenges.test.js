@@ -0,0 +1,108 @@
+// evania-backend/test/challenges.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestApp } from "./helpers.js";
+
+const t = useTestApp({}, (t) => t.seedUser("admin", { role: "admin" }));
+
+const create = (fields, as = "admin") =>
+  t.post("/api/challenges", { title: "Move", target: 1, bonusXP: 100, days: 7, ...fields }, as);
+
+// bonus events paid to `userId` for challenge `id`
+const bonuses = (userId, id) =>
+  t.db
+    .prepare("SELECT COUNT(*) AS n FROM xp_events WHERE user_id = ? AND kind = 'bonus' AND note = ?")
+    .get(userId, `challenge:${id}`).n;
+
+test("only admins can put bonus XP on a challenge", async () => {
+  const res = await create({}, "alice");
+  assert.equal(res.status, 400);
+  assert.equal(res.body.fields[0].path, "bonusXP");
+  assert.equal((await create({ bonusXP: 0 }, "alice")).status, 201);
+  assert.equal((await create({})).status, 201);
+});
+
+test("leaving and rejoining never pays the bonus twice", async () => {
+  const { id } = (await create({})).body.challenge;
+  await t.post(`/api/challenges/${id}/join`, {}, "alice");
+  t.clock.advance({ minutes: 1 });
+  const run = await t.post("/api/runs", { questId: "q1" }, "alice");
+  assert.deepEqual(run.body.challenges, [{ id, title: "Move", bonusXP: 100 }]);
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await t.post(`/api/challenges/${id}/leave`, {}, "alice")).status, 200);
+    assert.equal((await t.post(`/api/challenges/${id}/join`, {}, "alice")).status, 200);
+    t.clock.advance({ minutes: 1 });
+    assert.deepEqual((await t.post("/api/runs", { questId: "q1" }, "alice")).body.challenges, []);
+  }
+  assert.equal(bonuses("alice", id), 1);
+  assert.equal((await t.get(`/api/challenges/${id}`, "alice")).body.challenge.progress.completed, true);
+});
+
+test("joining a team challenge that already reached its target pays nothing", async () => {
+  const { id } = (await create({ mode: "team" })).body.challenge;
+  t.clock.advance({ minutes: 1 });
+  await t.post("/api/runs", { questId: "q1" }, "admin");
+  assert.equal(bonuses("admin", id), 1);
+
+  t.clock.advance({ minutes: 1 });
+  assert.equal((await t.post(`/api/challenges/${id}/join`, {}, "bob")).status, 200);
+  await t.get(`/api/challenges/${id}`, "bob");
+  await t.get(`/api/challenges/${id}/standings`, "bob");
+  assert.equal(bonuses("bob", id), 0);
+});
+
+test("activity from before joining does not count", async () => {
+  const { id } = (await create({ target: 2 })).body.challenge;
+  await t.post("/api/runs", { questId: "q1" }, "alice");
+  t.clock.advance({ minutes: 1 });
+  await t.post(`/api/challenges/${id}/join`, {}, "alice");
+
+  const { body } = await t.get(`/api/challenges/${id}`, "alice");
+  assert.equal(body.challenge.progress.mine, 0);
+});
+
+test("participants show display data only, and standings are for members", async () => {
+  const { id } = (await create({})).body.challenge;
+  const privacy = JSON.stringify({ level: false, email: true });
+  await t.seedUser("alice", { email: "alice@example.com", privacy_json: privacy });
+  await t.post(`/api/challenges/${id}/join`, {}, "alice");
+
+  const { participants } = (await t.get(`/api/challenges/${id}/participants`, "bob")).body;
+  const alice = participants.find((p) => p.userId === "alice");
+  assert.equal(alice.email, undefined);
+  assert.equal(alice.level, undefined);
+  assert.equal(alice.streak, 0);
+
+  const outsider = await t.get(`/api/challenges/${id}/standings`, "bob");
+  assert.equal(outsider.status, 403);
+  assert.equal(outsider.body.code, "not_a_member");
+
+  const { standings } = (await t.get(`/api/challenges/${id}/standings`, "admin")).body;
+  assert.deepEqual(
+    standings.map((s) => [s.userId, s.email]),
+    [
+      ["admin", null],
+      ["alice", undefined],
+    ]
+  );
+});
+
+test("progress counts matching runs inside the window and ranks the members", async () => {
+  const { id } = (await create({ category: "fitness", target: 2, days: 2, bonusXP: 0 })).body.challenge;
+  for (const user of ["alice", "bob"]) await t.post(`/api/challenges/${id}/join`, {}, user);
+  t.clock.advance({ minutes: 1 });
+  for (const [user, questId] of [["alice", "q3"], ["alice", "q1"], ["bob", "q3"], ["alice", "q3"]]) {
+    await t.post("/api/runs", { questId }, user);
+  }
+  t.clock.advance({ days: 3 });
+  await t.post("/api/runs", { questId: "q3" }, "bob");
+
+  const { body } = await t.get(`/api/challenges/${id}/standings`, "alice");
+  assert.equal(body.final, true);
+  assert.deepEqual(
+    body.standings.map((s) => [s.userId, s.progress, s.rank, !!s.completedAt]),
+    [["alice", 2, 1, true], ["bob", 1, 2, false], ["admin", 0, 3, false]]
+  );
+  assert.equal((await t.get(`/api/challenges/${id}`, "bob")).body.challenge.status, "ended");
+});
@@ -0,0 +1,48 @@
+// evania-backend/test/checkins.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestApp } from "./helpers.js";
+
+const t = useTestApp({ now: "2026-03-02T09:00:00+05:30" });
+
+const checkin = (fields) => t.post("/api/checkins", { moodScore: 3, ...fields });
+
+test("one check-in per day, none for days that haven't happened yet", async () => {
+  const res = await checkin({ tags: ["Calm", "calm", "Work"], journal: "Slept well" });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.checkin.date, "2026-03-02");
+  assert.deepEqual(res.body.checkin.tags, ["calm", "work"]);
+
+  assert.equal((await checkin()).body.code, "checkin_exists");
+  assert.equal((await checkin({ date: "2026-03-03" })).status, 400);
+  assert.equal((await checkin({ date: "2026-02-27" })).status, 201);
+  assert.equal((await checkin({ moodScore: 6, date: "2026-02-26" })).status, 400);
+
+  const { checkins } = (await t.get("/api/checkins?from=2026-02-20")).body;
+  assert.deepEqual(
+    checkins.map((c) => c.date).sort(),
+    ["2026-02-27", "2026-03-02"]
+  );
+});
+
+test("a check-in can be edited and its journal cleared", async () => {
+  await checkin({ journal: "Long day" });
+  const res = await t.patch("/api/checkins/2026-03-02", { moodScore: 5, journal: "" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.checkin.moodScore, 5);
+  assert.equal(res.body.checkin.journal, null);
+  assert.equal((await t.patch("/api/checkins/2026-03-01", { moodScore: 2 })).status, 404);
+});
+
+test("moods show up in the weekly insights with their trend", async () => {
+  for (const [date, moodScore] of [
+    ["2026-02-24", 2],
+    ["2026-02-25", 2],
+    ["2026-03-01", 4],
+    ["2026-03-02", 4],
+  ]) {
+    assert.equal((await checkin({ date, moodScore })).status, 201);
+  }
+  const { mood } = (await t.get("/api/insights/weekly")).body;
+  assert.deepEqual(mood, { average: 3, trend: "up", checkins: 4, baseline: "neutral" });
+});
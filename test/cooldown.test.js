@@ -0,0 +1,43 @@
+// evania-backend/test/cooldown.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestApp } from "./helpers.js";
+
+// seeded by migration 003: q2 "Drink Water" has a one-hour cooldown, q1 none
+const t = useTestApp();
+
+test("a second run inside the cooldown is a 429 with Retry-After", async () => {
+  assert.equal((await t.post("/api/runs", { questId: "q2" })).status, 200);
+  t.clock.advance({ minutes: 10 });
+
+  const res = await t.post("/api/runs", { questId: "q2" });
+  assert.equal(res.status, 429);
+  assert.equal(res.body.code, "cooldown_active");
+  assert.equal(res.body.details.retryAfterSec, 50 * 60);
+  assert.equal(res.headers.get("retry-after"), String(50 * 60));
+});
+
+test("the rejected run awards nothing", async () => {
+  const first = await t.post("/api/runs", { questId: "q2" });
+  await t.post("/api/runs", { questId: "q2" });
+  const { body } = await t.get("/api/progress");
+  assert.equal(body.totalXP, first.body.progress.totalXP);
+});
+
+test("the quest can be run again once the cooldown is over", async () => {
+  await t.post("/api/runs", { questId: "q2" });
+  t.clock.advance({ minutes: 59, seconds: 59 });
+  assert.equal((await t.post("/api/runs", { questId: "q2" })).status, 429);
+  t.clock.advance({ seconds: 1 });
+  assert.equal((await t.post("/api/runs", { questId: "q2" })).status, 200);
+});
+
+test("quests without a cooldown can be repeated right away", async () => {
+  assert.equal((await t.post("/api/runs", { questId: "q1" })).status, 200);
+  assert.equal((await t.post("/api/runs", { questId: "q1" })).status, 200);
+});
+
+test("cooldowns are per user", async () => {
+  await t.post("/api/runs", { questId: "q2" }, "alice");
+  assert.equal((await t.post("/api/runs", { questId: "q2" }, "bob")).status, 200);
+});
@@ -0,0 +1,41 @@
+// evania-backend/test/deletion.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestApp } from "./helpers.js";
+
+const t = useTestApp();
+
+const rows = (table) => t.db.prepare(`SELECT COUNT(*) AS n FROM ${table} WHERE user_id = 'tester'`).get().n;
+
+test("a deleted account is purged once the grace period is over", async () => {
+  await t.post("/api/runs", { questId: "q1" });
+  const res = await t.del("/api/me");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.deletionScheduledFor, "2026-03-09T03:30:00.000Z");
+
+  const log = console.log;
+  console.log = () => {};
+  try {
+    t.clock.advance({ days: 6 });
+    t.jobs.purgeDeletedAccounts();
+    assert.equal(rows("runs"), 1);
+
+    t.clock.advance({ days: 1 });
+    t.jobs.purgeDeletedAccounts();
+  } finally {
+    console.log = log;
+  }
+  assert.equal(t.db.prepare("SELECT COUNT(*) AS n FROM users WHERE id = 'tester'").get().n, 0);
+  for (const table of ["runs", "xp_events"]) assert.equal(rows(table), 0, table);
+});
+
+test("a deletion can be called off during the grace period", async () => {
+  assert.equal((await t.del("/api/me/deletion")).body.code, "no_deletion_scheduled");
+  await t.del("/api/me");
+  assert.equal((await t.get("/api/me")).body.deletionScheduledFor, "2026-03-09T03:30:00.000Z");
+  assert.equal((await t.del("/api/me/deletion")).status, 200);
+
+  t.clock.advance({ days: 8 });
+  t.jobs.purgeDeletedAccounts();
+  assert.equal((await t.get("/api/me")).body.deletionScheduledFor, null);
+});
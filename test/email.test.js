@@ -0,0 +1,65 @@
+// evania-backend/test/email.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestApp } from "./helpers.js";
+
+// every mail the app sends, newest last; emptied before each test
+const outbox = [];
+const mailTransport = { send: async (mail) => outbox.push(mail) };
+
+const t = useTestApp({ config: { mailTransport } }, () => {
+  outbox.length = 0;
+});
+
+const credentials = { email: "ada@example.com", password: "Lovelace-1815" };
+const bearer = (token) => ({ authorization: `Bearer ${token}` });
+const tokenFrom = (mail) => mail.text.match(/token=([\w-]+)/)[1];
+const lastMailTo = (to) => outbox.filter((m) => m.to === to).at(-1);
+
+test("a reset link sets a new password once and signs every device out", async () => {
+  const session = (await t.post("/api/auth/register", credentials)).body;
+  assert.deepEqual((await t.post("/api/auth/password/forgot", { email: "nobody@example.com" })).body, { ok: true });
+  assert.deepEqual((await t.post("/api/auth/password/forgot", { email: "ADA@example.com" })).body, { ok: true });
+  const token = tokenFrom(lastMailTo("ada@example.com"));
+
+  const weak = await t.post("/api/auth/password/reset", { token, password: "password123" });
+  assert.equal(weak.body.fields[0].code, "weak_password");
+  assert.equal((await t.post("/api/auth/password/reset", { token, password: "Babbage-1834" })).status, 200);
+  assert.equal((await t.post("/api/auth/password/reset", { token, password: "Babbage-1835" })).body.code, "invalid_token");
+
+  assert.equal((await t.post("/api/auth/refresh", { refreshToken: session.refreshToken })).status, 401);
+  assert.equal((await t.post("/api/auth/login", credentials)).status, 401);
+  assert.equal((await t.post("/api/auth/login", { ...credentials, password: "Babbage-1834" })).status, 200);
+});
+
+test("reset links expire after an hour", async () => {
+  await t.post("/api/auth/register", credentials);
+  await t.post("/api/auth/password/forgot", { email: credentials.email });
+  const token = tokenFrom(lastMailTo(credentials.email));
+  t.clock.advance({ minutes: 61 });
+  const res = await t.post("/api/auth/password/reset", { token, password: "Babbage-1834" });
+  assert.equal(res.body.code, "invalid_token");
+});
+
+test("the address is verified through the link sent on registration", async () => {
+  const { token } = (await t.post("/api/auth/register", credentials)).body;
+  const verify = tokenFrom(lastMailTo(credentials.email));
+  assert.equal((await t.get("/api/me", undefined, bearer(token))).body.emailVerified, false);
+
+  assert.equal((await t.post("/api/auth/email/verify", { token: verify })).status, 200);
+  assert.equal((await t.get("/api/me", undefined, bearer(token))).body.emailVerified, true);
+});
+
+test("an email change takes the password and a link sent to the new address", async () => {
+  const { token } = (await t.post("/api/auth/register", credentials)).body;
+  const change = (password) =>
+    t.post("/api/me/email", { newEmail: "Ada@Lovelace.example", password }, undefined, bearer(token));
+  assert.equal((await change("wrong password")).status, 401);
+  assert.equal((await change(credentials.password)).status, 200);
+  assert.match(lastMailTo(credentials.email).text, /ada@lovelace\.example/);
+
+  const link = tokenFrom(lastMailTo("ada@lovelace.example"));
+  const confirm = await t.post("/api/auth/email/change/confirm", { token: link });
+  assert.deepEqual(confirm.body, { ok: true, email: "ada@lovelace.example" });
+  assert.equal((await t.post("/api/auth/login", { ...credentials, email: "ada@lovelace.example" })).status, 200);
+});
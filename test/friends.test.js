@@ -0,0 +1,79 @@
+// evania-backend/test/friends.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestApp } from "./helpers.js";
+
+const t = useTestApp({}, async (t) => {
+  for (const id of ["alice", "bob"]) await t.seedUser(id, { email: `${id}@example.com` });
+});
+
+const requestByEmail = (email, as = "alice") => t.post("/api/friends/requests", { email }, as);
+
+test("a request by email answers the same whether or not the address exists", async () => {
+  const known = await requestByEmail("Bob@example.com");
+  const unknown = await requestByEmail("nobody@example.com");
+  const repeated = await requestByEmail("bob@example.com");
+  for (const res of [known, unknown, repeated]) {
+    assert.equal(res.status, 202);
+    assert.deepEqual(res.body, { ok: true });
+  }
+  assert.deepEqual((await t.get("/api/friends", "alice")).body.outgoing, []);
+
+  const { incoming } = (await t.get("/api/friends", "bob")).body;
+  assert.deepEqual(Object.keys(incoming[0]).sort(), ["createdAt", "requestId", "userId"]);
+});
+
+test("emails are shown only to accepted friends who were allowed to see them", async () => {
+  await requestByEmail("bob@example.com");
+  const { incoming } = (await t.get("/api/friends", "bob")).body;
+  assert.equal((await t.post(`/api/friends/requests/${incoming[0].requestId}/accept`, {}, "bob")).status, 200);
+
+  const [friend] = (await t.get("/api/friends", "alice")).body.friends;
+  assert.equal(friend.userId, "bob");
+  assert.equal(friend.email, undefined);
+
+  await t.post("/api/me/privacy", { email: true }, "bob");
+  assert.equal((await t.get("/api/friends", "alice")).body.friends[0].email, "bob@example.com");
+  const { entries } = (await t.get("/api/friends/leaderboard", "alice")).body;
+  assert.deepEqual(
+    entries.map((e) => e.email),
+    ["alice@example.com", "bob@example.com"]
+  );
+});
+
+test("an invite code connects two users and ranks them on the leaderboard", async () => {
+  const { code } = (await t.get("/api/friends/invite-code", "bob")).body;
+  assert.equal((await t.post("/api/friends/requests", { code }, "bob")).body.code, "cannot_befriend_self");
+  const sent = await t.post("/api/friends/requests", { code: code.toLowerCase() }, "alice");
+  assert.equal(sent.status, 201);
+  assert.equal((await t.post("/api/friends/requests", { code }, "alice")).body.code, "request_already_sent");
+  assert.equal((await t.post(`/api/friends/requests/${sent.body.request.id}/accept`, {}, "bob")).status, 200);
+
+  await t.post("/api/runs", { questId: "q1" }, "bob");
+  const { entries } = (await t.get("/api/friends/leaderboard", "alice")).body;
+  assert.deepEqual(
+    entries.map((e) => [e.rank, e.userId, e.isMe]),
+    [
+      [1, "bob", false],
+      [2, "alice", true],
+    ]
+  );
+});
+
+test("hidden stats leave a friend off that leaderboard, and unfriending ends it all", async () => {
+  const { code } = (await t.get("/api/friends/invite-code", "bob")).body;
+  const { request } = (await t.post("/api/friends/requests", { code }, "alice")).body;
+  await t.post(`/api/friends/requests/${request.id}/accept`, {}, "bob");
+
+  await t.post("/api/me/privacy", { weeklyXP: false }, "bob");
+  const weekly = (await t.get("/api/friends/leaderboard", "alice")).body.entries;
+  assert.deepEqual(
+    weekly.map((e) => e.userId),
+    ["alice"]
+  );
+  assert.equal((await t.get("/api/friends/leaderboard?metric=streak", "alice")).body.entries.length, 2);
+
+  assert.equal((await t.del("/api/friends/bob", "alice")).status, 200);
+  assert.deepEqual((await t.get("/api/friends", "bob")).body.friends, []);
+  assert.equal((await t.del("/api/friends/bob", "alice")).status, 404);
+});
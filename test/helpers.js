@@ -0,0 +1,85 @@
+// evania-backend/test/helpers.js
+import { beforeEach, afterEach } from "node:test";
+import Database from "better-sqlite3";
+import { migrate } from "../migrations/runner.js";
+import { createApp } from "../api.js";
+import { manualClock } from "../clock.js";
+
+/**
+ * A fresh app on an in-memory database and a manual clock, listening on a
+ * random port. Requests go through the development x-user-id identity, so
+ * every user id is an account of its own (timezone Asia/Kolkata).
+ *
+ *   const t = await startTestApp({ now: "2026-03-02T09:00:00+05:30" });
+ *   const { status, body } = await t.post("/api/runs", { questId: "q1" });
+ *   t.clock.advance({ days: 1 });
+ *   await t.close();
+ *
+ * Run the suite with `npm test`.
+ */
+export async function startTestApp({ now = "2026-03-02T09:00:00+05:30", user = "tester", config = {} } = {}) {
+  const db = new Database(":memory:");
+  migrate(db, { log: () => {} });
+  const clock = manualClock(now);
+  const app = createApp({ db, clock, config: { devMode: true, rateLimitStore: "memory", ...config } });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, body, as = user, headers = {}) {
+    const res = await fetch(base + path, {
+      method,
+      headers: { "content-type": "application/json", "x-user-id": as, ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  }
+
+  return {
+    db,
+    clock,
+    jobs: app.locals.jobs,
+    get: (path, as, headers) => request("GET", path, undefined, as, headers),
+    post: (path, body = {}, as, headers) => request("POST", path, body, as, headers),
+    put: (path, body = {}, as) => request("PUT", path, body, as),
+    patch: (path, body = {}, as) => request("PATCH", path, body, as),
+    del: (path, as) => request("DELETE", path, undefined, as),
+    // Make sure account `id` exists, then set `columns` on its users row
+    async seedUser(id, columns = {}) {
+      await request("GET", "/api/progress", undefined, id);
+      const set = Object.keys(columns).map((name) => `${name} = @${name}`);
+      if (set.length) db.prepare(`UPDATE users SET ${set.join(", ")} WHERE id = @id`).run({ ...columns, id });
+    },
+    async close() {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      db.close();
+    },
+  };
+}
+
+/**
+ * A fresh startTestApp(`options`) for every test in the calling file, closed
+ * after it; `setup(t)` runs once the app is up (seed users, routines...). The
+ * returned object forwards to the current test's app:
+ *
+ *   const t = useTestApp({ now: "2026-03-02T20:00:00+05:30" }, (t) => t.seedUser("bob"));
+ *   test("...", async () => assert.equal((await t.get("/api/progress")).status, 200));
+ */
+export function useTestApp(options, setup) {
+  let current;
+  beforeEach(async () => {
+    current = await startTestApp(options);
+    await setup?.(current);
+  });
+  afterEach(() => current.close());
+  return new Proxy({}, { get: (_target, key) => current[key] });
+}
+
+// YYYY-MM-DD `days` after `date`
+export function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
@@ -0,0 +1,82 @@
+// evania-backend/test/history.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestApp } from "./helpers.js";
+
+// Monday 2026-03-02 to Friday 2026-03-06
+const t = useTestApp();
+
+// Logs `routineId` `counts[i]` times on day i, starting today, then moves to the day after
+async function logDays(routineId, counts) {
+  for (const n of counts) {
+    for (let i = 0; i < n; i++) {
+      await t.post(`/api/routines/${routineId}/log`);
+      t.clock.advance({ minutes: 30 });
+    }
+    t.clock.advance({ days: 1 });
+  }
+}
+
+test("routine history: streaks, hit rate against the daily target and the busiest weekday", async () => {
+  const routine = (await t.post("/api/routines", { title: "Water", dailyTarget: 2 })).body.routine;
+  await logDays(routine.id, [2, 1, 2, 3]); // the third on Thursday is over the target; Friday: nothing yet
+
+  const { status, body } = await t.get(`/api/routines/${routine.id}/history?from=2026-03-02`);
+  assert.equal(status, 200);
+  assert.deepEqual(body.window, { start: "2026-03-02", end: "2026-03-06" });
+  assert.deepEqual(body.streak, { current: 2, best: 2 });
+  assert.deepEqual(body.hitRate, { daysDue: 4, daysMet: 3, percent: 75 });
+  assert.deepEqual(
+    body.days.map((d) => [d.count, d.met]),
+    [[2, true], [1, false], [2, true], [2, true], [0, false]]
+  );
+  assert.equal(body.totals.completions, 7);
+  assert.deepEqual(body.mostActiveWeekday, { isoWeekday: 1, name: "Monday", completions: 2 });
+});
+
+test("quest history: a day without a run breaks the streak, today excepted", async () => {
+  for (const ran of [true, true, false, true]) {
+    if (ran) await t.post("/api/runs", { questId: "q1" });
+    t.clock.advance({ days: 1 });
+  }
+  const { body } = await t.get("/api/quests/q1/history?from=2026-03-02");
+  assert.equal(body.quest.title, "2-min Breathing");
+  assert.equal(body.firstRunDate, "2026-03-02");
+  assert.deepEqual(body.streak, { current: 1, best: 2 });
+  assert.equal(body.totals.activeDays, 3);
+});
+
+test("the heatmap covers a whole year with per-day intensity", async () => {
+  const routine = (await t.post("/api/routines", { title: "Water", dailyTarget: 2 })).body.routine;
+  await t.post("/api/runs", { questId: "q4" });
+  await logDays(routine.id, [2, 1]);
+
+  const { status, body } = await t.get("/api/activity/heatmap?year=2026");
+  assert.equal(status, 200);
+  assert.deepEqual(body.window, { start: "2026-01-01", end: "2026-12-31" });
+  assert.equal(body.days.length, 365);
+
+  const byDate = new Map(body.days.map((d) => [d.date, d]));
+  const monday = byDate.get("2026-03-02");
+  assert.deepEqual([monday.quests, monday.routineLogs, monday.targetMet, monday.level], [1, 2, true, 4]);
+  assert.equal(monday.xp, body.maxXP);
+  const tuesday = byDate.get("2026-03-03");
+  assert.equal(tuesday.targetMet, false);
+  assert.ok(tuesday.level >= 1 && tuesday.level < 4);
+  assert.deepEqual([byDate.get("2026-02-01").level, byDate.get("2026-02-01").targetMet], [0, null]);
+  assert.equal(byDate.get("2026-12-01").targetMet, null);
+  assert.deepEqual(
+    [body.totals.completions, body.totals.activeDays, body.totals.daysTargetMet],
+    [4, 2, 1]
+  );
+});
+
+test("history is private and ranges are bounded", async () => {
+  const routine = (await t.post("/api/routines", { title: "Water" })).body.routine;
+  assert.equal((await t.get(`/api/routines/${routine.id}/history`, "someone-else")).status, 404);
+  assert.equal((await t.get("/api/quests/nope/history")).status, 404);
+
+  const reversed = await t.get(`/api/routines/${routine.id}/history?from=2026-03-05&to=2026-03-01`);
+  assert.deepEqual([reversed.status, reversed.body.code], [400, "invalid_range"]);
+  assert.equal((await t.get("/api/quests/q1/history?from=2024-01-01&to=2026-03-01")).status, 400);
+});
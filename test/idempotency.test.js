@@ -0,0 +1,65 @@
+// evania-backend/test/idempotency.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, useTestApp } from "./helpers.js";
+
+// real auth (no x-user-id fallback); the client IP comes from X-Forwarded-For
+const t = useTestApp({ config: { devMode: false, jwtSecret: "test-secret", trustProxy: true } });
+
+const credentials = { email: "ada@example.com", password: "Lovelace-1815" };
+const storedKeys = () => t.db.prepare("SELECT COUNT(*) AS n FROM idempotency_keys").get().n;
+
+test("token responses are never stored for replay", async () => {
+  const headers = { "idempotency-key": "login-1" };
+  assert.equal((await t.post("/api/auth/register", credentials, undefined, headers)).status, 200);
+  const first = await t.post("/api/auth/login", credentials, undefined, headers);
+  const again = await t.post("/api/auth/login", credentials, undefined, headers);
+
+  assert.equal(first.status, 200);
+  assert.equal(again.status, 200);
+  assert.equal(again.headers.get("idempotent-replayed"), null);
+  assert.notEqual(again.body.sessionId, first.body.sessionId);
+  assert.equal(storedKeys(), 0);
+});
+
+test("anonymous keys are scoped per client IP", async () => {
+  const forgot = (email, ip) =>
+    t.post("/api/auth/password/forgot", { email }, undefined, { "idempotency-key": "k1", "x-forwarded-for": ip });
+
+  assert.equal((await forgot("a@example.com", "203.0.113.1")).status, 200);
+  assert.equal((await forgot("b@example.com", "203.0.113.2")).status, 200);
+  assert.equal((await forgot("c@example.com", "203.0.113.1")).status, 422);
+});
+
+test("error responses are not replayed, so a retry after a 429 gets through", async () => {
+  const strict = await startTestApp({
+    config: { devMode: false, jwtSecret: "test-secret", rateLimits: { passwordResetIp: { limit: 1, windowSec: 60 } } },
+  });
+  const forgot = (key) =>
+    strict.post("/api/auth/password/forgot", { email: "a@example.com" }, undefined, { "idempotency-key": key });
+
+  try {
+    assert.equal((await forgot("k1")).status, 200);
+    assert.equal((await forgot("k2")).status, 429);
+    strict.clock.advance({ seconds: 61 });
+    const retry = await forgot("k2");
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get("idempotent-replayed"), null);
+  } finally {
+    await strict.close();
+  }
+});
+
+test("a retried run is answered from the first response and awards XP once", async () => {
+  const headers = { authorization: `Bearer ${(await t.post("/api/auth/register", credentials)).body.token}` };
+  const run = (key, questId = "q1") => t.post("/api/runs", { questId }, undefined, { ...headers, "idempotency-key": key });
+
+  const first = await run("run-1");
+  const again = await run("run-1");
+  assert.equal(again.headers.get("idempotent-replayed"), "true");
+  assert.deepEqual(again.body, first.body);
+  assert.equal(t.db.prepare("SELECT COUNT(*) AS n FROM runs").get().n, 1);
+
+  const reused = await run("run-1", "q3");
+  assert.deepEqual([reused.status, reused.body.code], [422, "idempotency_key_reused"]);
+});
@@ -0,0 +1,53 @@
+// evania-backend/test/import.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestApp } from "./helpers.js";
+
+const t = useTestApp();
+
+async function exportAfterActivity() {
+  await t.post("/api/runs", { questId: "q1" }, "alice");
+  t.clock.advance({ days: 1 });
+  const routine = (await t.post("/api/routines", { title: "Stretch" }, "alice")).body.routine;
+  await t.post(`/api/routines/${routine.id}/log`, {}, "alice");
+  await t.post("/api/runs", { questId: "q1" }, "alice");
+  return (await t.get("/api/me/export", "alice")).body;
+}
+
+test("an honest archive restores the same XP", async () => {
+  const archive = await exportAfterActivity();
+  const res = await t.post("/api/me/import", archive, "bob");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.progress.totalXP, archive.progress.totalXP);
+  assert.equal(res.body.progress.currentStreak, 2);
+});
+
+test("edited or unsigned archives are rejected", async () => {
+  const archive = await exportAfterActivity();
+  const forged = structuredClone(archive);
+  forged.runs.forEach((r) => (r.gained_xp = 999999));
+  forged.xpEvents.push({ id: "forged", kind: "bonus", amount: 1000000, local_date: "2026-03-02", created_at: "2026-03-02T04:00:00.000Z" });
+  const { signature: _signature, ...unsigned } = archive;
+
+  for (const body of [forged, unsigned, { ...archive, signature: "00" }]) {
+    const res = await t.post("/api/me/import", body, "bob");
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "invalid_archive");
+  }
+  assert.equal((await t.get("/api/progress", "bob")).body.totalXP, 0);
+});
+
+test("bonus XP in a signed archive comes along", async () => {
+  await t.seedUser("admin", { role: "admin" });
+  await t.seedUser("alice");
+  assert.equal((await t.post("/api/admin/users/alice/xp/adjust", { amount: 50, kind: "bonus", note: "welcome" }, "admin")).status, 200);
+  const archive = await exportAfterActivity();
+  const res = await t.post("/api/me/import", archive, "bob");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.progress.totalXP, archive.progress.totalXP);
+});
+
+test("CSV export only serves its own tables", async () => {
+  assert.equal((await t.get("/api/me/export/constructor.csv")).status, 404);
+  assert.equal((await t.get("/api/me/export/toString.csv")).status, 404);
+});
@@ -0,0 +1,109 @@
+// evania-backend/test/insights.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestApp, addDays } from "./helpers.js";
+
+const START = "2026-03-02";
+
+const t = useTestApp({ now: `${START}T08:00:00+05:30` });
+
+// A daily routine, met on the first `metDays` of `days` days; the clock ends on the day after
+async function history(days, metDays) {
+  const { routine } = (await t.post("/api/routines", { title: "Read" })).body;
+  for (let i = 0; i < days; i++) {
+    if (i < metDays) assert.equal((await t.post(`/api/routines/${routine.id}/log`)).status, 200);
+    t.clock.advance({ days: 1 });
+  }
+  return routine;
+}
+
+const insightsFor = async (days) =>
+  (await t.get(`/api/insights?from=${START}&to=${addDays(START, days - 1)}`)).body;
+
+for (const [met, rate, band] of [
+  [10, 100, "Green"],
+  [7, 70, "Green"],
+  [6, 60, "Amber"],
+  [4, 40, "Amber"],
+  [3, 30, "Red"],
+  [0, 0, "Red"],
+]) {
+  test(`${met} of 10 due days met → ${rate}% → ${band}`, async () => {
+    await history(10, met);
+    const body = await insightsFor(10);
+    assert.deepEqual(body.completion, { daysDue: 10, daysMetTarget: met, completionRate: rate });
+    assert.equal(body.riskBand, band);
+  });
+}
+
+test("days a routine isn't scheduled on don't count against the rate", async () => {
+  // Mon/Wed/Fri only; the range is Mon 2 – Sun 8 March
+  const { routine } = (
+    await t.post("/api/routines", { title: "Gym", recurrence: { type: "weekdays", days: [1, 3, 5] } })
+  ).body;
+  for (let i = 0; i < 7; i++) {
+    if ([0, 2].includes(i)) await t.post(`/api/routines/${routine.id}/log`);
+    t.clock.advance({ days: 1 });
+  }
+  const body = await insightsFor(7);
+  assert.deepEqual(body.completion, { daysDue: 3, daysMetTarget: 2, completionRate: 67 });
+  assert.equal(body.riskBand, "Amber");
+});
+
+test("the weekly summary covers the last seven days including today", async () => {
+  await history(7, 5);
+  t.clock.advance({ days: -1 });
+  const { body } = await t.get("/api/insights/weekly");
+  assert.deepEqual(body.window, { start: START, end: addDays(START, 6) });
+  assert.equal(body.completion.daysMetTarget, 5);
+  assert.equal(body.completion.completionRate, 71);
+  assert.equal(body.riskBand, "Green");
+});
+
+for (const [action, retire] of [
+  ["archiving", (id) => t.post(`/api/routines/${id}/archive`)],
+  ["deleting", (id) => t.del(`/api/routines/${id}`)],
+]) {
+  test(`${action} a routine keeps it in the targets of the days it was live`, async () => {
+    const routine = await history(7, 7);
+    assert.equal((await retire(routine.id)).status, 200);
+    t.clock.advance({ days: 3 });
+
+    const body = await insightsFor(10);
+    assert.deepEqual(body.completion, { daysDue: 7, daysMetTarget: 7, completionRate: 100 });
+    assert.equal(body.riskBand, "Green");
+  });
+}
+
+test("a custom range is grouped by ISO week and compared with the span right before it", async () => {
+  await history(14, 7);
+  const first = (await t.get(`/api/insights?from=${START}&to=${addDays(START, 13)}&granularity=week`)).body;
+  assert.deepEqual(
+    first.series.map((s) => [s.key, s.routineLogs]),
+    [
+      [START, 7],
+      [addDays(START, 7), 0],
+    ]
+  );
+
+  const second = (await t.get(`/api/insights?from=${addDays(START, 7)}&to=${addDays(START, 13)}`)).body;
+  assert.deepEqual(second.previous.window, { start: START, end: addDays(START, 6) });
+  assert.equal(second.previous.totals.routineLogs, 7);
+  assert.equal(second.deltas.routineLogs, -7);
+  assert.equal(second.deltas.completionRate, -100);
+});
+
+test("?period=month runs from the 1st and compares with the same days a month back", async () => {
+  t.clock.set("2026-03-10T08:00:00+05:30");
+  const { window, previous } = (await t.get("/api/insights?period=month&granularity=month")).body;
+  assert.deepEqual(window, { start: "2026-03-01", end: "2026-03-10" });
+  assert.deepEqual(previous.window, { start: "2026-02-01", end: "2026-02-10" });
+});
+
+test("backwards or overlong ranges are rejected", async () => {
+  for (const query of [`from=${addDays(START, 1)}&to=${START}`, `from=2025-01-01&to=${START}`]) {
+    const res = await t.get(`/api/insights?${query}`);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "invalid_range");
+  }
+});
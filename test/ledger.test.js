@@ -0,0 +1,55 @@
+// evania-backend/test/ledger.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestApp } from "./helpers.js";
+import { checkUserXp } from "../ledger.js";
+
+const t = useTestApp({}, (t) => t.seedUser("admin", { role: "admin" }));
+
+const ledgerTotal = () =>
+  t.db.prepare("SELECT COALESCE(SUM(amount), 0) AS xp FROM xp_events WHERE user_id = 'tester'").get().xp;
+
+test("every XP change goes through the ledger", async () => {
+  const { run } = (await t.post("/api/runs", { questId: "q1" })).body;
+  await t.post("/api/runs", { questId: "q1" });
+  const routine = (await t.post("/api/routines", { title: "Stretch" })).body.routine;
+  await t.post(`/api/routines/${routine.id}/log`);
+  await t.del(`/api/runs/${run.id}`);
+  const adjust = await t.post("/api/admin/users/tester/xp/adjust", { amount: 25, kind: "bonus", note: "welcome" }, "admin");
+  assert.equal(adjust.status, 200);
+
+  const { totalXP } = (await t.get("/api/progress")).body;
+  assert.equal(totalXP, ledgerTotal());
+  assert.deepEqual(checkUserXp(t.db, "tester").drift, []);
+  const kinds = t.db.prepare("SELECT kind FROM xp_events WHERE user_id = 'tester' ORDER BY rowid").all();
+  assert.deepEqual(
+    kinds.map((e) => e.kind),
+    ["quest", "quest", "routine", "reversal", "bonus"]
+  );
+});
+
+test("a cache that drifted from the ledger is reported and rebuilt", async () => {
+  await t.post("/api/runs", { questId: "q1" });
+  t.db.prepare("UPDATE users SET total_xp = 9999, level = 30 WHERE id = 'tester'").run();
+
+  const { drifting } = (await t.get("/api/admin/xp/consistency", "admin")).body;
+  assert.deepEqual(
+    drifting.map((r) => [r.userId, r.drift]),
+    [["tester", ["total_xp", "level"]]]
+  );
+
+  const rebuilt = await t.post("/api/admin/users/tester/xp/rebuild", {}, "admin");
+  assert.deepEqual(rebuilt.body.fixed, ["total_xp", "level"]);
+  assert.equal((await t.get("/api/progress")).body.totalXP, ledgerTotal());
+  assert.deepEqual((await t.get("/api/admin/xp/consistency", "admin")).body.drifting, []);
+});
+
+test("an admin correction can take XP back, but not by nothing", async () => {
+  const before = (await t.post("/api/runs", { questId: "q1" })).body.progress.totalXP;
+  const adjust = (amount) => t.post("/api/admin/users/tester/xp/adjust", { amount, note: "duplicate run" }, "admin");
+
+  assert.equal((await adjust(0)).status, 400);
+  assert.equal((await adjust(-5)).body.progress.totalXP, before - 5);
+  const { kind, note } = t.db.prepare("SELECT kind, note FROM xp_events ORDER BY rowid DESC").get();
+  assert.deepEqual([kind, note], ["correction", "duplicate run (by admin)"]);
+});
@@ -0,0 +1,102 @@
+// evania-backend/test/migrations.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Database from "better-sqlite3";
+import * as h from "../migrations/helpers.js";
+import { migrate } from "../migrations/runner.js";
+import { migrations } from "../migrations/index.js";
+
+const schemaOf = (db, type) =>
+  db.prepare("SELECT name FROM sqlite_master WHERE type = ? AND sql IS NOT NULL ORDER BY name").all(type).map((r) => r.name);
+
+// Two throwaway migrations; the second fails unless `ok`
+const sample = (ok) => [
+  { version: 1, name: "notes", up: (db) => db.exec("CREATE TABLE notes (id TEXT PRIMARY KEY)") },
+  {
+    version: 2,
+    name: "note_titles",
+    up: (db) => {
+      db.exec("ALTER TABLE notes ADD COLUMN title TEXT");
+      if (!ok) throw new Error("boom");
+    },
+  },
+];
+const applied = (db) => db.prepare("SELECT version FROM schema_migrations ORDER BY version").all().map((r) => r.version);
+
+test("pending migrations are applied once, in order", () => {
+  const db = new Database(":memory:");
+  assert.deepEqual(migrate(db, { log: () => {}, list: sample(true) }).map((m) => m.version), [1, 2]);
+  assert.deepEqual(migrate(db, { log: () => {}, list: sample(true) }), []);
+  assert.deepEqual(applied(db), [1, 2]);
+  db.close();
+});
+
+test("a dry run writes nothing and a failed migration is rolled back", () => {
+  const db = new Database(":memory:");
+  assert.equal(migrate(db, { log: () => {}, list: sample(true), dryRun: true }).length, 2);
+  assert.deepEqual(applied(db), []);
+  assert.deepEqual(schemaOf(db, "table"), ["schema_migrations"]);
+
+  assert.throws(() => migrate(db, { log: () => {}, list: sample(false) }), /002_note_titles failed: boom/);
+  assert.deepEqual(applied(db), [1]);
+  const columns = db.prepare("PRAGMA table_info(notes)").all().map((c) => c.name);
+  assert.deepEqual(columns, ["id"]);
+  db.close();
+});
+
+test("rebuildTable keeps the old table's indexes and triggers", () => {
+  const db = new Database(":memory:");
+  db.exec(`
+    CREATE TABLE notes (id TEXT PRIMARY KEY, body TEXT, created_at TEXT);
+    CREATE TABLE note_log (id TEXT);
+    CREATE INDEX notes_created_idx ON notes(created_at);
+    CREATE TRIGGER notes_log AFTER INSERT ON notes BEGIN INSERT INTO note_log VALUES (NEW.id); END;
+    INSERT INTO notes VALUES ('n1', NULL, '2026-01-01');
+  `);
+
+  h.rebuildTable(
+    db,
+    "notes",
+    "CREATE TABLE notes (id TEXT PRIMARY KEY, body TEXT NOT NULL DEFAULT '', created_at TEXT)",
+    { select: { body: "COALESCE(body, '')" } }
+  );
+
+  assert.deepEqual(schemaOf(db, "index"), ["notes_created_idx"]);
+  assert.deepEqual(schemaOf(db, "trigger"), ["notes_log"]);
+  db.prepare("INSERT INTO notes (id, created_at) VALUES ('n2', '2026-01-02')").run();
+  assert.deepEqual(db.prepare("SELECT id FROM note_log").all(), [{ id: "n1" }, { id: "n2" }]);
+  assert.equal(db.prepare("SELECT body FROM notes WHERE id = 'n1'").get().body, "");
+  db.close();
+});
+
+test("rebuildTable fails instead of dropping an index that no longer fits", () => {
+  const db = new Database(":memory:");
+  db.exec("CREATE TABLE notes (id TEXT PRIMARY KEY, legacy TEXT); CREATE INDEX notes_legacy_idx ON notes(legacy);");
+  assert.throws(() => h.rebuildTable(db, "notes", "CREATE TABLE notes (id TEXT PRIMARY KEY)"), /legacy/);
+
+  db.exec("DROP TABLE IF EXISTS notes__new;");
+  h.rebuildTable(db, "notes", "CREATE TABLE notes (id TEXT PRIMARY KEY)", { indexes: [] });
+  assert.deepEqual(schemaOf(db, "index"), []);
+  db.close();
+});
+
+test("025 lowercases stored emails unless that would collide", () => {
+  const db = new Database(":memory:");
+  const upTo = (version) => migrate(db, { log: () => {}, list: migrations.filter((m) => m.version <= version) });
+  upTo(24);
+  const addUser = db.prepare("INSERT INTO users (id, email) VALUES (?, ?)");
+  addUser.run("a", " Alice@Example.com");
+  addUser.run("b", "bob@example.com");
+  addUser.run("c", "BOB@example.com");
+
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    upTo(25);
+  } finally {
+    console.warn = warn;
+  }
+  const emails = Object.fromEntries(db.prepare("SELECT id, email FROM users").all().map((r) => [r.id, r.email]));
+  assert.deepEqual(emails, { a: "alice@example.com", b: "bob@example.com", c: "BOB@example.com" });
+  db.close();
+});
@@ -0,0 +1,45 @@
+// evania-backend/test/recurrence.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DAILY, normalizeRecurrence, parseRecurrence, isDueOn, weekCompletions } from "../recurrence.js";
+
+// 2026-03-02 is a Monday
+test("rules are validated and normalized", () => {
+  assert.deepEqual(normalizeRecurrence(undefined), { rule: DAILY });
+  assert.deepEqual(normalizeRecurrence({ type: "weekdays", days: [5, 1, 5] }), {
+    rule: { type: "weekdays", days: [1, 5] },
+  });
+  assert.deepEqual(normalizeRecurrence({ type: "interval", every: 3 }, "2026-03-02"), {
+    rule: { type: "interval", every: 3, anchor: "2026-03-02" },
+  });
+  const invalid = [{ type: "weekdays", days: [0] }, { type: "interval", every: 0 }, { type: "per_week", times: 8 }, "daily"];
+  for (const bad of invalid) assert.ok(normalizeRecurrence(bad, "2026-03-02").error, JSON.stringify(bad));
+  assert.deepEqual(parseRecurrence("{not json"), DAILY);
+});
+
+test("weekday and interval rules are due on their days only", () => {
+  const mwf = { type: "weekdays", days: [1, 3, 5] };
+  assert.deepEqual(
+    ["2026-03-02", "2026-03-03", "2026-03-04"].map((d) => isDueOn(mwf, d)),
+    [true, false, true]
+  );
+
+  const everyThird = { type: "interval", every: 3, anchor: "2026-03-02" };
+  assert.deepEqual(
+    ["2026-03-01", "2026-03-02", "2026-03-04", "2026-03-05"].map((d) => isDueOn(everyThird, d)),
+    [false, true, false, true]
+  );
+});
+
+test("a per-week rule is only due once the quota can't wait any longer", () => {
+  const thrice = { type: "per_week", times: 3 };
+  assert.equal(isDueOn(thrice, "2026-03-02"), false);
+  assert.equal(isDueOn(thrice, "2026-03-06"), true); // Friday, nothing done: Fri, Sat and Sun are all needed
+
+  const met = new Set(["2026-03-03"]);
+  assert.equal(isDueOn(thrice, "2026-03-03", met), true); // a completed day always counts
+  assert.equal(isDueOn(thrice, "2026-03-06", met), false);
+  assert.equal(isDueOn(thrice, "2026-03-07", met), true);
+  assert.equal(weekCompletions("2026-03-07", met), 1);
+  assert.equal(weekCompletions("2026-03-09", met), 0); // the next ISO week starts over
+});
@@ -0,0 +1,84 @@
+// evania-backend/test/reminders.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp } from "./helpers.js";
+import { memoryTransport } from "../notifier.js";
+
+// A routine with a 09:00 reminder on a registered device, at 09:05 local time
+async function appWithReminder(pushTransport) {
+  const t = await startTestApp({ now: "2026-03-02T09:05:00+05:30", config: { pushTransport } });
+  const routine = (await t.post("/api/routines", { title: "Stretch" })).body.routine;
+  await t.put(`/api/routines/${routine.id}/reminders`, { times: ["09:00"] });
+  await t.post("/api/push-tokens", { token: "ExponentPushToken[test]" });
+  return t;
+}
+
+const statuses = (t) => t.db.prepare("SELECT status, error FROM notifications").all();
+
+test("reminders go through the transport given to createApp", async () => {
+  const transport = memoryTransport();
+  const t = await appWithReminder(transport);
+  try {
+    assert.equal(await t.jobs.runReminderTick(), 1);
+    assert.deepEqual(
+      transport.sent.map((m) => m.title),
+      ["Stretch"]
+    );
+    assert.deepEqual(statuses(t), [{ status: "sent", error: null }]);
+  } finally {
+    await t.close();
+  }
+});
+
+test("without a transport reminders are recorded as skipped, not sent", async () => {
+  const t = await appWithReminder(null);
+  try {
+    assert.equal(await t.jobs.runReminderTick(), 0);
+    assert.deepEqual(statuses(t), [{ status: "skipped", error: "no push transport" }]);
+  } finally {
+    await t.close();
+  }
+});
+
+test("a reminder goes out once, and not at all once the routine is done or during quiet hours", async () => {
+  const transport = memoryTransport();
+  const t = await appWithReminder(transport);
+  try {
+    assert.equal(await t.jobs.runReminderTick(), 1);
+    assert.equal(await t.jobs.runReminderTick(), 0);
+
+    const { routine } = (await t.post("/api/routines", { title: "Read" })).body;
+    await t.put(`/api/routines/${routine.id}/reminders`, { times: ["09:10", "09:15"] });
+    await t.post(`/api/routines/${routine.id}/log`);
+    t.clock.advance({ minutes: 5 });
+    assert.equal(await t.jobs.runReminderTick(), 0);
+
+    await t.post("/api/me/notifications", { quietHours: { start: "09:00", end: "10:00" } });
+    const walk = (await t.post("/api/routines", { title: "Walk" })).body.routine;
+    await t.put(`/api/routines/${walk.id}/reminders`, { times: ["09:15"] });
+    t.clock.advance({ minutes: 5 });
+    assert.equal(await t.jobs.runReminderTick(), 0);
+    assert.deepEqual(
+      transport.sent.map((m) => m.title),
+      ["Stretch"]
+    );
+  } finally {
+    await t.close();
+  }
+});
+
+test("the evening nudge warns about a streak that ends at midnight", async () => {
+  const transport = memoryTransport();
+  const t = await appWithReminder(transport);
+  try {
+    await t.post("/api/runs", { questId: "q1" });
+    t.clock.set("2026-03-03T20:00:00+05:30");
+    assert.equal(await t.jobs.runReminderTick(), 1);
+    assert.deepEqual(
+      transport.sent.map((m) => m.title),
+      ["Keep your streak alive"]
+    );
+  } finally {
+    await t.close();
+  }
+});
@@ -0,0 +1,81 @@
+// evania-backend/test/routines.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestApp } from "./helpers.js";
+
+let routine;
+const t = useTestApp({ now: "2026-03-02T20:00:00+05:30" }, async (t) => {
+  routine = (await t.post("/api/routines", { title: "Drink water", dailyTarget: 2 })).body.routine;
+});
+
+const log = () => t.post(`/api/routines/${routine.id}/log`);
+
+test("logs beyond the daily target are rejected", async () => {
+  assert.equal((await log()).status, 200);
+  const second = await log();
+  assert.equal(second.status, 200);
+
+  const third = await log();
+  assert.equal(third.status, 400);
+  assert.equal(third.body.code, "daily_target_reached");
+
+  const { body } = await t.get("/api/progress");
+  assert.equal(body.totalXP, second.body.progress.totalXP);
+});
+
+test("the target resets on the next local day", async () => {
+  await log();
+  await log();
+  // 00:30 in Asia/Kolkata is still the previous day in UTC
+  t.clock.set("2026-03-03T00:30:00+05:30");
+  const res = await log();
+  assert.equal(res.status, 200);
+  assert.equal(res.body.log.localDate, "2026-03-03");
+});
+
+test("the routine list counts today's logs against the target", async () => {
+  await log();
+  const { body } = await t.get("/api/routines");
+  const row = body.routines.find((r) => r.id === routine.id);
+  assert.equal(row.countToday, 1);
+  assert.equal(row.daily_target, 2);
+});
+
+test("an archived routine can't be logged and leaves the list until restored", async () => {
+  assert.equal((await t.post(`/api/routines/${routine.id}/archive`)).body.routine.active, 0);
+  assert.equal((await log()).status, 404);
+  assert.deepEqual((await t.get("/api/routines")).body.routines, []);
+  const archived = (await t.get("/api/routines?includeArchived=true")).body.routines;
+  assert.deepEqual(
+    archived.map((r) => [r.id, r.active]),
+    [[routine.id, 0]]
+  );
+
+  assert.equal((await t.post(`/api/routines/${routine.id}/restore`)).body.routine.active, 1);
+  assert.equal((await log()).status, 200);
+});
+
+test("edits and reordering show up in the list", async () => {
+  const second = (await t.post("/api/routines", { title: "Read" })).body.routine;
+  const edited = await t.patch(`/api/routines/${routine.id}`, { title: "Drink more water", dailyTarget: 3 });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.routine.daily_target, 3);
+
+  assert.equal((await t.put("/api/routines/order", { ids: [second.id, routine.id] })).status, 200);
+  const { routines } = (await t.get("/api/routines")).body;
+  assert.deepEqual(
+    routines.map((r) => r.title),
+    ["Read", "Drink more water"]
+  );
+  assert.equal((await t.put("/api/routines/order", { ids: ["nope"] })).status, 404);
+});
+
+test("deleting a routine keeps the XP its logs earned", async () => {
+  const { totalXP } = (await log()).body.progress;
+  assert.equal((await t.del(`/api/routines/${routine.id}`)).status, 200);
+
+  assert.equal((await t.patch(`/api/routines/${routine.id}`, { title: "Back" })).status, 404);
+  assert.equal((await t.post(`/api/routines/${routine.id}/restore`)).status, 404);
+  assert.deepEqual((await t.get("/api/routines?includeArchived=true")).body.routines, []);
+  assert.equal((await t.get("/api/progress")).body.totalXP, totalXP);
+});
@@ -0,0 +1,85 @@
+// evania-backend/test/rules.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestApp } from "./helpers.js";
+import { DEFAULT_RULES, levelForXP, xpForLevel, levelProgress, streakMultiplier } from "../rules.js";
+
+const t = useTestApp({}, (t) => t.seedUser("admin", { role: "admin" }));
+
+const faster = { ...DEFAULT_RULES, level: { base: 1, exponent: 0.5 } };
+
+test("the default curve matches the original floor(sqrt(xp) / 2) + 1", () => {
+  for (const xp of [0, 3, 4, 15, 16, 35, 36, 399, 400]) {
+    assert.equal(levelForXP(DEFAULT_RULES, xp), Math.floor(Math.sqrt(xp) / 2) + 1, `xp ${xp}`);
+  }
+  assert.deepEqual([1, 2, 3, 4].map((level) => xpForLevel(DEFAULT_RULES, level)), [0, 4, 16, 36]);
+  assert.deepEqual(levelProgress(DEFAULT_RULES, 10), {
+    level: 2,
+    nextLevel: 3,
+    xpIntoLevel: 6,
+    xpForNextLevel: 16,
+    xpToNextLevel: 6,
+    percent: 50,
+  });
+});
+
+test("the streak multiplier caps the daily bonus and adds one per full week", () => {
+  assert.deepEqual([0, 1, 3, 7, 10, 14].map((s) => streakMultiplier(DEFAULT_RULES, s)), [1, 1.05, 1.15, 1.45, 1.6, 1.7]);
+});
+
+test("progress reports the way to the next level under the live rules", async () => {
+  const rules = await t.get("/api/rules");
+  assert.deepEqual({ version: rules.body.version, rules: rules.body.rules }, { version: 1, rules: DEFAULT_RULES });
+
+  await t.post("/api/runs", { questId: "q1" });
+  const progress = (await t.get("/api/progress")).body;
+  const expected = levelProgress(DEFAULT_RULES, progress.totalXP);
+  assert.equal(progress.level, expected.level);
+  assert.deepEqual(progress.nextLevel, {
+    level: expected.nextLevel,
+    xpRequired: expected.xpForNextLevel,
+    xpIntoLevel: expected.xpIntoLevel,
+    xpToGo: expected.xpToNextLevel,
+    percent: expected.percent,
+  });
+  assert.equal(progress.streakMultiplier, streakMultiplier(DEFAULT_RULES, progress.currentStreak));
+});
+
+test("a preview changes nothing; publishing re-derives levels from the ledger", async () => {
+  await t.post("/api/runs", { questId: "q1" });
+  const before = (await t.get("/api/progress")).body;
+
+  const preview = await t.post("/api/admin/rules/preview", { rules: faster }, "admin");
+  assert.equal(preview.status, 200);
+  assert.equal(preview.body.summary.levelUp, 1);
+  assert.deepEqual(
+    preview.body.users.map((u) => u.userId),
+    ["tester"]
+  );
+  assert.equal((await t.get("/api/progress")).body.level, before.level);
+  assert.equal((await t.get("/api/rules")).body.version, 1);
+
+  assert.equal((await t.post("/api/admin/rules", { rules: faster, note: "faster" }, "tester")).status, 403);
+  const published = await t.post("/api/admin/rules", { rules: faster, note: "faster" }, "admin");
+  assert.equal(published.status, 201);
+  assert.equal(published.body.version, 2);
+  assert.equal(published.body.rebuilt.changed, 1);
+
+  const after = (await t.get("/api/progress")).body;
+  assert.equal(after.totalXP, before.totalXP);
+  assert.equal(after.level, levelForXP(faster, before.totalXP));
+  assert.deepEqual((await t.get("/api/rules")).body.rules, faster);
+});
+
+test("rule sets are validated", async () => {
+  const { status, body } = await t.post(
+    "/api/admin/rules",
+    { rules: { ...DEFAULT_RULES, level: { base: 0, exponent: 2 } } },
+    "admin"
+  );
+  assert.equal(status, 400);
+  assert.deepEqual(
+    body.fields.map((f) => f.path),
+    ["rules.level.base", "rules.level.exponent"]
+  );
+});
@@ -0,0 +1,53 @@
+// evania-backend/test/sessions.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestApp } from "./helpers.js";
+
+// real auth: no x-user-id fallback
+const t = useTestApp({ config: { devMode: false, jwtSecret: "test-secret" } });
+
+const credentials = { email: "ada@example.com", password: "Lovelace-1815" };
+const bearer = (token) => ({ authorization: `Bearer ${token}` });
+const me = (token) => t.get("/api/me", undefined, bearer(token));
+
+test("there is no anonymous or x-user-id fallback", async () => {
+  const res = await t.get("/api/progress");
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, "unauthenticated");
+  assert.equal((await me("not-a-jwt")).status, 401);
+});
+
+test("refresh rotates the token, and replaying a used one ends the session", async () => {
+  const first = (await t.post("/api/auth/register", credentials)).body;
+  const second = await t.post("/api/auth/refresh", { refreshToken: first.refreshToken });
+  assert.equal(second.status, 200);
+  assert.equal(second.body.sessionId, first.sessionId);
+  assert.notEqual(second.body.refreshToken, first.refreshToken);
+
+  const replay = await t.post("/api/auth/refresh", { refreshToken: first.refreshToken });
+  assert.equal(replay.status, 401);
+  assert.equal(replay.body.code, "invalid_refresh_token");
+  assert.equal((await t.post("/api/auth/refresh", { refreshToken: second.body.refreshToken })).status, 401);
+  assert.equal((await me(second.body.token)).status, 401);
+});
+
+test("logout ends this device's session; logout-all ends every one", async () => {
+  await t.post("/api/auth/register", credentials);
+  const phone = (await t.post("/api/auth/login", { ...credentials, deviceName: "phone" })).body;
+  const laptop = (await t.post("/api/auth/login", { ...credentials, deviceName: "laptop" })).body;
+
+  assert.equal((await t.post("/api/auth/logout", {}, undefined, bearer(phone.token))).status, 200);
+  assert.equal((await me(phone.token)).status, 401);
+  assert.equal((await me(laptop.token)).status, 200);
+
+  const { sessions } = (await t.get("/api/auth/sessions", undefined, bearer(laptop.token))).body;
+  assert.deepEqual(
+    sessions.map((s) => [s.deviceName, s.current]).sort(),
+    [
+      [null, false],
+      ["laptop", true],
+    ]
+  );
+  assert.equal((await t.post("/api/auth/logout-all", {}, undefined, bearer(laptop.token))).body.revoked, 2);
+  assert.equal((await me(laptop.token)).status, 401);
+});
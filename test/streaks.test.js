@@ -0,0 +1,101 @@
+// evania-backend/test/streaks.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestApp } from "./helpers.js";
+import { checkUserXp } from "../ledger.js";
+
+const t = useTestApp({ now: "2026-03-02T09:00:00+05:30" });
+
+const run = async () => {
+  const res = await t.post("/api/runs", { questId: "q1" });
+  assert.equal(res.status, 200);
+  return res.body;
+};
+
+test("activity on consecutive days extends the streak", async () => {
+  assert.equal((await run()).progress.currentStreak, 1);
+  t.clock.advance({ days: 1 });
+  assert.equal((await run()).progress.currentStreak, 2);
+  t.clock.advance({ days: 1 });
+  const { progress } = await run();
+  assert.equal(progress.currentStreak, 3);
+  assert.equal(progress.longestStreak, 3);
+});
+
+test("more activity on the same day keeps the streak where it is", async () => {
+  await run();
+  t.clock.advance({ hours: 10 });
+  const { progress } = await run();
+  assert.equal(progress.currentStreak, 1);
+  assert.equal(progress.lastActiveDayISO, "2026-03-02");
+});
+
+test("the day rolls over at the user's local midnight, not UTC midnight", async () => {
+  // 23:50 and 00:10 in Asia/Kolkata are the same UTC day (18:20Z / 18:40Z)
+  t.clock.set("2026-03-02T23:50:00+05:30");
+  assert.equal((await run()).progress.lastActiveDayISO, "2026-03-02");
+  t.clock.set("2026-03-03T00:10:00+05:30");
+  const { progress } = await run();
+  assert.equal(progress.lastActiveDayISO, "2026-03-03");
+  assert.equal(progress.currentStreak, 2);
+});
+
+test("a missed day is bridged by a streak freeze", async () => {
+  const first = await run();
+  assert.ok(first.progress.streakFreezes.available >= 1);
+
+  t.clock.advance({ days: 2 });
+  const { progress, streakBridged } = await run();
+  assert.equal(progress.currentStreak, 2);
+  assert.deepEqual(streakBridged, [{ date: "2026-03-03", kind: "freeze" }]);
+});
+
+test("a gap longer than the freezes cover resets the streak", async () => {
+  await run();
+  t.clock.advance({ days: 1 });
+  await run();
+  t.clock.advance({ days: 6 });
+  const { progress, streakBridged } = await run();
+  assert.equal(progress.currentStreak, 1);
+  assert.equal(progress.longestStreak, 2);
+  assert.deepEqual(streakBridged, []);
+});
+
+test("grace days cover missed days before any freeze is spent", async () => {
+  assert.equal((await t.post("/api/me/prefs", { graceDays: 1 })).status, 200);
+  await run();
+
+  t.clock.advance({ days: 3 });
+  const { progress, streakBridged } = await run();
+  assert.equal(progress.currentStreak, 2);
+  assert.equal(progress.streakFreezes.graceDays, 1);
+  assert.deepEqual(streakBridged, [
+    { date: "2026-03-03", kind: "grace" },
+    { date: "2026-03-04", kind: "freeze" },
+  ]);
+});
+
+test("the weekly freeze is granted on the first activity of each ISO week", async () => {
+  const grantWeek = () => t.db.prepare("SELECT freeze_grant_week FROM users WHERE id = 'tester'").get().freeze_grant_week;
+  await run();
+  assert.equal(grantWeek(), "2026-W10");
+  t.clock.set("2026-03-08T22:00:00+05:30"); // Sunday, same week
+  await run();
+  assert.equal(grantWeek(), "2026-W10");
+  t.clock.set("2026-03-09T09:00:00+05:30");
+  await run();
+  assert.equal(grantWeek(), "2026-W11");
+});
+
+test("a timezone switch that moves the last active day stays in the ledger", async () => {
+  t.clock.set("2026-03-02T23:50:00+05:30");
+  await run();
+  // already 07:20 on the 3rd in Auckland: the run counts as that day there
+  assert.equal((await t.post("/api/me/prefs", { timezone: "Pacific/Auckland" })).status, 200);
+  t.clock.advance({ days: 1 });
+  const { progress } = await run();
+  assert.equal(progress.lastActiveDayISO, "2026-03-04");
+  assert.equal(progress.currentStreak, 2);
+  assert.deepEqual(checkUserXp(t.db, "tester").drift, []);
+  assert.equal(t.db.prepare("SELECT COUNT(*) AS n FROM streak_freeze_uses").get().n, 0);
+});
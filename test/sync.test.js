@@ -0,0 +1,53 @@
+// evania-backend/test/sync.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestApp } from "./helpers.js";
+
+const t = useTestApp();
+
+const event = (id, fields) => ({ id, type: "run", occurredAt: "2026-03-02T03:00:00.000Z", questId: "q1", ...fields });
+
+test("malformed events are rejected one by one, the rest still apply", async () => {
+  const res = await t.post("/api/sync/push", {
+    events: [
+      event("good-run-1"),
+      event("bad-quest-1", { questId: { $ne: null } }),
+      event("bad-quest-2", { questId: 42 }),
+      { id: "bad-log-01", type: "routine_log", occurredAt: "2026-03-02T03:00:00.000Z", routineId: ["x"] },
+      event(["arrayid1"]),
+    ],
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    res.body.results.map((r) => r.status),
+    ["applied", "rejected", "rejected", "rejected", "rejected"]
+  );
+  assert.equal(res.body.results[1].reason, "questId must be a string");
+  assert.equal(res.body.results[3].reason, "routineId must be a string");
+  assert.ok(res.body.progress.totalXP > 0);
+});
+
+test("event ids are scoped to the account that pushed them", async () => {
+  assert.equal((await t.post("/api/sync/push", { events: [event("shared-id-1")] }, "alice")).body.results[0].status, "applied");
+  const bob = await t.post("/api/sync/push", { events: [event("shared-id-1")] }, "bob");
+  assert.equal(bob.body.results[0].status, "applied");
+  const again = await t.post("/api/sync/push", { events: [event("shared-id-1")] }, "bob");
+  assert.equal(again.body.results[0].status, "duplicate");
+});
+
+test("logs dated after a routine was archived are rejected", async () => {
+  const routine = (await t.post("/api/routines", { title: "Stretch" })).body.routine;
+  t.clock.advance({ hours: 1 });
+  assert.equal((await t.post(`/api/routines/${routine.id}/archive`)).status, 200);
+  t.clock.advance({ hours: 1 });
+
+  const log = (id, occurredAt) => ({ id, type: "routine_log", routineId: routine.id, occurredAt });
+  const res = await t.post("/api/sync/push", {
+    events: [log("before-archive", "2026-03-02T04:00:00.000Z"), log("after-archive", "2026-03-02T05:30:00.000Z")],
+  });
+  assert.deepEqual(
+    res.body.results.map((r) => r.status),
+    ["applied", "rejected"]
+  );
+  assert.equal(res.body.results[1].reason, "Routine was archived before this log");
+});
@@ -0,0 +1,56 @@
+// evania-backend/test/undo.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestApp } from "./helpers.js";
+import { checkUserXp } from "../ledger.js";
+
+const t = useTestApp({ now: "2026-03-02T09:00:00+05:30" });
+
+const run = async () => (await t.post("/api/runs", { questId: "q1" })).body;
+
+test("undoing a run takes back its XP and streak day", async () => {
+  const monday = (await run()).progress;
+  t.clock.advance({ days: 1 });
+  const tuesday = await run();
+  assert.equal(tuesday.progress.currentStreak, 2);
+
+  const res = await t.del(`/api/runs/${tuesday.run.id}`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.undone.gainedXP, tuesday.run.gainedXP);
+  assert.equal(res.body.progress.totalXP, monday.totalXP);
+  assert.equal(res.body.progress.level, monday.level);
+  assert.equal(res.body.progress.currentStreak, 1);
+  assert.equal(res.body.progress.lastActiveDayISO, "2026-03-02");
+  assert.deepEqual(checkUserXp(t.db, "tester").drift, []);
+  assert.equal((await t.del(`/api/runs/${tuesday.run.id}`)).status, 404);
+});
+
+test("the freeze spent to reach an undone run is refunded", async () => {
+  const { available } = (await run()).progress.streakFreezes;
+  t.clock.advance({ days: 2 });
+  const bridged = await run();
+  assert.deepEqual(bridged.streakBridged, [{ date: "2026-03-03", kind: "freeze" }]);
+
+  const { progress } = (await t.del(`/api/runs/${bridged.run.id}`)).body;
+  assert.equal(progress.streakFreezes.available, available);
+  assert.equal(t.db.prepare("SELECT COUNT(*) AS n FROM streak_freeze_uses").get().n, 0);
+});
+
+test("nothing can be undone once the undo window has passed", async () => {
+  const { run: r } = await run();
+  t.clock.advance({ minutes: 16 });
+  const res = await t.del(`/api/runs/${r.id}`);
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, "undo_window_passed");
+});
+
+test("undoing a routine log frees its slot for the day", async () => {
+  const routine = (await t.post("/api/routines", { title: "Stretch" })).body.routine;
+  const logged = await t.post(`/api/routines/${routine.id}/log`);
+  assert.equal((await t.post(`/api/routines/${routine.id}/log`)).body.code, "daily_target_reached");
+
+  const res = await t.del(`/api/routines/${routine.id}/logs/${logged.body.log.id}`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.progress.totalXP, 0);
+  assert.equal((await t.post(`/api/routines/${routine.id}/log`)).status, 200);
+});
@@ -0,0 +1,96 @@
+// evania-backend/test/validation.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestApp } from "./helpers.js";
+import { v, validate } from "../validation.js";
+import { ApiError, errorHandler } from "../errors.js";
+
+const t = useTestApp();
+
+// Just enough of an Express response for the middleware under test
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headersSent: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+test("every bad field is reported in one validation_failed envelope", async () => {
+  const { status, body } = await t.post("/api/me/prefs", {
+    themeColor: "blue",
+    dailyTarget: "3",
+    goals: ["sleep", 7],
+  });
+  assert.equal(status, 400);
+  assert.equal(body.code, "validation_failed");
+  assert.equal(body.error, "themeColor must be a hex color like #6C7EFF");
+  assert.deepEqual(
+    body.fields.map((f) => [f.in, f.path, f.code]),
+    [
+      ["body", "themeColor", "invalid_format"],
+      ["body", "dailyTarget", "invalid_type"],
+      ["body", "goals[1]", "invalid_type"],
+    ]
+  );
+
+  const ok = await t.post("/api/me/prefs", { themeColor: "#6C7EFF", goals: [" sleep "] });
+  assert.equal(ok.status, 200);
+  assert.deepEqual((await t.get("/api/me")).body.prefs.goals, ["sleep"]);
+});
+
+test("params and query strings are checked too", async () => {
+  const { status, body } = await t.get("/api/routines?includeArchived=yes");
+  assert.equal(status, 400);
+  assert.deepEqual(body.fields, [
+    { in: "query", path: "includeArchived", code: "invalid_type", message: "includeArchived must be true or false" },
+  ]);
+});
+
+test("unknown API routes answer with a JSON 404", async () => {
+  const { status, body } = await t.get("/api/nope");
+  assert.equal(status, 404);
+  assert.deepEqual(body, { error: "No route for GET /api/nope", code: "route_not_found" });
+});
+
+test("validate() trims, defaults and drops unknown keys", () => {
+  const req = { body: { title: "  Read ", extra: true } };
+  let called = false;
+  validate({ body: { title: v.string(), dailyTarget: v.int({ min: 1 }).default(1) } })(req, fakeResponse(), () => {
+    called = true;
+  });
+  assert.ok(called);
+  assert.deepEqual(req.body, { title: "Read", dailyTarget: 1 });
+});
+
+test("errorHandler keeps ApiErrors and turns anything else into a JSON 500", () => {
+  const req = { method: "GET", path: "/api/x" };
+
+  const known = fakeResponse();
+  errorHandler(new ApiError(409, "conflict", "Already there", { details: { id: "r1" } }), req, known);
+  assert.equal(known.statusCode, 409);
+  assert.deepEqual(known.body, { error: "Already there", code: "conflict", details: { id: "r1" } });
+
+  const badJson = fakeResponse();
+  errorHandler(Object.assign(new Error("bad"), { type: "entity.parse.failed" }), req, badJson);
+  assert.equal(badJson.statusCode, 400);
+  assert.equal(badJson.body.code, "invalid_json");
+
+  const crash = fakeResponse();
+  const error = console.error;
+  console.error = () => {};
+  try {
+    errorHandler(new TypeError("boom"), req, crash);
+  } finally {
+    console.error = error;
+  }
+  assert.equal(crash.statusCode, 500);
+  assert.deepEqual(crash.body, { error: "Something went wrong", code: "internal_error" });
+});
@@ -0,0 +1,199 @@
+// evania-backend/validation.js
+import dayjs from "dayjs";
+import { sendError } from "./errors.js";
+
+/**
+ * Small schema layer for request bodies, params and query strings.
+ *
+ *   app.post("/api/routines", validate({
+ *     body: { title: v.string({ max: 80 }), dailyTarget: v.int({ min: 1, max: 20 }).default(1) },
+ *   }), handler)
+ *
+ * A schema is { parse(value, path, errors) }. Every problem is collected as
+ * { in, path, code, message } and the request is answered with a 400
+ * "validation_failed" listing all of them. On success the parsed values
+ * (trimmed, defaulted, unknown keys dropped) replace req.body / req.query.
+ */
+
+function schema(check, flags = {}) {
+  return {
+    optional: () => schema(check, { ...flags, optional: true }),
+    nullable: () => schema(check, { ...flags, nullable: true }),
+    default: (value) => schema(check, { ...flags, optional: true, default: value }),
+    parse(value, path, errors) {
+      if (value === undefined) {
+        if ("default" in flags) return structuredClone(flags.default);
+        if (!flags.optional) errors.push({ path, code: "required", message: `${path} is required` });
+        return undefined;
+      }
+      if (value === null) {
+        if (flags.nullable) return null;
+        errors.push({ path, code: "invalid_type", message: `${path} must not be null` });
+        return undefined;
+      }
+      return check(value, path, errors);
+    },
+  };
+}
+
+/**
+ * The one spelling of an email address used for storage, lookups and
+ * per-account rate-limit keys: trimmed and lowercased. Non-strings give null.
+ */
+export function normalizeEmail(email) {
+  return typeof email === "string" ? email.trim().toLowerCase() : null;
+}
+
+const fail = (errors, path, code, message) => {
+  errors.push({ path, code, message: `${path} ${message}` });
+  return undefined;
+};
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const v = {
+  any: () => schema((value) => value),
+
+  // `pattern` / `test` narrow it further; `message` explains a failed one
+  string: ({ min = 1, max = 200, pattern, test, trim = true, message } = {}) =>
+    schema((value, path, errors) => {
+      if (typeof value !== "string") return fail(errors, path, "invalid_type", "must be a string");
+      const s = trim ? value.trim() : value;
+      if (s.length < min) {
+        return fail(errors, path, "too_short", min === 1 ? "must not be empty" : `must be at least ${min} characters`);
+      }
+      if (s.length > max) return fail(errors, path, "too_long", `must be at most ${max} characters`);
+      if ((pattern && !pattern.test(s)) || (test && !test(s))) {
+        return fail(errors, path, "invalid_format", message || "has an invalid format");
+      }
+      return s;
+    }),
+
+  int: ({ min = -Infinity, max = Infinity } = {}) =>
+    schema((value, path, errors) => {
+      if (!Number.isInteger(value)) return fail(errors, path, "invalid_type", "must be an integer");
+      if (value < min || value > max) return fail(errors, path, "out_of_range", rangeText(min, max));
+      return value;
+    }),
+
+  number: ({ min = -Infinity, max = Infinity } = {}) =>
+    schema((value, path, errors) => {
+      if (typeof value !== "number" || !Number.isFinite(value)) return fail(errors, path, "invalid_type", "must be a number");
+      if (value < min || value > max) return fail(errors, path, "out_of_range", rangeText(min, max));
+      return value;
+    }),
+
+  // query-string integer ("20" → 20)
+  intString: ({ min = -Infinity, max = Infinity } = {}) =>
+    schema((value, path, errors) => {
+      const n = typeof value === "string" && /^-?\d+$/.test(value) ? Number(value) : NaN;
+      if (!Number.isInteger(n)) return fail(errors, path, "invalid_type", "must be an integer");
+      if (n < min || n > max) return fail(errors, path, "out_of_range", rangeText(min, max));
+      return n;
+    }),
+
+  boolean: () =>
+    schema((value, path, errors) =>
+      typeof value === "boolean" ? value : fail(errors, path, "invalid_type", "must be true or false")
+    ),
+
+  // query-string boolean ("true" / "false")
+  boolString: () =>
+    schema((value, path, errors) =>
+      value === "true" || value === "false" ? value === "true" : fail(errors, path, "invalid_type", "must be true or false")
+    ),
+
+  oneOf: (values) =>
+    schema((value, path, errors) =>
+      values.includes(value) ? value : fail(errors, path, "invalid_value", `must be one of ${values.join(", ")}`)
+    ),
+
+  date: () =>
+    schema((value, path, errors) =>
+      typeof value === "string" && DATE_RE.test(value) && dayjs(value).isValid() && dayjs(value).format("YYYY-MM-DD") === value
+        ? value
+        : fail(errors, path, "invalid_format", "must be a date (YYYY-MM-DD)")
+    ),
+
+  time: () =>
+    schema((value, path, errors) =>
+      typeof value === "string" && TIME_RE.test(value) ? value : fail(errors, path, "invalid_format", "must be a time (HH:MM)")
+    ),
+
+  timestamp: () =>
+    schema((value, path, errors) =>
+      typeof value === "string" && !Number.isNaN(Date.parse(value))
+        ? value
+        : fail(errors, path, "invalid_format", "must be an ISO timestamp")
+    ),
+
+  email: () =>
+    schema((value, path, errors) => {
+      const s = normalizeEmail(value) ?? "";
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s) && s.length <= 254
+        ? s
+        : fail(errors, path, "invalid_format", "must be an email address");
+    }),
+
+  array: (item, { min = 0, max = 100 } = {}) =>
+    schema((value, path, errors) => {
+      if (!Array.isArray(value)) return fail(errors, path, "invalid_type", "must be an array");
+      if (value.length < min) return fail(errors, path, "too_short", `must have at least ${min} item${min === 1 ? "" : "s"}`);
+      if (value.length > max) return fail(errors, path, "too_long", `must have at most ${max} items`);
+      return value.map((x, i) => item.parse(x, `${path}[${i}]`, errors));
+    }),
+
+  // unknown keys are dropped
+  object: (shape) =>
+    schema((value, path, errors) => {
+      if (typeof value !== "object" || Array.isArray(value)) return fail(errors, path, "invalid_type", "must be an object");
+      return parseShape(shape, value, `${path}.`, errors);
+    }),
+};
+
+function rangeText(min, max) {
+  if (min === -Infinity) return `must be at most ${max}`;
+  if (max === Infinity) return `must be at least ${min}`;
+  return `must be between ${min} and ${max}`;
+}
+
+function parseShape(shape, value, prefix, errors) {
+  const out = {};
+  Object.entries(shape).forEach(([key, s]) => {
+    const parsed = s.parse(value[key], `${prefix}${key}`, errors);
+    if (parsed !== undefined) out[key] = parsed;
+  });
+  return out;
+}
+
+/**
+ * Route middleware. Each of body / params / query is either a shape
+ * ({ key: schema }) or a whole schema (e.g. v.any() for opaque payloads).
+ */
+export function validate(spec) {
+  return (req, res, next) => {
+    const fields = [];
+    const parsed = {};
+    for (const part of ["params", "query", "body"]) {
+      if (!spec[part]) continue;
+      const errors = [];
+      const input = req[part] ?? (part === "body" ? {} : undefined);
+      if (typeof spec[part].parse === "function") {
+        parsed[part] = spec[part].parse(input, part, errors);
+      } else if (typeof input !== "object" || input === null || Array.isArray(input)) {
+        errors.push({ path: part, code: "invalid_type", message: `${part} must be an object` });
+      } else {
+        parsed[part] = parseShape(spec[part], input, "", errors);
+      }
+      errors.forEach((e) => fields.push({ in: part, ...e }));
+    }
+    if (fields.length) {
+      return sendError(res, 400, "validation_failed", fields[0].message, { fields });
+    }
+    if (spec.body) req.body = parsed.body;
+    if (spec.query) req.query = parsed.query;
+    if (spec.params) Object.assign(req.params, parsed.params);
+    next();
+  };
+}